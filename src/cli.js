@@ -15,16 +15,33 @@ import { grantAllRequiredRoles, REQUIRED_ROLES } from './gcp/iam.js';
 import { createOrLinkFirebaseProject, addAndroidApp, addIOSApp, downloadGoogleServicesJson, downloadGoogleServiceInfoPlist, loadFirebaseProjectState, listAndroidApps, listIOSApps, getFirebaseProject } from './firebase/project.js';
 import { question, confirm } from './utils/prompt.js';
 import { checkAllDependencies, printDependencyStatus } from './utils/check-dependencies.js';
+import { join } from 'path';
 import { fileExists, deleteFile } from './utils/fs.js';
 import { PATHS } from './config.js';
 import { getPlayStoreClient, verifyPlayConsoleAccess } from './play-store/auth.js';
 import { createPlayStoreApp } from './play-store/app.js';
-import { createEdit, validateEdit, commitEdit, getExistingEdit } from './play-store/edits.js';
-import { uploadBuildWithEdit } from './play-store/releases.js';
-import { setListingMetadata } from './play-store/metadata.js';
-import { setContentRating, setDataSafety } from './play-store/content-rating.js';
-import { uploadScreenshotsFromDirectory, uploadAppIcon, uploadFeatureGraphic } from './play-store/graphics.js';
-import { setPricing, setReleaseTrack, setDistribution } from './play-store/distribution.js';
+import { validateEdit, commitEdit, deleteEdit, getEdit, discardSavedEdit, runInEditSession } from './play-store/edits.js';
+import { uploadBuild, uploadDeobfuscationFiles } from './play-store/releases.js';
+import { inspectBuild, verifyBuildForUpload, printBuildInfo } from './play-store/build-inspector.js';
+import { checkListingCopy, checkReleaseBuild } from './play-store/preflight.js';
+import { syncListings, setAppDetails } from './play-store/metadata.js';
+import { loadListings, DEFAULT_LISTING_LANGUAGE } from './play-store/listings.js';
+import { lintListings, printLintReport } from './play-store/listing-lint.js';
+import { checkGraphics, printGraphicsReport } from './play-store/image-specs.js';
+import { frameScreenshots } from './play-store/screenshot-frames.js';
+import { buildDataSafetyCsv, exportDataSafety, submitDataSafety } from './play-store/data-safety.js';
+import { syncImages } from './play-store/graphics.js';
+import { prepareLocaleImages, printImageFixes, writePendingImages } from './play-store/graphics-fix.js';
+import { setPricing, setDistribution } from './play-store/distribution.js';
+import { setReleaseTrack, setRolloutFraction, haltRollout, resumeRollout, completeRollout, promoteRelease, listTracks, getHighestVersionCode, formatUserFraction } from './play-store/tracks.js';
+import { loadReleaseNotes } from './play-store/release-notes.js';
+import { createPublishCheckpoint, savePublishCheckpoint, loadPublishCheckpoint, clearPublishCheckpoint, runCheckpointedStep, findInvalidatedSteps, computeInputHashes } from './play-store/checkpoint.js';
+import { shareBuild } from './play-store/internal-sharing.js';
+import { pullListing, PULL_PLACEHOLDERS } from './play-store/pull.js';
+import { loadPlanInputs, createPlan, printPlan, applyPlan } from './play-store/plan.js';
+import { loadSharedBuilds, loadEditState } from './play-store/state.js';
+import { runChecklist, markChecklistItems, printChecklist } from './play-store/checklist.js';
+import { loadProductCatalog, listInAppProducts, diffProducts, printProductPlan, applyProductPlan } from './play-store/products.js';
 import { loadPlayStoreConfig, getDefaultConfigPath, createExampleConfig } from './play-store/config-loader.js';
 import { generatePlayStoreConfigTemplate } from './play-store/config-generator.js';
 
@@ -608,7 +625,11 @@ program
   .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
   .option('--aab <path>', 'Override AAB path from config')
   .option('--apk <path>', 'Override APK path from config')
-  .option('--track <track>', 'Override release track (internal, alpha, beta, production)')
+  .option('--mapping <path>', 'Override R8/ProGuard mapping.txt path from config')
+  .option('--native-symbols <path>', 'Override native debug symbols zip path from config')
+  .option('--track <track>', 'Override release track (internal, alpha, beta, production, a closed testing or form factor track)')
+  .option('--rollout <fraction>', 'Staged rollout: release to this fraction of users (e.g., 0.05 for 5%)', parseFloat)
+  .option('--resume', 'Continue the last failed publish run in the same edit, from the first incomplete step')
   .option('--dry-run', 'Validate and show what would be done without publishing')
   .action(async (options) => {
     try {
@@ -643,13 +664,79 @@ program
         config.build.apk = options.apk;
         config.build.aab = null;
       }
+      if (options.mapping) {
+        config.build.mappingFile = options.mapping;
+      }
+      if (options.nativeSymbols) {
+        config.build.nativeSymbols = options.nativeSymbols;
+      }
       if (options.track) {
         config.distribution.track = options.track;
       }
+      if (options.rollout !== undefined) {
+        config.distribution.rollout = options.rollout;
+      }
 
       console.log('\n🚀 Publishing to Play Store...');
       console.log(`   Package: ${config.packageName}`);
       console.log(`   Track: ${config.distribution.track}`);
+      if (config.distribution.rollout) {
+        console.log(`   Rollout: ${formatUserFraction(config.distribution.rollout)} of users`);
+      }
+
+      // Load listings and release notes up front so length errors surface before anything is uploaded
+      const listings = await loadListings(config.metadata);
+      console.log(`   Listings: ${listings.length} locale(s)`);
+
+      // Lint listing copy for Play metadata policy pitfalls - errors stop the publish
+      checkListingCopy(listings, config);
+
+      // Frame raw captures first, so the framed screenshots are what gets checked and uploaded
+      // A dry run leaves the screenshot directories alone and checks what is there
+      if (config.screenshotFrames && options.dryRun) {
+        console.log('   Screenshot frames: not regenerated in a dry run (run "frame-screenshots" to refresh them)');
+      } else if (config.screenshotFrames) {
+        const frameSummary = await frameScreenshots(config);
+        for (const warning of frameSummary.warnings) {
+          console.log(`   ⚠️  ${warning}`);
+        }
+      }
+
+      // Check image sizes and formats locally - Play would only reject them after the build is uploaded
+      // With graphics.autoFix, invalid images are replaced by fixed derivatives before the check
+      const defaultLanguage = config.appDetails?.defaultLanguage || DEFAULT_LISTING_LANGUAGE;
+      const { localeImages, fixes, unfixable } = await prepareLocaleImages(config.graphics, defaultLanguage);
+      if (fixes.length + unfixable.length > 0) {
+        console.log('\n🛠️  Graphics auto-fix:');
+        printImageFixes(fixes, unfixable);
+      }
+      const graphicsReport = await checkGraphics(config.graphics, defaultLanguage, localeImages);
+      if (graphicsReport.problems.length + graphicsReport.warnings.length > 0) {
+        console.log('\n🖼️  Graphics check:');
+        printGraphicsReport(graphicsReport);
+      }
+      if (graphicsReport.problems.length > 0) {
+        throw new Error(`Graphics check found ${graphicsReport.problems.length} problem(s). Run "check-graphics" for details.`);
+      }
+      if (localeImages.length > 0) {
+        console.log(`   Graphics: ${localeImages.map(locale => locale.language).join(', ')}`);
+      }
+
+      const releaseNotes = config.releaseNotes ? await loadReleaseNotes(config.releaseNotes) : null;
+      if (releaseNotes) {
+        console.log(`   Release notes: ${releaseNotes.length} locale(s)`);
+      }
+
+      // Build the data safety CSV now, so an incomplete form fails before anything is uploaded
+      if (config.dataSafety) {
+        buildDataSafetyCsv(config.dataSafety);
+        console.log(`   Data safety: ${Object.keys(config.dataSafety.dataTypes || {}).length} data type(s) collected or shared`);
+      } else if (config.contentRating?.dataSafety) {
+        console.log('   ⚠️  contentRating.dataSafety is not submitted to Play. Declare the data safety form in the dataSafety section.');
+      }
+      if (config.contentRating) {
+        console.log('   ⚠️  contentRating is not submitted: the Publishing API has no content rating endpoint. Complete the questionnaire in Play Console (see "checklist").');
+      }
 
       if (options.dryRun) {
         console.log('\n🔍 DRY RUN MODE - No changes will be made\n');
@@ -659,9 +746,16 @@ program
       console.log('\n📋 Step 1: Verifying Play Console access...');
       await verifyPlayConsoleAccess();
 
+      if (!options.resume && !options.dryRun) {
+        // Drop half-applied changes left by an earlier failed run, before any new edit is opened
+        await discardSavedEdit(config.packageName);
+        await clearPublishCheckpoint(config.packageName);
+      }
+
       // Step 2: Check if app exists
       console.log('\n📋 Step 2: Checking Play Store app...');
-      const appCheck = await createPlayStoreApp(config.packageName, config.metadata.title, 'en-US');
+      const defaultListing = listings.find(listing => listing.language === DEFAULT_LISTING_LANGUAGE) || listings[0];
+      const appCheck = await createPlayStoreApp(config.packageName, defaultListing?.title, defaultListing?.language || DEFAULT_LISTING_LANGUAGE);
       
       if (!appCheck.exists && !appCheck.willBeCreated) {
         console.log(`\n⚠️  App does not exist and cannot be auto-created`);
@@ -675,101 +769,179 @@ program
         process.exit(1);
       }
 
-      if (options.dryRun) {
-        console.log(`   ✅ Would create/edit app and edit session`);
-        console.log(`\n✅ Dry run complete. Remove --dry-run to publish.\n`);
-        return;
-      }
-
-      // Step 4: Upload build
-      console.log('\n📋 Step 4: Uploading build...');
+      // Step 3: Inspect build locally
+      console.log('\n📋 Step 3: Inspecting build...');
       const buildPath = config.build.aab || config.build.apk;
       if (!buildPath || !(await fileExists(buildPath))) {
         throw new Error(`Build file not found: ${buildPath}`);
       }
 
-      const uploadResult = await uploadBuildWithEdit(config.packageName, buildPath);
-      const versionCode = uploadResult.versionCode;
-      const editId = uploadResult.editId;
+      const buildInfo = await inspectBuild(buildPath);
+      printBuildInfo(buildInfo);
+      verifyBuildForUpload(buildInfo, config.packageName);
 
-      // Step 4: Set metadata
-      console.log('\n📋 Step 4: Setting metadata...');
-      await setListingMetadata(
-        config.packageName,
-        editId,
-        'en-US',
-        config.metadata
-      );
+      const { mappingFile } = await checkReleaseBuild(buildInfo, buildPath, config.distribution.track, config);
 
-      // Step 5: Set content rating
-      if (config.contentRating) {
-        console.log('\n📋 Step 5: Setting content rating...');
-        await setContentRating(config.packageName, editId, config.contentRating);
-        
-        if (config.contentRating.dataSafety) {
-          await setDataSafety(config.packageName, editId, config.contentRating.dataSafety);
+      const inputHashes = await computeInputHashes(config, { buildPath, mappingFile, listings, releaseNotes });
+
+      // A resumed run continues the saved edit, provided nothing its completed steps used has changed
+      let checkpoint = null;
+      if (options.resume) {
+        console.log('\n🔁 Checking previous publish run...');
+        checkpoint = await loadPublishCheckpoint(config.packageName);
+        if (!checkpoint) {
+          throw new Error('No failed publish run to resume. Run without --resume to start a new one.');
         }
-      }
 
-      // Step 6: Upload screenshots
-      if (config.graphics?.screenshotsDir) {
-        console.log('\n📋 Step 6: Uploading screenshots...');
-        await uploadScreenshotsFromDirectory(
-          config.packageName,
-          editId,
-          'en-US',
-          config.graphics.screenshotsDir
-        );
-      }
+        const invalidated = findInvalidatedSteps(checkpoint, inputHashes);
+        if (invalidated.length > 0) {
+          const details = invalidated
+            .map(({ stepId, changedInputs }) => `${stepId} (${changedInputs.join(', ')} changed)`)
+            .join(', ');
+          throw new Error(`Cannot resume, completed steps are out of date: ${details}. Run without --resume to start over.`);
+        }
 
-      // Step 7: Upload icon and feature graphic
-      if (config.graphics?.icon && await fileExists(config.graphics.icon)) {
-        console.log('\n📋 Step 7: Uploading app icon...');
-        await uploadAppIcon(config.packageName, editId, 'en-US', config.graphics.icon);
-      }
+        if (!(await getEdit(config.packageName, checkpoint.editId))) {
+          await clearPublishCheckpoint(config.packageName);
+          throw new Error(`Edit session ${checkpoint.editId} of the previous run expired or was deleted. Run without --resume to start over.`);
+        }
 
-      if (config.graphics?.featureGraphic && await fileExists(config.graphics.featureGraphic)) {
-        console.log('\n📋 Step 8: Uploading feature graphic...');
-        await uploadFeatureGraphic(config.packageName, editId, 'en-US', config.graphics.featureGraphic);
+        checkpoint.inputHashes = inputHashes;
+        console.log(`   ✅ Resuming edit ${checkpoint.editId} (completed: ${Object.keys(checkpoint.completedSteps).join(', ') || 'none'})`);
       }
 
-      // Step 8: Set pricing
-      if (config.distribution?.pricing) {
-        console.log('\n📋 Step 9: Setting pricing...');
-        await setPricing(config.packageName, editId, config.distribution.pricing);
+      if (options.dryRun) {
+        console.log(`   ✅ Would ${checkpoint ? 'resume the saved' : 'create/edit app and'} edit session`);
+        console.log(`\n✅ Dry run complete. Remove --dry-run to publish.\n`);
+        return;
       }
 
-      // Step 9: Set release track
-      console.log('\n📋 Step 10: Setting release track...');
-      await setReleaseTrack(
-        config.packageName,
-        editId,
-        config.distribution.track,
-        versionCode
-      );
+      // Everything below runs in one edit session. Ctrl+C deletes it; on failure it is kept
+      // together with the checkpoint so --resume can pick up from the failed step.
+      let versionCode;
+      try {
+        versionCode = await runInEditSession(config.packageName, async (editId) => {
+          if (!checkpoint) {
+            checkpoint = createPublishCheckpoint(config.packageName, editId, inputHashes);
+            await savePublishCheckpoint(checkpoint);
+          }
+
+          // Step 4: Upload build
+          console.log('\n📋 Step 4: Uploading build...');
+          await runCheckpointedStep(checkpoint, 'upload', ['build'], async () => {
+            // Fail before uploading if the versionCode is already taken
+            const highestVersionCode = await getHighestVersionCode(config.packageName, editId);
+            verifyBuildForUpload(buildInfo, config.packageName, highestVersionCode);
+
+            const uploadResult = await uploadBuild(config.packageName, editId, buildPath);
+            checkpoint.versionCode = uploadResult.versionCode;
+          });
+
+          if (mappingFile || config.build.nativeSymbols) {
+            await runCheckpointedStep(checkpoint, 'debugFiles', ['build', 'debugFiles'], async () => {
+              await uploadDeobfuscationFiles(config.packageName, editId, checkpoint.versionCode, {
+                mappingFile: mappingFile,
+                nativeSymbols: config.build.nativeSymbols
+              });
+            });
+          }
 
-      // Step 10: Set distribution
-      if (config.distribution?.countries) {
-        console.log('\n📋 Step 11: Setting distribution...');
-        await setDistribution(config.packageName, editId, config.distribution.countries);
+          // Step 5: Set store listings for every locale and app details
+          console.log('\n📋 Step 5: Setting store listings and app details...');
+          await runCheckpointedStep(checkpoint, 'metadata', ['metadata'], async () => {
+            await syncListings(config.packageName, editId, listings);
+          });
+
+          if (config.appDetails) {
+            await runCheckpointedStep(checkpoint, 'appDetails', ['appDetails'], async () => {
+              await setAppDetails(config.packageName, editId, config.appDetails);
+            });
+          }
+
+          // Step 6: Sync graphics of every locale (screenshots, icon, feature graphic, promo graphic, TV banner)
+          if (localeImages.length > 0) {
+            console.log('\n📋 Step 6: Syncing graphics...');
+            await writePendingImages(localeImages);
+            for (const { language, images } of localeImages) {
+              await runCheckpointedStep(checkpoint, `graphics:${language}`, ['graphics'], async () => {
+                await syncImages(config.packageName, editId, language, images);
+              });
+            }
+          }
+
+          // Step 7: Set pricing
+          if (config.distribution?.pricing) {
+            console.log('\n📋 Step 7: Setting pricing...');
+            await runCheckpointedStep(checkpoint, 'pricing', ['pricing'], async () => {
+              await setPricing(config.packageName, editId, config.distribution.pricing);
+            });
+          }
+
+          // Step 8: Set release track
+          console.log('\n📋 Step 8: Setting release track...');
+          await runCheckpointedStep(checkpoint, 'track', ['build', 'track'], async () => {
+            await setReleaseTrack(
+              config.packageName,
+              editId,
+              config.distribution.track,
+              checkpoint.versionCode,
+              releaseNotes,
+              config.distribution.rollout ?? null
+            );
+          });
+
+          // Step 9: Set distribution
+          if (config.distribution?.countries) {
+            console.log('\n📋 Step 9: Setting distribution...');
+            await runCheckpointedStep(checkpoint, 'distribution', ['countries'], async () => {
+              await setDistribution(config.packageName, editId, config.distribution.countries);
+            });
+          }
+
+          // Step 10: Validate edit (always re-run, the edit may have changed since)
+          console.log('\n📋 Step 10: Validating edit...');
+          await validateEdit(config.packageName, editId);
+
+          // Step 11: Commit edit
+          console.log('\n📋 Step 11: Committing edit...');
+          await commitEdit(config.packageName, editId);
+
+          return checkpoint.versionCode;
+        }, { editId: checkpoint?.editId, keepOnFailure: true });
+      } catch (error) {
+        error.resumable = checkpoint !== null;
+        throw error;
       }
 
-      // Step 11: Validate edit
-      console.log('\n📋 Step 12: Validating edit...');
-      await validateEdit(config.packageName, editId);
+      await clearPublishCheckpoint(config.packageName);
 
-      // Step 12: Commit edit
-      console.log('\n📋 Step 13: Committing edit...');
-      await commitEdit(config.packageName, editId);
+      // Step 12: Submit the data safety form
+      // Play applies it right away, not with the edit, so it is only sent once the release is committed
+      if (config.dataSafety) {
+        console.log('\n📋 Step 12: Submitting data safety form...');
+        try {
+          await submitDataSafety(config.packageName, config.dataSafety);
+          await markChecklistItems(config.packageName, ['data-safety'], 'done', 'Submitted by publish-play-store');
+        } catch (error) {
+          console.error(`\n❌ Version ${versionCode} was published, but the data safety form was not submitted:`, error.message);
+          console.error('   Fix the problem and run "./release-the-hounds.sh data-safety submit" to submit it.\n');
+          process.exit(1);
+        }
+      }
 
       console.log('\n✅ App published successfully to Play Store!');
       console.log(`   Track: ${config.distribution.track}`);
       console.log(`   Version: ${versionCode}`);
       console.log(`   Package: ${config.packageName}`);
-      console.log('\n💡 Next steps:');
-      console.log('   - Review the app in Play Console');
-      console.log('   - Complete any remaining manual steps (if any)');
-      console.log('   - Submit for review (if publishing to production)\n');
+
+      // What Play still needs before the app can go live - publishing succeeded either way
+      console.log('\n📋 Launch checklist:');
+      try {
+        printChecklist(await runChecklist(config));
+      } catch (error) {
+        console.log(`   ⚠️  Could not check: ${error.message}`);
+      }
+      console.log('');
     } catch (error) {
       console.error('\n❌ Play Store publishing failed:', error.message);
       if (error.code) {
@@ -778,6 +950,10 @@ program
       if (error.response?.data?.error) {
         console.error(`   Details: ${JSON.stringify(error.response.data.error, null, 2)}`);
       }
+      if (error.resumable) {
+        console.error('\n💾 Progress was saved and the edit kept, nothing was published. Fix the problem and rerun with --resume to continue from the failed step,');
+        console.error('   or run "./release-the-hounds.sh edit abort" to discard the edit.');
+      }
       console.error('\n💡 Troubleshooting:');
       console.error('   - Ensure service account has Play Console access (grant manually in Play Console)');
       console.error('   - Verify config file is valid');
@@ -787,6 +963,728 @@ program
     }
   });
 
+// Inspect build command - reads the manifest of a local AAB/APK without uploading it
+program
+  .command('inspect-build <file>')
+  .description('Show package name, version and SDK levels of a local AAB or APK')
+  .option('--json', 'Print as JSON')
+  .action(async (file, options) => {
+    try {
+      if (!(await fileExists(file))) {
+        throw new Error(`Build file not found: ${file}`);
+      }
+
+      const buildInfo = await inspectBuild(file);
+
+      if (options.json) {
+        console.log(JSON.stringify(buildInfo, null, 2));
+      } else {
+        printBuildInfo(buildInfo);
+        console.log('');
+      }
+    } catch (error) {
+      console.error('\n❌ Build inspection failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Share build command - internal app sharing for QA builds (no track release, no edit session)
+program
+  .command('share-build')
+  .description('Upload a QA build to internal app sharing and print its download link')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--aab <path>', 'AAB to share (defaults to build.aab from config)')
+  .option('--apk <path>', 'APK to share (defaults to build.apk from config)')
+  .option('--list', 'Show recently shared builds instead of uploading')
+  .action(async (options) => {
+    try {
+      const config = await loadPlayStoreConfig(options.config);
+
+      if (options.list) {
+        const shares = await loadSharedBuilds(config.packageName);
+
+        console.log(`\n🔗 Recently shared builds for ${config.packageName}:\n`);
+        if (shares.length === 0) {
+          console.log('   No shared builds yet. Run: ./release-the-hounds.sh share-build');
+        }
+        shares.forEach(share => {
+          console.log(`   ${share.sharedAt}  ${share.file}`);
+          console.log(`      ${share.downloadUrl}`);
+        });
+        console.log('');
+        return;
+      }
+
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const buildPath = options.aab || options.apk || config.build.aab || config.build.apk;
+      if (!buildPath || !(await fileExists(buildPath))) {
+        throw new Error(`Build file not found: ${buildPath}`);
+      }
+
+      const share = await shareBuild(config.packageName, buildPath);
+
+      console.log('\n✅ Build shared successfully!');
+      console.log(`   Download URL: ${share.downloadUrl}`);
+      console.log(`   Certificate fingerprint: ${share.certificateFingerprint}`);
+      console.log(`   SHA-256: ${share.sha256}\n`);
+    } catch (error) {
+      console.error('\n❌ Sharing build failed:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Lint listing command - checks listing copy of every locale for Play metadata policy pitfalls
+program
+  .command('lint-listing')
+  .description('Check store listing copy of every locale for common Play metadata policy violations')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    try {
+      const config = await loadPlayStoreConfig(options.config);
+      const listings = await loadListings(config.metadata);
+      const report = lintListings(listings, config.listingLint);
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(`\n🔎 Linting store listings of ${config.packageName}...\n`);
+        printLintReport(report);
+        console.log('');
+      }
+
+      if (report.errors > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('\n❌ Listing lint failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Check graphics command - validates store images against Play's size and format requirements
+program
+  .command('check-graphics')
+  .description('Check icon, feature graphic, TV banner and screenshots against Play image requirements (after graphics.autoFix, if enabled)')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    try {
+      const config = await loadPlayStoreConfig(options.config);
+      const defaultLanguage = config.appDetails?.defaultLanguage || DEFAULT_LISTING_LANGUAGE;
+      const { localeImages, fixes, unfixable } = await prepareLocaleImages(config.graphics, defaultLanguage);
+      const report = await checkGraphics(config.graphics, defaultLanguage, localeImages);
+
+      if (options.json) {
+        console.log(JSON.stringify({ ...report, fixes, unfixable }, null, 2));
+      } else {
+        console.log(`\n🖼️  Checking graphics of ${config.packageName}...\n`);
+        if (fixes.length + unfixable.length > 0) {
+          printImageFixes(fixes, unfixable);
+          console.log('');
+        }
+        printGraphicsReport(report);
+        console.log('');
+      }
+
+      if (report.problems.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('\n❌ Graphics check failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Frame screenshots command - composes raw captures into framed, captioned store screenshots
+program
+  .command('frame-screenshots')
+  .description('Compose raw captures onto a background with a device frame and localized captions')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--locale <locale>', 'Only frame the screenshots of this locale')
+  .action(async (options) => {
+    try {
+      const config = await loadPlayStoreConfig(options.config);
+      const summary = await frameScreenshots(config, { locale: options.locale });
+
+      for (const warning of summary.warnings) {
+        console.log(`   ⚠️  ${warning}`);
+      }
+
+      console.log(`\n✅ Framed ${summary.screenshots} screenshot(s) in ${summary.locales.length} locale(s)`);
+      console.log('   Run "check-graphics" to verify them, then publish to upload them.\n');
+    } catch (error) {
+      console.error('\n❌ Framing screenshots failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Pull listing command - downloads the current Play presence into local files
+program
+  .command('pull-listing')
+  .description('Download listings, images, app details and release notes from Play Console into local files')
+  .option('--config <path>', 'Path to play-store-config.json file (for the package name)', getDefaultConfigPath())
+  .option('--package <name>', 'Package name (instead of reading it from the config)')
+  .option('--out <dir>', 'Output directory', './play-store-listing')
+  .option('--force', 'Overwrite an earlier pull in the output directory')
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const packageName = options.package || (await loadPlayStoreConfig(options.config)).packageName;
+
+      if (!options.force && await fileExists(join(options.out, 'play-store-config.json'))) {
+        throw new Error(`${options.out} already contains a pulled listing. Use --force to overwrite it.`);
+      }
+
+      console.log(`\n📥 Pulling Play Store listing of ${packageName}...`);
+      const result = await pullListing(packageName, options.out);
+
+      console.log('\n✅ Listing pulled');
+      console.log(`   Locales: ${result.locales.join(', ') || 'none'}`);
+      console.log(`   Images: ${result.images}`);
+      if (result.versionCode) {
+        console.log(`   Latest release: ${result.versionCode} on ${result.track}`);
+      }
+      console.log(`   Config: ${result.configPath}`);
+      console.log('\n💡 Next steps:');
+      console.log(`   - ⚠️  Replace the placeholders metadata.category ("${PULL_PLACEHOLDERS.category}") and metadata.privacyPolicyUrl ("${PULL_PLACEHOLDERS.privacyPolicyUrl}"), which the API can't read`);
+      console.log('   - Set build.aab to your build output');
+      console.log(`   - Publish with: ./release-the-hounds.sh publish-play-store --config ${result.configPath}\n`);
+    } catch (error) {
+      console.error('\n❌ Failed to pull listing:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Plan command - shows what apply would change, using a throwaway edit
+program
+  .command('plan')
+  .description('Show the differences between the config and Play Console without changing anything')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--json', 'Print the plan as JSON')
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+
+      // --json keeps stdout to the plan itself
+      const quiet = Boolean(options.json);
+      const inputs = await loadPlanInputs(config);
+      const plan = await runInEditSession(
+        config.packageName,
+        editId => createPlan(config.packageName, editId, config, inputs, { quiet }),
+        { readOnly: true, quiet }
+      );
+
+      if (options.json) {
+        console.log(JSON.stringify(plan, null, 2));
+        return;
+      }
+
+      printPlan(config.packageName, plan);
+      if (plan.changeCount > 0) {
+        console.log('\n💡 Run "./release-the-hounds.sh apply" to apply these changes.\n');
+      } else {
+        console.log('\n✅ Play Console matches the config.\n');
+      }
+    } catch (error) {
+      console.error('\n❌ Plan failed:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Apply command - applies only the differences shown by plan, in one edit
+program
+  .command('apply')
+  .description('Apply the differences between the config and Play Console')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--yes', 'Apply without asking for confirmation (required in non-interactive shells)')
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      if (!options.yes && !process.stdin.isTTY) {
+        throw new Error('Not running interactively. Review the changes with "plan", then run apply with --yes.');
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+      const inputs = await loadPlanInputs(config);
+
+      const applied = await runInEditSession(config.packageName, async (editId) => {
+        const plan = await createPlan(config.packageName, editId, config, inputs);
+        printPlan(config.packageName, plan);
+
+        if (plan.changeCount === 0) {
+          await deleteEdit(config.packageName, editId);
+          console.log('\n✅ Play Console matches the config, nothing to apply.\n');
+          return false;
+        }
+
+        if (!options.yes && !(await confirm('\nApply these changes?', false))) {
+          await deleteEdit(config.packageName, editId);
+          console.log('\n   Cancelled, nothing was changed.\n');
+          return false;
+        }
+
+        await applyPlan(config.packageName, editId, config, inputs, plan);
+        await validateEdit(config.packageName, editId);
+        await commitEdit(config.packageName, editId);
+        return true;
+      });
+
+      if (applied) {
+        console.log('\n✅ Changes applied\n');
+      }
+    } catch (error) {
+      console.error('\n❌ Apply failed:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Checklist command - what the API can verify, and the Play Console steps still to do
+program
+  .command('checklist')
+  .description('Check launch readiness: app, access, listing, track, and the steps only Play Console can do')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--done <items...>', 'Mark Play Console steps as done (e.g., content-rating ads-declaration)')
+  .option('--pending <items...>', 'Mark items as pending again')
+  .option('--json', 'Print the checklist as JSON')
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+
+      if (options.done) {
+        await markChecklistItems(config.packageName, options.done, 'done', 'Confirmed manually');
+      }
+      if (options.pending) {
+        await markChecklistItems(config.packageName, options.pending, 'pending');
+      }
+
+      // --json keeps stdout to the checklist itself
+      const items = await runChecklist(config, { quiet: Boolean(options.json) });
+
+      if (options.json) {
+        console.log(JSON.stringify(items, null, 2));
+      } else {
+        console.log(`\n📋 Launch checklist for ${config.packageName}:\n`);
+        printChecklist(items);
+        console.log('');
+      }
+    } catch (error) {
+      console.error('\n❌ Checklist failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Sync products command - creates, updates and deactivates in-app products from the catalog
+program
+  .command('sync-products')
+  .description('Sync the one-time in-app products on Play with the inAppProducts catalog')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--plan', 'Show the differences without changing anything')
+  .option('--json', 'Print the differences as JSON without changing anything (implies --plan)')
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+      if (!config.inAppProducts) {
+        throw new Error('No inAppProducts section in the config');
+      }
+
+      const defaultLanguage = config.appDetails?.defaultLanguage || DEFAULT_LISTING_LANGUAGE;
+      const catalog = await loadProductCatalog(config.inAppProducts, defaultLanguage);
+      const diff = diffProducts(catalog, await listInAppProducts(config.packageName));
+
+      // --json is for scripts reading the plan, never apply changes behind it
+      if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+        return;
+      }
+
+      printProductPlan(config.packageName, diff);
+      const changeCount = diff.create.length + diff.update.length + diff.deactivate.length;
+
+      if (changeCount === 0) {
+        console.log('\n✅ In-app products match the catalog.\n');
+        return;
+      }
+      if (options.plan) {
+        console.log('\n💡 Run "./release-the-hounds.sh sync-products" to apply these changes.\n');
+        return;
+      }
+
+      console.log('');
+      await applyProductPlan(config.packageName, diff, catalog);
+      console.log('\n✅ In-app products synced\n');
+    } catch (error) {
+      console.error('\n❌ Product sync failed:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Tracks command - lists every track (including closed testing and form factor tracks) with its releases
+program
+  .command('tracks')
+  .description('List all tracks of the app with their current releases')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+
+      const tracks = await runInEditSession(
+        config.packageName,
+        editId => listTracks(config.packageName, editId),
+        { readOnly: true }
+      );
+
+      console.log(`\n🛤️  Tracks for ${config.packageName}:\n`);
+
+      if (tracks.length === 0) {
+        console.log('   No tracks found.');
+      }
+
+      for (const track of tracks) {
+        console.log(`   ${track.track}`);
+        const releases = track.releases || [];
+        if (releases.length === 0) {
+          console.log('      (no releases)');
+        }
+        for (const release of releases) {
+          const versionCodes = (release.versionCodes || []).join(', ') || '-';
+          const fraction = release.userFraction ? ` @ ${formatUserFraction(release.userFraction)}` : '';
+          const name = release.name ? ` "${release.name}"` : '';
+          console.log(`      ${release.status}${fraction}: ${versionCodes}${name}`);
+        }
+      }
+      console.log('');
+    } catch (error) {
+      console.error('\n❌ Failed to list tracks:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Promote command - moves an existing release between tracks without re-uploading
+program
+  .command('promote')
+  .description('Promote a release from one track to another without uploading a new build')
+  .requiredOption('--from <track>', 'Source track (e.g., internal)')
+  .requiredOption('--to <track>', 'Target track (e.g., production)')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--version-code <code>', 'Version code to promote (defaults to the latest release on the source track)')
+  .option('--rollout <fraction>', 'Staged rollout on the target track (e.g., 0.05 for 5%)', parseFloat)
+  .option('--clear-source', 'Remove the promoted release from the source track')
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+
+      console.log(`\n🚀 Promoting ${config.packageName}: ${options.from} → ${options.to}`);
+
+      const promoted = await runInEditSession(config.packageName, async (editId) => {
+        const release = await promoteRelease(config.packageName, editId, options.from, options.to, {
+          versionCode: options.versionCode || null,
+          userFraction: options.rollout ?? null,
+          clearSource: options.clearSource || false
+        });
+        await validateEdit(config.packageName, editId);
+        await commitEdit(config.packageName, editId);
+        return release;
+      });
+
+      console.log('\n✅ Release promoted successfully!');
+      console.log(`   Version: ${promoted.versionCodes.join(', ')}`);
+      console.log(`   Track: ${options.to}\n`);
+    } catch (error) {
+      console.error('\n❌ Promotion failed:', error.message);
+      if (error.code) {
+        console.error(`   Error code: ${error.code}`);
+      }
+      process.exit(1);
+    }
+  });
+
+// Data safety command group - the data safety form declared in the dataSafety config section
+const dataSafety = program
+  .command('data-safety')
+  .description('Work with the data safety form declared in the config');
+
+dataSafety
+  .command('export')
+  .description('Write the data safety CSV that publishing submits, for review')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--output <path>', 'CSV file to write', 'data-safety.csv')
+  .action(async (options) => {
+    try {
+      const config = await loadPlayStoreConfig(options.config);
+      if (!config.dataSafety) {
+        throw new Error('Config has no dataSafety section');
+      }
+
+      const result = await exportDataSafety(config.dataSafety, options.output);
+      console.log(`\n✅ Data safety CSV written: ${result.path} (${result.rows} rows)`);
+      console.log('   Review it, or import it in Play Console (Policy → App content → Data safety)\n');
+    } catch (error) {
+      console.error('\n❌ Data safety export failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+dataSafety
+  .command('submit')
+  .description('Submit the data safety form without publishing (Play applies it right away)')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .action(async (options) => {
+    try {
+      const authStatus = await checkGcloudStatus();
+      if (!authStatus.authenticated) {
+        console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+        process.exit(1);
+      }
+
+      const config = await loadPlayStoreConfig(options.config);
+      if (!config.dataSafety) {
+        throw new Error('Config has no dataSafety section');
+      }
+
+      await submitDataSafety(config.packageName, config.dataSafety);
+      await markChecklistItems(config.packageName, ['data-safety'], 'done', 'Submitted by data-safety submit');
+      console.log('');
+    } catch (error) {
+      console.error('\n❌ Data safety submission failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Rollout command group - manages staged rollouts on a live track without uploading a build
+const rollout = program
+  .command('rollout')
+  .description('Manage the staged rollout of a release already on a track');
+
+rollout
+  .command('set <fraction>')
+  .description('Increase the rollout to a fraction of users (e.g., 0.2 for 20%)')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--track <track>', 'Track with the staged rollout', 'production')
+  .action(async (fraction, options) => {
+    await runRolloutCommand(options, (packageName, editId, track) =>
+      setRolloutFraction(packageName, editId, track, parseFloat(fraction))
+    );
+  });
+
+rollout
+  .command('halt')
+  .description('Halt the staged rollout')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--track <track>', 'Track with the staged rollout', 'production')
+  .action(async (options) => {
+    await runRolloutCommand(options, haltRollout);
+  });
+
+rollout
+  .command('resume')
+  .description('Resume a halted rollout')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--track <track>', 'Track with the staged rollout', 'production')
+  .action(async (options) => {
+    await runRolloutCommand(options, resumeRollout);
+  });
+
+rollout
+  .command('complete')
+  .description('Complete the staged rollout (release to 100% of users)')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .option('--track <track>', 'Track with the staged rollout', 'production')
+  .action(async (options) => {
+    await runRolloutCommand(options, completeRollout);
+  });
+
+/**
+ * Apply a rollout change in a fresh edit session and commit it
+ * @param {Object} options - Command options (config, track)
+ * @param {Function} change - async (packageName, editId, track) => void
+ */
+async function runRolloutCommand(options, change) {
+  try {
+    const authStatus = await checkGcloudStatus();
+    if (!authStatus.authenticated) {
+      console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+      process.exit(1);
+    }
+
+    const config = await loadPlayStoreConfig(options.config);
+
+    console.log(`\n🚀 Updating rollout for ${config.packageName} (${options.track})`);
+
+    await runInEditSession(config.packageName, async (editId) => {
+      await change(config.packageName, editId, options.track);
+      await validateEdit(config.packageName, editId);
+      await commitEdit(config.packageName, editId);
+    });
+
+    console.log('\n✅ Rollout updated successfully!\n');
+  } catch (error) {
+    console.error('\n❌ Rollout update failed:', error.message);
+    if (error.code) {
+      console.error(`   Error code: ${error.code}`);
+    }
+    process.exit(1);
+  }
+}
+
+// Edit command group - inspect and clean up edit sessions by hand
+const edit = program
+  .command('edit')
+  .description('Inspect and manage the saved Play Console edit session');
+
+edit
+  .command('show')
+  .description('Show the saved edit session and whether it still exists')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .action(async (options) => {
+    await runEditCommand(options, async (packageName, editState) => {
+      const ageMinutes = Math.round((Date.now() - new Date(editState.createdAt)) / 60000);
+
+      console.log(`\n📝 Edit session for ${packageName}:`);
+      console.log(`   Edit ID: ${editState.editId}`);
+      console.log(`   Created: ${editState.createdAt} (${ageMinutes} min ago)`);
+
+      const remote = await getEdit(packageName, editState.editId);
+      if (remote) {
+        const expiresAt = new Date(parseInt(remote.expiryTimeSeconds, 10) * 1000);
+        console.log(`   Status: open (expires ${expiresAt.toISOString()})\n`);
+      } else {
+        console.log('   Status: no longer exists on Play (expired, committed or deleted)');
+        console.log('   Run "./release-the-hounds.sh edit abort" to clear it\n');
+      }
+    });
+  });
+
+edit
+  .command('validate')
+  .description('Validate the saved edit session without committing it')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .action(async (options) => {
+    await runEditCommand(options, async (packageName, editState) => {
+      await validateEdit(packageName, editState.editId);
+      console.log('');
+    });
+  });
+
+edit
+  .command('abort')
+  .description('Delete the saved edit session (e.g., kept by a failed publish), discarding its changes and the saved publish progress')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .action(async (options) => {
+    await runEditCommand(options, async (packageName, editState) => {
+      await deleteEdit(packageName, editState.editId);
+      // The failed run it belonged to can't be resumed any more
+      await clearPublishCheckpoint(packageName);
+      console.log(`\n✅ Edit session ${editState.editId} deleted\n`);
+    });
+  });
+
+edit
+  .command('commit')
+  .description('Validate and commit the saved edit session')
+  .option('--config <path>', 'Path to play-store-config.json file', getDefaultConfigPath())
+  .action(async (options) => {
+    await runEditCommand(options, async (packageName, editState) => {
+      await validateEdit(packageName, editState.editId);
+      await commitEdit(packageName, editState.editId);
+      console.log('');
+    });
+  });
+
+/**
+ * Run an edit subcommand against the edit session saved in state
+ * @param {Object} options - Command options (config)
+ * @param {Function} action - async (packageName, editState) => void
+ */
+async function runEditCommand(options, action) {
+  try {
+    const authStatus = await checkGcloudStatus();
+    if (!authStatus.authenticated) {
+      console.error('❌ Not authenticated. Run "./release-the-hounds.sh auth" first.');
+      process.exit(1);
+    }
+
+    const config = await loadPlayStoreConfig(options.config);
+    const editState = await loadEditState(config.packageName);
+
+    if (!editState?.editId) {
+      console.log(`\nℹ️  No saved edit session for ${config.packageName}\n`);
+      return;
+    }
+
+    await action(config.packageName, editState);
+  } catch (error) {
+    console.error('\n❌ Edit command failed:', error.message);
+    if (error.code) {
+      console.error(`   Error code: ${error.code}`);
+    }
+    process.exit(1);
+  }
+}
+
 // Parse arguments
 program.parse();
 
@@ -48,3 +48,20 @@ export const OAUTH_TIMEOUT = {
   REFRESH_BUFFER_MS: 5 * 60 * 1000,
 };
 
+
+export const PLAY_STORE_UPLOAD = {
+  // Base URL for media uploads (override to point at a local stand-in)
+  BASE_URL: process.env.PLAY_UPLOAD_BASE_URL || 'https://androidpublisher.googleapis.com/upload/androidpublisher/v3',
+
+  // Resumable upload chunk size (must be a multiple of 256 KB)
+  CHUNK_SIZE: 8 * 1024 * 1024,
+
+  // Retries per chunk for network errors, 5xx and 429 responses
+  MAX_RETRIES: 5,
+
+  // Initial backoff delay, doubled on every retry
+  RETRY_BASE_DELAY_MS: 1000,
+
+  // Per-request timeout; a stalled request is aborted and retried like a network error
+  REQUEST_TIMEOUT_MS: 5 * 60 * 1000,
+};
@@ -3,7 +3,7 @@
  */
 
 import { getPlayStoreClient } from './auth.js';
-import { createEdit, commitEdit } from './edits.js';
+import { runInEditSession } from './edits.js';
 import { readJsonFile, writeJsonFile } from '../utils/fs.js';
 import { PATHS } from '../config.js';
 
@@ -24,9 +24,9 @@ import { PATHS } from '../config.js';
  */
 export async function checkPlayStoreAppExists(packageName) {
   try {
-    // Try to create an edit - if this succeeds, app exists
-    const editId = await createEdit(packageName);
-    return true;
+    // Try to create an edit - if this succeeds, app exists. The probe edit is deleted right
+    // away and never saved, so it can't replace the edit of an earlier run.
+    return await runInEditSession(packageName, async () => true, { readOnly: true });
   } catch (error) {
     if (error.code === 404 || error.message.includes('not found') || error.message.includes('does not exist')) {
       return false;
@@ -103,14 +103,12 @@ export async function getPlayStoreApp(packageName) {
     // Try to get app details
     // Note: There's no direct "get app" endpoint, so we try to create an edit
     // If edit creation succeeds, app exists
-    const editId = await createEdit(packageName);
-    
     // Get listing to verify app exists
-    const listing = await androidpublisher.edits.listings.get({
+    const listing = await runInEditSession(packageName, editId => androidpublisher.edits.listings.get({
       packageName: packageName,
       editId: editId,
       language: 'en-US'
-    });
+    }), { readOnly: true });
 
     return {
       packageName: packageName,
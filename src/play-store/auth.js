@@ -14,6 +14,24 @@ import { loadProjectState } from '../gcp/project.js';
  * @returns {Promise<Object>} Authenticated androidpublisher client
  */
 export async function getPlayStoreClient(projectId = null) {
+  const auth = await getPlayStoreAuth(projectId);
+
+  // Create Android Publisher API client
+  const androidpublisher = google.androidpublisher({
+    version: 'v3',
+    auth: auth
+  });
+
+  return androidpublisher;
+}
+
+/**
+ * Get service account JWT auth client for the Android Publisher API
+ * Used directly for requests the generated client doesn't cover (e.g., resumable uploads)
+ * @param {string} projectId - GCP project ID
+ * @returns {Promise<Object>} google.auth.JWT client
+ */
+export async function getPlayStoreAuth(projectId = null) {
   // Load project state if projectId not provided
   if (!projectId) {
     const projectState = await loadProjectState();
@@ -38,13 +56,7 @@ export async function getPlayStoreClient(projectId = null) {
     ]
   });
 
-  // Create Android Publisher API client
-  const androidpublisher = google.androidpublisher({
-    version: 'v3',
-    auth: auth
-  });
-
-  return androidpublisher;
+  return auth;
 }
 
 /**
@@ -0,0 +1,80 @@
+/**
+ * Local AAB/APK inspection
+ * Reads the manifest from a build file so mismatches are caught before uploading
+ */
+
+import { extname } from 'path';
+import { readZipEntry } from '../utils/zip.js';
+import { parseProtoManifest, parseBinaryManifest, extractManifestInfo } from './manifest.js';
+
+/**
+ * Inspect an AAB or APK without uploading it
+ * @param {string} filePath - Path to AAB or APK file
+ * @returns {Promise<Object>} { file, type, packageName, versionCode, versionName, minSdk, targetSdk, permissions }
+ */
+export async function inspectBuild(filePath) {
+  const ext = extname(filePath).toLowerCase();
+
+  let manifest;
+  if (ext === '.aab') {
+    const data = await readZipEntry(filePath, 'base/manifest/AndroidManifest.xml');
+    if (!data) {
+      throw new Error(`Invalid AAB file: base/manifest/AndroidManifest.xml not found in ${filePath}`);
+    }
+    manifest = parseProtoManifest(data);
+  } else if (ext === '.apk') {
+    const data = await readZipEntry(filePath, 'AndroidManifest.xml');
+    if (!data) {
+      throw new Error(`Invalid APK file: AndroidManifest.xml not found in ${filePath}`);
+    }
+    manifest = parseBinaryManifest(data);
+  } else {
+    throw new Error(`Unsupported file type: ${ext}. Expected .aab or .apk`);
+  }
+
+  return {
+    file: filePath,
+    type: ext.slice(1),
+    ...extractManifestInfo(manifest)
+  };
+}
+
+/**
+ * Check an inspected build against the app before uploading
+ * @param {Object} buildInfo - Result of inspectBuild
+ * @param {string} packageName - Expected package name (config.packageName)
+ * @param {number|null} highestVersionCode - Highest version code already on any track (null if none)
+ */
+export function verifyBuildForUpload(buildInfo, packageName, highestVersionCode = null) {
+  if (buildInfo.packageName !== packageName) {
+    throw new Error(
+      `Package name mismatch: build is ${buildInfo.packageName}, config expects ${packageName}`
+    );
+  }
+
+  if (buildInfo.versionCode === null) {
+    throw new Error(`Could not read versionCode from ${buildInfo.file}`);
+  }
+
+  if (highestVersionCode !== null && buildInfo.versionCode <= highestVersionCode) {
+    throw new Error(
+      `versionCode ${buildInfo.versionCode} must be higher than ${highestVersionCode}, ` +
+      `the highest version code already on a track. Bump versionCode and rebuild.`
+    );
+  }
+}
+
+/**
+ * Print inspected build details
+ * @param {Object} buildInfo - Result of inspectBuild
+ */
+export function printBuildInfo(buildInfo) {
+  console.log(`\n🔎 ${buildInfo.file} (${buildInfo.type.toUpperCase()})`);
+  console.log(`   Package: ${buildInfo.packageName}`);
+  console.log(`   Version Code: ${buildInfo.versionCode}`);
+  console.log(`   Version Name: ${buildInfo.versionName ?? '-'}`);
+  console.log(`   Min SDK: ${buildInfo.minSdk}`);
+  console.log(`   Target SDK: ${buildInfo.targetSdk}`);
+  console.log(`   Permissions (${buildInfo.permissions.length}):`);
+  buildInfo.permissions.forEach(permission => console.log(`      ${permission}`));
+}
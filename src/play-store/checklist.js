@@ -0,0 +1,210 @@
+/**
+ * Launch checklist
+ * Probes what the Publishing API can verify (app, access, listing, track) and tracks the
+ * steps that only exist in Play Console (content rating questionnaire, target audience,
+ * ads declaration, app access). Results are kept in .autopublish/state.json, so items
+ * confirmed once stay done.
+ */
+
+import { runInEditSession } from './edits.js';
+import { listListings, getAppDetails } from './metadata.js';
+import { listImages } from './graphics.js';
+import { listTracks } from './tracks.js';
+import { loadChecklist, saveChecklist } from './state.js';
+
+/**
+ * Checklist items, in display order
+ * Manual items can't be read through the API; they are marked with checklist --done.
+ */
+export const CHECKLIST_ITEMS = [
+  { id: 'app-exists', title: 'App exists in Play Console', manual: false },
+  { id: 'play-console-access', title: 'Service account has Play Console access', manual: false },
+  { id: 'store-listing', title: 'Store listing complete', manual: false },
+  { id: 'track-release', title: 'Release on the configured track', manual: false },
+  { id: 'data-safety', title: 'Data safety form', manual: false, hint: 'Add a dataSafety section to the config, or fill in Policy → App content → Data safety' },
+  { id: 'content-rating', title: 'Content rating (IARC questionnaire)', manual: true, hint: 'Policy → App content → Content rating' },
+  { id: 'target-audience', title: 'Target audience and content', manual: true, hint: 'Policy → App content → Target audience and content' },
+  { id: 'ads-declaration', title: 'Ads declaration', manual: true, hint: 'Policy → App content → Ads' },
+  { id: 'app-access', title: 'App access instructions', manual: true, hint: 'Policy → App content → App access (login details for reviewers, or "all functionality is available")' }
+];
+
+const STATUS_ICONS = { done: '✅', pending: '⏳', unknown: '❔' };
+
+/**
+ * Check every item: probe the API, then merge with what was recorded earlier
+ * A probe that can't tell (unknown) keeps the last known status.
+ * @param {Object} config - Play Store config
+ * @param {Object} options - Checklist options
+ * @param {boolean} options.quiet - Don't log progress (e.g., for --json output)
+ * @returns {Promise<Array<Object>>} Items ([{ id, title, manual, hint, status, detail, checkedAt }])
+ */
+export async function runChecklist(config, options = {}) {
+  const saved = await loadChecklist(config.packageName);
+  const probes = await probeApi(config, options.quiet);
+  const now = new Date().toISOString();
+
+  const state = { ...saved };
+  for (const [id, probe] of Object.entries(probes)) {
+    if (probe.status !== 'unknown' || !saved[id]) {
+      state[id] = { ...probe, checkedAt: now };
+    }
+  }
+  await saveChecklist(config.packageName, state);
+
+  return CHECKLIST_ITEMS.map(item => {
+    // Manual steps can't be done for an app that doesn't exist yet
+    if (item.manual && !state[item.id] && probes['app-exists']?.status === 'pending') {
+      return { ...item, status: 'pending', detail: null, checkedAt: null };
+    }
+    return { ...item, status: 'unknown', detail: null, checkedAt: null, ...state[item.id] };
+  });
+}
+
+/**
+ * Record the status of items that the API can't verify (or that were just done by this tool)
+ * @param {string} packageName - Android package name
+ * @param {Array<string>} ids - Item IDs
+ * @param {string} status - 'done', 'pending' or 'unknown'
+ * @param {string} detail - Note shown with the item (optional)
+ */
+export async function markChecklistItems(packageName, ids, status, detail = null) {
+  const unknownIds = ids.filter(id => !CHECKLIST_ITEMS.some(item => item.id === id));
+  if (unknownIds.length > 0) {
+    throw new Error(`Unknown checklist item(s): ${unknownIds.join(', ')} (valid: ${CHECKLIST_ITEMS.map(item => item.id).join(', ')})`);
+  }
+  if (!STATUS_ICONS[status]) {
+    throw new Error(`Invalid checklist status "${status}" (valid: ${Object.keys(STATUS_ICONS).join(', ')})`);
+  }
+
+  const state = await loadChecklist(packageName);
+  for (const id of ids) {
+    state[id] = { status, detail, checkedAt: new Date().toISOString() };
+  }
+  await saveChecklist(packageName, state);
+}
+
+/**
+ * Probe the items the API can answer, in one read-only edit
+ * @returns {Promise<Object>} Probe result by item ID ({ status, detail })
+ */
+async function probeApi(config, quiet) {
+  const { packageName } = config;
+
+  try {
+    return await runInEditSession(packageName, async (editId) => ({
+      'app-exists': { status: 'done', detail: null },
+      'play-console-access': { status: 'done', detail: null },
+      'store-listing': await probe(() => probeStoreListing(packageName, editId)),
+      'track-release': await probe(() => probeTrack(packageName, editId, config.distribution?.track))
+    }), { readOnly: true, quiet });
+  } catch (error) {
+    // Opening the edit failed - tell a missing app apart from missing access
+    if (error.message.includes('not found in Play Console')) {
+      return {
+        'app-exists': { status: 'pending', detail: 'Create the app in Play Console (Home → Create app), then upload a first build' },
+        'play-console-access': { status: 'unknown', detail: 'Can\'t be checked before the app exists' }
+      };
+    }
+    if (error.message.includes('permission') || error.message.includes('403')) {
+      return {
+        'app-exists': { status: 'unknown', detail: 'Can\'t be checked without Play Console access' },
+        'play-console-access': { status: 'pending', detail: 'Invite the service account in Play Console → Users and permissions' }
+      };
+    }
+    return {
+      'app-exists': { status: 'unknown', detail: error.message },
+      'play-console-access': { status: 'unknown', detail: error.message }
+    };
+  }
+}
+
+/**
+ * Run one probe, turning API errors into an unknown status
+ */
+async function probe(check) {
+  try {
+    return await check();
+  } catch (error) {
+    return { status: 'unknown', detail: error.message };
+  }
+}
+
+/**
+ * The default listing needs texts, an icon, a feature graphic and 2+ phone screenshots,
+ * and the app a contact email
+ */
+async function probeStoreListing(packageName, editId) {
+  const details = await getAppDetails(packageName, editId);
+  const language = details.defaultLanguage || 'en-US';
+  const listing = (await listListings(packageName, editId)).find(listing => listing.language === language);
+  const missing = [];
+
+  for (const [field, label] of [['title', 'title'], ['shortDescription', 'short description'], ['fullDescription', 'full description']]) {
+    if (!listing?.[field]) {
+      missing.push(label);
+    }
+  }
+
+  for (const [imageType, label, minCount] of [['icon', 'icon', 1], ['featureGraphic', 'feature graphic', 1], ['phoneScreenshots', 'phone screenshots', 2]]) {
+    const count = (await listImages(packageName, editId, language, imageType)).length;
+    if (count < minCount) {
+      missing.push(minCount > 1 ? `${minCount}+ ${label} (found ${count})` : label);
+    }
+  }
+
+  if (!details.contactEmail) {
+    missing.push('contact email');
+  }
+
+  return missing.length > 0
+    ? { status: 'pending', detail: `${language} listing is missing: ${missing.join(', ')}` }
+    : { status: 'done', detail: `${language} listing` };
+}
+
+/**
+ * The configured track needs a release that is live (completed) or rolling out
+ */
+async function probeTrack(packageName, editId, trackName) {
+  if (!trackName) {
+    return { status: 'unknown', detail: 'No distribution.track in the config' };
+  }
+
+  const track = (await listTracks(packageName, editId)).find(track => track.track === trackName);
+  const releases = track?.releases || [];
+  const live = releases.find(release => ['completed', 'inProgress'].includes(release.status));
+
+  if (live) {
+    return { status: 'done', detail: `${trackName}: ${live.status} (${(live.versionCodes || []).join(', ')})` };
+  }
+  if (releases.length > 0) {
+    return { status: 'pending', detail: `${trackName}: only ${releases.map(release => release.status).join(', ')} release(s)` };
+  }
+  return { status: 'pending', detail: `${trackName}: no release yet` };
+}
+
+/**
+ * Print the checklist: open items first with what to do, done items collapsed
+ * @param {Array<Object>} items - Result of runChecklist
+ */
+export function printChecklist(items) {
+  const open = items.filter(item => item.status !== 'done');
+  const done = items.filter(item => item.status === 'done');
+
+  for (const item of open) {
+    console.log(`   ${STATUS_ICONS[item.status]} ${item.title} [${item.id}]: ${item.status}`);
+    if (item.detail) {
+      console.log(`      ${item.detail}`);
+    }
+    if (item.hint) {
+      console.log(`      → ${item.hint}`);
+    }
+  }
+
+  if (done.length > 0) {
+    console.log(`   ${STATUS_ICONS.done} Done: ${done.map(item => item.title).join(', ')}`);
+  }
+
+  if (open.some(item => item.manual)) {
+    console.log('\n   Mark Play Console steps once completed: checklist --done <item> [...]');
+  }
+}
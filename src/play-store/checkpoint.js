@@ -0,0 +1,185 @@
+/**
+ * Play Store publish checkpoints
+ * Records per-step progress of publish-play-store in .autopublish/state.json
+ * so a failed run can be resumed in the same edit from the first incomplete step
+ */
+
+import { createHash } from 'crypto';
+import { readdir, stat } from 'fs/promises';
+import { join } from 'path';
+import { readJsonFile, writeJsonFile, fileExists, hashFile } from '../utils/fs.js';
+import { PATHS } from '../config.js';
+import { SINGLE_IMAGE_TYPES } from './graphics.js';
+
+/**
+ * Create a checkpoint for a new publish run
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {Object} inputHashes - Result of computeInputHashes
+ * @returns {Object} Checkpoint
+ */
+export function createPublishCheckpoint(packageName, editId, inputHashes) {
+  return {
+    packageName: packageName,
+    editId: editId,
+    versionCode: null,
+    completedSteps: {},
+    inputHashes: inputHashes,
+    startedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Run a publish step unless the checkpoint already has it completed
+ * The step is recorded together with the inputs it depends on, so a resume can
+ * tell whether a changed config or build invalidates it.
+ * @param {Object} checkpoint - Publish checkpoint
+ * @param {string} stepId - Step identifier (e.g., 'upload', 'metadata')
+ * @param {Array<string>} inputs - Input names the step depends on (keys of inputHashes)
+ * @param {Function} work - async () => void
+ * @returns {Promise<boolean>} True if the step ran, false if skipped
+ */
+export async function runCheckpointedStep(checkpoint, stepId, inputs, work) {
+  if (checkpoint.completedSteps[stepId]) {
+    console.log(`   ⏭️  Already completed in the previous run, skipping`);
+    return false;
+  }
+
+  await work();
+
+  checkpoint.completedSteps[stepId] = {
+    inputs: inputs,
+    completedAt: new Date().toISOString()
+  };
+  await savePublishCheckpoint(checkpoint);
+
+  return true;
+}
+
+/**
+ * Find completed steps whose inputs changed since they ran
+ * @param {Object} checkpoint - Saved publish checkpoint
+ * @param {Object} inputHashes - Current input hashes
+ * @returns {Array<Object>} Invalidated steps ([{ stepId, changedInputs }])
+ */
+export function findInvalidatedSteps(checkpoint, inputHashes) {
+  const invalidated = [];
+
+  for (const [stepId, step] of Object.entries(checkpoint.completedSteps)) {
+    const changedInputs = step.inputs.filter(input => checkpoint.inputHashes[input] !== inputHashes[input]);
+    if (changedInputs.length > 0) {
+      invalidated.push({ stepId, changedInputs });
+    }
+  }
+
+  return invalidated;
+}
+
+/**
+ * Hash every publish input that steps depend on
+ * @param {Object} config - Play Store config (after CLI overrides)
+ * @param {Object} files - Resolved files
+ * @param {string} files.buildPath - AAB/APK path
+ * @param {string} files.mappingFile - Mapping file path (optional)
+ * @param {Array<Object>} files.listings - Loaded store listings
+ * @param {Array<Object>} files.releaseNotes - Loaded release notes (optional)
+ * @returns {Promise<Object>} Map of input name to SHA-256 hash
+ */
+export async function computeInputHashes(config, files) {
+  return {
+    build: await hashPath(files.buildPath),
+    debugFiles: hashValue([
+      files.mappingFile ? await hashPath(files.mappingFile) : null,
+      config.build.nativeSymbols ? await hashPath(config.build.nativeSymbols) : null
+    ]),
+    metadata: hashValue([config.metadata, files.listings]),
+    appDetails: hashValue(config.appDetails),
+    graphics: hashValue([
+      config.graphics,
+      // The default language is the fallback for locale graphics
+      config.appDetails?.defaultLanguage,
+      ...await Promise.all(
+        ['localesDir', 'screenshotsDir', ...SINGLE_IMAGE_TYPES]
+          .map(key => config.graphics?.[key] ? hashPath(config.graphics[key]) : null)
+      )
+    ]),
+    pricing: hashValue(config.distribution?.pricing),
+    track: hashValue([config.distribution?.track, config.distribution?.rollout, files.releaseNotes]),
+    countries: hashValue(config.distribution?.countries)
+  };
+}
+
+/**
+ * Hash a JSON-serializable value
+ */
+function hashValue(value) {
+  return createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+/**
+ * Hash a file's contents, or a directory's file names and contents recursively
+ * Missing paths hash to a fixed marker so appearing/disappearing files count as changes.
+ */
+async function hashPath(path) {
+  if (!(await fileExists(path))) {
+    return 'missing';
+  }
+
+  const info = await stat(path);
+
+  if (info.isDirectory()) {
+    const entries = (await readdir(path)).sort();
+    const hashes = [];
+    for (const entry of entries) {
+      hashes.push([entry, await hashPath(join(path, entry))]);
+    }
+    return hashValue(hashes);
+  }
+
+  return await hashFile(path);
+}
+
+/**
+ * Save publish checkpoint
+ * @param {Object} checkpoint - Publish checkpoint
+ */
+export async function savePublishCheckpoint(checkpoint) {
+  const state = await readJsonFile(PATHS.STATE_FILE) || {};
+
+  if (!state.playStore) {
+    state.playStore = {};
+  }
+  if (!state.playStore.publishCheckpoints) {
+    state.playStore.publishCheckpoints = {};
+  }
+
+  state.playStore.publishCheckpoints[checkpoint.packageName] = {
+    ...checkpoint,
+    updatedAt: new Date().toISOString()
+  };
+
+  await writeJsonFile(PATHS.STATE_FILE, state);
+}
+
+/**
+ * Load publish checkpoint
+ * @param {string} packageName - Android package name
+ * @returns {Promise<Object|null>} Checkpoint or null if none
+ */
+export async function loadPublishCheckpoint(packageName) {
+  const state = await readJsonFile(PATHS.STATE_FILE);
+  return state?.playStore?.publishCheckpoints?.[packageName] || null;
+}
+
+/**
+ * Clear publish checkpoint
+ * @param {string} packageName - Android package name
+ */
+export async function clearPublishCheckpoint(packageName) {
+  const state = await readJsonFile(PATHS.STATE_FILE) || {};
+
+  if (state.playStore?.publishCheckpoints?.[packageName]) {
+    delete state.playStore.publishCheckpoints[packageName];
+    await writeJsonFile(PATHS.STATE_FILE, state);
+  }
+}
@@ -68,32 +68,42 @@ export async function generatePlayStoreConfigTemplate(outputPath = null, force =
     packageName: packageName || "com.example.app",
     build: {
       aab: "./android/app/build/outputs/bundle/release/app-release.aab",
-      apk: null
+      apk: null,
+      mappingFile: null,
+      nativeSymbols: null
     },
     metadata: {
       title: appDisplayName || "My Awesome App",
       shortDescription: "Short description (max 80 characters)",
       fullDescription: "Full description with details about your app. This can be up to 4000 characters and should describe what your app does, its features, and any important information users should know.",
       category: "APPLICATION_PRODUCTIVITY",
-      privacyPolicyUrl: "https://example.com/privacy"
+      privacyPolicyUrl: "https://example.com/privacy",
+      localesDir: null
+    },
+    appDetails: {
+      contactEmail: "support@example.com",
+      contactWebsite: "https://example.com",
+      contactPhone: null,
+      defaultLanguage: "en-US"
     },
     graphics: {
       screenshotsDir: "./screenshots/android",
       icon: null,
-      featureGraphic: null
+      featureGraphic: null,
+      promoGraphic: null,
+      tvBanner: null,
+      localesDir: null,
+      autoFix: false
+    },
+    releaseNotes: {
+      "en-US": "Bug fixes and performance improvements"
     },
-    contentRating: {
-      isFinancialApp: false,
-      isHealthApp: false,
-      isGamblingApp: false,
-      targetAgeGroup: "EVERYONE",
-      containsViolence: false,
-      containsSexualContent: false,
-      containsDrugs: false,
-      dataSafety: {
-        collectsPersonalData: false,
-        sharesPersonalData: false,
-        collectsLocation: false
+    dataSafety: {
+      encryptedInTransit: true,
+      deletionRequests: true,
+      deletionUrl: null,
+      dataTypes: {
+        crashLogs: { collected: ["analytics"], shared: [], optional: false, ephemeral: false }
       }
     },
     distribution: {
@@ -126,8 +136,9 @@ export async function generatePlayStoreConfigTemplate(outputPath = null, force =
   console.log(`   2. Fill in metadata (descriptions, category, privacy policy)`);
   console.log(`   3. Update build path if different`);
   console.log(`   4. Add screenshots to screenshots/android/`);
-  console.log(`   5. Answer content rating questions`);
-  console.log(`   6. Run: ./release-the-hounds.sh publish-play-store\n`);
+  console.log(`   5. Declare collected data in the dataSafety section`);
+  console.log(`   6. Run: ./release-the-hounds.sh publish-play-store`);
+  console.log(`   7. Run: ./release-the-hounds.sh checklist (Play Console steps like the content rating questionnaire)\n`);
 
   return configPath;
 }
@@ -5,6 +5,8 @@
 
 import { readJsonFile, fileExists } from '../utils/fs.js';
 import { join } from 'path';
+import { validateAppDetails } from './metadata.js';
+import { PULL_PLACEHOLDERS } from './pull.js';
 
 /**
  * Load and validate Play Store config file
@@ -44,14 +46,31 @@ function validateConfig(config) {
     throw new Error('Config must specify either build.aab or build.apk');
   }
 
-  // Validate metadata section
-  const requiredMetadata = ['title', 'shortDescription', 'fullDescription', 'category', 'privacyPolicyUrl'];
-  const missingMetadata = requiredMetadata.filter(field => !config.metadata[field]);
+  // Validate metadata section (listing texts may come from metadata.localesDir instead)
+  const requiredMetadata = config.metadata.localesDir
+    ? ['category', 'privacyPolicyUrl']
+    : ['title', 'shortDescription', 'fullDescription', 'category', 'privacyPolicyUrl'];
+  const missingMetadata = requiredMetadata
+    // The full description may come from a (Markdown) file instead
+    .filter(field => !(field === 'fullDescription' && config.metadata.fullDescriptionFile))
+    .filter(field => !config.metadata[field]);
 
   if (missingMetadata.length > 0) {
     throw new Error(`Missing required metadata fields: ${missingMetadata.join(', ')}`);
   }
 
+  // pull-listing writes placeholders for fields the API can't read
+  const placeholders = Object.entries(PULL_PLACEHOLDERS).filter(([field, value]) => config.metadata[field] === value);
+  if (placeholders.length > 0) {
+    const fields = placeholders.map(([field, value]) => `metadata.${field} ("${value}")`).join(', ');
+    throw new Error(`Replace the pulled placeholder ${fields} with the real value from Play Console`);
+  }
+
+  // Validate contact details formats (the default language is checked against listings when applied)
+  if (config.appDetails) {
+    validateAppDetails(config.appDetails);
+  }
+
   // Validate category format
   const validCategories = [
     'APPLICATION_PRODUCTIVITY',
@@ -99,32 +118,42 @@ export async function createExampleConfig(outputPath) {
     packageName: "com.example.app",
     build: {
       aab: "./app/build/outputs/bundle/release/app-release.aab",
-      apk: null
+      apk: null,
+      mappingFile: null,
+      nativeSymbols: null
     },
     metadata: {
       title: "My Awesome App",
       shortDescription: "Short description (max 80 characters)",
       fullDescription: "Full description with details about your app. This can be up to 4000 characters.",
       category: "APPLICATION_PRODUCTIVITY",
-      privacyPolicyUrl: "https://example.com/privacy"
+      privacyPolicyUrl: "https://example.com/privacy",
+      localesDir: null
+    },
+    appDetails: {
+      contactEmail: "support@example.com",
+      contactWebsite: "https://example.com",
+      contactPhone: null,
+      defaultLanguage: "en-US"
     },
     graphics: {
       screenshotsDir: "./screenshots/android",
       icon: "./assets/icon-512.png",
-      featureGraphic: "./assets/feature-graphic-1024x500.png"
+      featureGraphic: "./assets/feature-graphic-1024x500.png",
+      promoGraphic: null,
+      tvBanner: null,
+      localesDir: null,
+      autoFix: false
+    },
+    releaseNotes: {
+      "en-US": "Bug fixes and performance improvements"
     },
-    contentRating: {
-      isFinancialApp: false,
-      isHealthApp: false,
-      isGamblingApp: false,
-      targetAgeGroup: "EVERYONE",
-      containsViolence: false,
-      containsSexualContent: false,
-      containsDrugs: false,
-      dataSafety: {
-        collectsPersonalData: false,
-        sharesPersonalData: false,
-        collectsLocation: false
+    dataSafety: {
+      encryptedInTransit: true,
+      deletionRequests: true,
+      deletionUrl: null,
+      dataTypes: {
+        crashLogs: { collected: ["analytics"], shared: [], optional: false, ephemeral: false }
       }
     },
     distribution: {
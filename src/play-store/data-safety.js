@@ -0,0 +1,272 @@
+/**
+ * Play Store data safety form
+ * Builds the data safety CSV (the format of Play Console's "Export to CSV" on the
+ * data safety page) from the dataSafety config section and submits it
+ */
+
+import { writeFile } from 'fs/promises';
+import { getPlayStoreClient } from './auth.js';
+
+/**
+ * Data types of the form by config key, grouped by category
+ * [category question ID, response ID, label]
+ */
+export const DATA_TYPES = {
+  name: ['PSL_DATA_TYPES_PERSONAL', 'PSL_NAME', 'Name'],
+  email: ['PSL_DATA_TYPES_PERSONAL', 'PSL_EMAIL', 'Email address'],
+  userIds: ['PSL_DATA_TYPES_PERSONAL', 'PSL_USER_ACCOUNT', 'User IDs'],
+  address: ['PSL_DATA_TYPES_PERSONAL', 'PSL_ADDRESS', 'Address'],
+  phone: ['PSL_DATA_TYPES_PERSONAL', 'PSL_PHONE', 'Phone number'],
+  raceAndEthnicity: ['PSL_DATA_TYPES_PERSONAL', 'PSL_RACE_ETHNICITY', 'Race and ethnicity'],
+  politicalOrReligiousBeliefs: ['PSL_DATA_TYPES_PERSONAL', 'PSL_POLITICAL_RELIGIOUS', 'Political or religious beliefs'],
+  sexualOrientation: ['PSL_DATA_TYPES_PERSONAL', 'PSL_SEXUAL_ORIENTATION_GENDER_IDENTITY', 'Sexual orientation'],
+  otherPersonalInfo: ['PSL_DATA_TYPES_PERSONAL', 'PSL_OTHER_PERSONAL', 'Other personal info'],
+  paymentInfo: ['PSL_DATA_TYPES_FINANCIAL', 'PSL_CREDIT_DEBIT_BANK_ACCOUNT_NUMBER', 'User payment info'],
+  purchaseHistory: ['PSL_DATA_TYPES_FINANCIAL', 'PSL_PURCHASE_HISTORY', 'Purchase history'],
+  creditScore: ['PSL_DATA_TYPES_FINANCIAL', 'PSL_CREDIT_SCORE', 'Credit score'],
+  otherFinancialInfo: ['PSL_DATA_TYPES_FINANCIAL', 'PSL_OTHER', 'Other financial info'],
+  approximateLocation: ['PSL_DATA_TYPES_LOCATION', 'PSL_APPROX_LOCATION', 'Approximate location'],
+  preciseLocation: ['PSL_DATA_TYPES_LOCATION', 'PSL_PRECISE_LOCATION', 'Precise location'],
+  webBrowsingHistory: ['PSL_DATA_TYPES_SEARCH_AND_BROWSING', 'PSL_WEB_BROWSING_HISTORY', 'Web browsing history'],
+  emails: ['PSL_DATA_TYPES_EMAIL_AND_TEXT', 'PSL_EMAILS', 'Emails'],
+  sms: ['PSL_DATA_TYPES_EMAIL_AND_TEXT', 'PSL_SMS_CALL_LOG', 'SMS or MMS'],
+  otherMessages: ['PSL_DATA_TYPES_EMAIL_AND_TEXT', 'PSL_OTHER_MESSAGES', 'Other in-app messages'],
+  photos: ['PSL_DATA_TYPES_PHOTOS_AND_VIDEOS', 'PSL_PHOTOS', 'Photos'],
+  videos: ['PSL_DATA_TYPES_PHOTOS_AND_VIDEOS', 'PSL_VIDEOS', 'Videos'],
+  voiceOrSoundRecordings: ['PSL_DATA_TYPES_AUDIO', 'PSL_AUDIO', 'Voice or sound recordings'],
+  musicFiles: ['PSL_DATA_TYPES_AUDIO', 'PSL_MUSIC', 'Music files'],
+  otherAudioFiles: ['PSL_DATA_TYPES_AUDIO', 'PSL_OTHER_AUDIO', 'Other audio files'],
+  healthInfo: ['PSL_DATA_TYPES_HEALTH_AND_FITNESS', 'PSL_HEALTH', 'Health info'],
+  fitnessInfo: ['PSL_DATA_TYPES_HEALTH_AND_FITNESS', 'PSL_FITNESS', 'Fitness info'],
+  contacts: ['PSL_DATA_TYPES_CONTACTS', 'PSL_CONTACTS', 'Contacts'],
+  calendarEvents: ['PSL_DATA_TYPES_CALENDAR', 'PSL_CALENDAR', 'Calendar events'],
+  crashLogs: ['PSL_DATA_TYPES_APP_PERFORMANCE', 'PSL_CRASH_LOGS', 'Crash logs'],
+  diagnostics: ['PSL_DATA_TYPES_APP_PERFORMANCE', 'PSL_PERFORMANCE_DIAGNOSTICS', 'Diagnostics'],
+  otherAppPerformanceData: ['PSL_DATA_TYPES_APP_PERFORMANCE', 'PSL_OTHER_PERFORMANCE', 'Other app performance data'],
+  filesAndDocs: ['PSL_DATA_TYPES_FILES_AND_DOCS', 'PSL_FILES_AND_DOCS', 'Files and docs'],
+  appInteractions: ['PSL_DATA_TYPES_APP_ACTIVITY', 'PSL_USER_INTERACTION', 'App interactions'],
+  inAppSearchHistory: ['PSL_DATA_TYPES_APP_ACTIVITY', 'PSL_IN_APP_SEARCH_HISTORY', 'In-app search history'],
+  installedApps: ['PSL_DATA_TYPES_APP_ACTIVITY', 'PSL_APPS_ON_DEVICE', 'Installed apps'],
+  otherUserGeneratedContent: ['PSL_DATA_TYPES_APP_ACTIVITY', 'PSL_USER_GENERATED_CONTENT', 'Other user-generated content'],
+  otherActions: ['PSL_DATA_TYPES_APP_ACTIVITY', 'PSL_OTHER_APP_ACTIVITY', 'Other actions'],
+  deviceIds: ['PSL_DATA_TYPES_IDENTIFIERS', 'PSL_DEVICE_ID', 'Device or other IDs']
+};
+
+/**
+ * Collection and sharing purposes by config key ([response ID, label])
+ */
+export const DATA_PURPOSES = {
+  appFunctionality: ['PSL_APP_FUNCTIONALITY', 'App functionality'],
+  analytics: ['PSL_ANALYTICS', 'Analytics'],
+  developerCommunications: ['PSL_DEVELOPER_COMMUNICATIONS', 'Developer communications'],
+  advertising: ['PSL_ADVERTISING', 'Advertising or marketing'],
+  fraudPrevention: ['PSL_FRAUD_PREVENTION_SECURITY', 'Fraud prevention, security, and compliance'],
+  personalization: ['PSL_PERSONALIZATION', 'Personalization'],
+  accountManagement: ['PSL_ACCOUNT_MANAGEMENT', 'Account management']
+};
+
+// Keys of the dataSafety section; anything else is most likely a typo
+const SECTION_KEYS = ['encryptedInTransit', 'deletionRequests', 'deletionUrl', 'dataTypes'];
+
+const CSV_HEADER = [
+  'Question ID (machine readable)',
+  'Response ID (machine readable)',
+  'Response value',
+  'Answer requirement',
+  'Human-friendly question label'
+];
+
+/**
+ * Check the dataSafety config section
+ * dataTypes is required, even when empty: a missing or misspelled key must not be
+ * submitted as "collects no user data".
+ * @param {Object} dataSafety - dataSafety section of play-store-config.json
+ * @returns {Array<string>} Problems (empty when the form is complete)
+ */
+export function validateDataSafety(dataSafety) {
+  const problems = [];
+  const dataTypes = dataSafety?.dataTypes;
+
+  for (const key of Object.keys(dataSafety || {}).filter(key => !SECTION_KEYS.includes(key))) {
+    problems.push(`${key}: unknown field (valid: ${SECTION_KEYS.join(', ')})`);
+  }
+
+  if (dataTypes === undefined) {
+    return [...problems, 'dataTypes is required: list every data type the app collects or shares, or set it to {} if it collects none'];
+  }
+  if (!dataTypes || typeof dataTypes !== 'object' || Array.isArray(dataTypes)) {
+    return [...problems, 'dataTypes must be an object keyed by data type'];
+  }
+
+  for (const [key, usage] of Object.entries(dataTypes)) {
+    if (!DATA_TYPES[key]) {
+      problems.push(`dataTypes.${key}: unknown data type (valid: ${Object.keys(DATA_TYPES).join(', ')})`);
+      continue;
+    }
+
+    for (const field of ['collected', 'shared']) {
+      const purposes = usage?.[field] ?? [];
+      if (!Array.isArray(purposes)) {
+        problems.push(`dataTypes.${key}.${field}: must be a list of purposes`);
+        continue;
+      }
+      for (const purpose of purposes.filter(purpose => !DATA_PURPOSES[purpose])) {
+        problems.push(`dataTypes.${key}.${field}: unknown purpose "${purpose}" (valid: ${Object.keys(DATA_PURPOSES).join(', ')})`);
+      }
+    }
+
+    if (!usage?.collected?.length && !usage?.shared?.length) {
+      problems.push(`dataTypes.${key}: list the purposes it is collected and/or shared for, or remove it`);
+    }
+
+    for (const field of ['optional', 'ephemeral']) {
+      if (usage?.[field] !== undefined && typeof usage[field] !== 'boolean') {
+        problems.push(`dataTypes.${key}.${field}: must be true or false`);
+      }
+    }
+  }
+
+  // The security questions are only asked when the app collects or shares data
+  if (Object.keys(dataTypes).length > 0) {
+    if (typeof dataSafety.encryptedInTransit !== 'boolean') {
+      problems.push('encryptedInTransit: must be true or false');
+    }
+    if (typeof dataSafety.deletionRequests !== 'boolean') {
+      problems.push('deletionRequests: must be true or false (can users request that their data is deleted?)');
+    }
+  }
+
+  if (dataSafety?.deletionUrl && !/^https?:\/\//.test(dataSafety.deletionUrl)) {
+    problems.push(`deletionUrl: must be an http(s) URL, found "${dataSafety.deletionUrl}"`);
+  }
+
+  return problems;
+}
+
+/**
+ * Build the data safety CSV from the dataSafety config section
+ * Every data type of the form gets a row, so types left out are declared as not collected.
+ * @param {Object} dataSafety - dataSafety section of play-store-config.json
+ * @returns {string} CSV contents
+ */
+export function buildDataSafetyCsv(dataSafety) {
+  const problems = validateDataSafety(dataSafety);
+  if (problems.length > 0) {
+    throw new Error(`Invalid dataSafety:\n   - ${problems.join('\n   - ')}`);
+  }
+
+  const dataTypes = dataSafety.dataTypes || {};
+  const collectsData = Object.keys(dataTypes).length > 0;
+  const rows = [
+    ['PSL_DATA_COLLECTION_COLLECTS_PERSONAL_DATA', '', String(collectsData), 'Does your app collect or share any of the required user data types?']
+  ];
+
+  if (collectsData) {
+    rows.push(
+      ['PSL_DATA_COLLECTION_ENCRYPTED_IN_TRANSIT', '', String(dataSafety.encryptedInTransit), 'Is all of the user data collected by your app encrypted in transit?'],
+      ['PSL_SUPPORT_DATA_DELETION_BY_USER', 'DATA_DELETION_YES', choice(dataSafety.deletionRequests), 'Do you provide a way for users to request that their data is deleted?'],
+      ['PSL_SUPPORT_DATA_DELETION_BY_USER', 'DATA_DELETION_NO', choice(!dataSafety.deletionRequests), 'Do you provide a way for users to request that their data is deleted?']
+    );
+  }
+
+  if (dataSafety.deletionUrl) {
+    rows.push(['PSL_DATA_DELETION_URL', '', dataSafety.deletionUrl, 'Data deletion URL']);
+  }
+
+  for (const [key, [category, id, label]] of Object.entries(DATA_TYPES)) {
+    rows.push([category, id, choice(Boolean(dataTypes[key])), label]);
+  }
+
+  for (const [key, usage] of Object.entries(dataTypes)) {
+    const [, id, label] = DATA_TYPES[key];
+    const question = `PSL_DATA_USAGE_RESPONSES:${id}`;
+    const collected = usage.collected || [];
+    const shared = usage.shared || [];
+
+    rows.push(
+      [`${question}:PSL_DATA_USAGE_COLLECTION_AND_SHARING`, 'PSL_DATA_USAGE_ONLY_COLLECTED', choice(collected.length > 0), `${label}: collected`],
+      [`${question}:PSL_DATA_USAGE_COLLECTION_AND_SHARING`, 'PSL_DATA_USAGE_ONLY_SHARED', choice(shared.length > 0), `${label}: shared`]
+    );
+
+    if (collected.length > 0) {
+      rows.push(
+        [`${question}:PSL_DATA_USAGE_EPHEMERAL`, '', String(usage.ephemeral ?? false), `${label}: processed ephemerally?`],
+        [`${question}:DATA_USAGE_USER_CONTROL`, 'PSL_DATA_USAGE_USER_CONTROL_OPTIONAL', choice(usage.optional === true), `${label}: users can choose whether it is collected`],
+        [`${question}:DATA_USAGE_USER_CONTROL`, 'PSL_DATA_USAGE_USER_CONTROL_REQUIRED', choice(usage.optional !== true), `${label}: collection is required`],
+        ...purposeRows(`${question}:DATA_USAGE_COLLECTION_PURPOSE`, collected, `${label}: collected for`)
+      );
+    }
+
+    if (shared.length > 0) {
+      rows.push(...purposeRows(`${question}:DATA_USAGE_SHARING_PURPOSE`, shared, `${label}: shared for`));
+    }
+  }
+
+  return [CSV_HEADER, ...rows.map(([question, response, value, label]) => [question, response, value, '', label])]
+    .map(row => row.map(csvField).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * One row per purpose, selected or not
+ */
+function purposeRows(question, purposes, label) {
+  return Object.entries(DATA_PURPOSES).map(([key, [id, purposeLabel]]) =>
+    [question, id, choice(purposes.includes(key)), `${label} ${purposeLabel.toLowerCase()}`]
+  );
+}
+
+/**
+ * Value of a multiple-choice response: "true" when selected, empty otherwise
+ */
+function choice(selected) {
+  return selected ? 'true' : '';
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Write the data safety CSV for review
+ * @param {Object} dataSafety - dataSafety section of play-store-config.json
+ * @param {string} outputPath - CSV file path
+ * @returns {Promise<Object>} { path, rows }
+ */
+export async function exportDataSafety(dataSafety, outputPath) {
+  const csv = buildDataSafetyCsv(dataSafety);
+  await writeFile(outputPath, csv);
+  return { path: outputPath, rows: csv.trim().split('\n').length - 1 };
+}
+
+/**
+ * Submit the data safety form
+ * Applied to the app right away - it is not part of an edit.
+ * @param {string} packageName - Android package name
+ * @param {Object} dataSafety - dataSafety section of play-store-config.json
+ * @returns {Promise<Object>} Submission result
+ */
+export async function submitDataSafety(packageName, dataSafety) {
+  const androidpublisher = await getPlayStoreClient();
+  const csv = buildDataSafetyCsv(dataSafety);
+  const dataTypeCount = Object.keys(dataSafety.dataTypes || {}).length;
+
+  console.log(`\n🔒 Submitting data safety form (${dataTypeCount} data type(s) collected or shared)...`);
+
+  try {
+    const response = await androidpublisher.applications.dataSafety({
+      packageName: packageName,
+      requestBody: {
+        safetyLabels: csv
+      }
+    });
+
+    console.log(`   ✅ Data safety form submitted`);
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to submit data safety form: ${error.message}`);
+  }
+}
@@ -58,68 +58,6 @@ export async function setPricing(packageName, editId, pricing) {
   }
 }
 
-/**
- * Set release track
- * @param {string} packageName - Android package name
- * @param {string} editId - Edit session ID
- * @param {string} track - Release track ('internal', 'alpha', 'beta', 'production')
- * @param {number} versionCode - Version code to release
- * @param {string} releaseNotes - Release notes (optional)
- * @returns {Promise<Object>} Track result
- */
-export async function setReleaseTrack(packageName, editId, track, versionCode, releaseNotes = null) {
-  const androidpublisher = await getPlayStoreClient();
-
-  console.log(`\n🚀 Setting release track: ${track}`);
-
-  const validTracks = ['internal', 'alpha', 'beta', 'production'];
-  if (!validTracks.includes(track)) {
-    throw new Error(`Invalid track: ${track}. Must be one of: ${validTracks.join(', ')}`);
-  }
-
-  try {
-    // Get current track releases
-    const currentReleases = await androidpublisher.edits.tracks.get({
-      packageName: packageName,
-      editId: editId,
-      track: track
-    });
-
-    // Create new release
-    const releases = currentReleases.data?.releases || [];
-    const newRelease = {
-      versionCodes: [versionCode.toString()],
-      status: 'completed'
-    };
-
-    if (releaseNotes) {
-      newRelease.releaseNotes = [
-        {
-          language: 'en-US',
-          text: releaseNotes
-        }
-      ];
-    }
-
-    releases.push(newRelease);
-
-    // Update track
-    const response = await androidpublisher.edits.tracks.update({
-      packageName: packageName,
-      editId: editId,
-      track: track,
-      requestBody: {
-        releases: releases
-      }
-    });
-
-    console.log(`   ✅ Version ${versionCode} added to ${track} track`);
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to set release track: ${error.message}`);
-  }
-}
-
 /**
  * Set distribution countries
  * @param {string} packageName - Android package name
@@ -11,12 +11,20 @@ import { PATHS } from '../config.js';
  * Create a new edit session
  * Edit sessions expire after 1 hour
  * @param {string} packageName - Android package name
+ * @param {Object} options - Edit options
+ * @param {boolean} options.persist - Save the edit ID to state (default true). Read-only
+ *   sessions don't, so they never replace the edit of a failed run kept for --resume.
+ * @param {boolean} options.quiet - Don't log progress (e.g., for --json output)
  * @returns {Promise<string>} Edit ID
  */
-export async function createEdit(packageName) {
+export async function createEdit(packageName, options = {}) {
+  const { persist = true, quiet = false } = options;
+
   const androidpublisher = await getPlayStoreClient();
 
-  console.log(`\n📝 Creating edit session for ${packageName}...`);
+  if (!quiet) {
+    console.log(`\n📝 Creating edit session for ${packageName}...`);
+  }
 
   try {
     const response = await androidpublisher.edits.insert({
@@ -24,10 +32,14 @@ export async function createEdit(packageName) {
     });
 
     const editId = response.data.id;
-    console.log(`   ✅ Edit session created: ${editId}`);
+    if (!quiet) {
+      console.log(`   ✅ Edit session created: ${editId}`);
+    }
 
     // Save edit ID to state
-    await saveEditState(packageName, editId);
+    if (persist) {
+      await saveEditState(packageName, editId);
+    }
 
     return editId;
   } catch (error) {
@@ -38,32 +50,6 @@ export async function createEdit(packageName) {
   }
 }
 
-/**
- * Get existing edit ID from state (if available and not expired)
- * @param {string} packageName - Android package name
- * @returns {Promise<string|null>} Edit ID or null if not found/expired
- */
-export async function getExistingEdit(packageName) {
-  const state = await readJsonFile(PATHS.STATE_FILE);
-  const editState = state?.playStore?.edits?.[packageName];
-  
-  if (!editState || !editState.editId) {
-    return null;
-  }
-
-  // Check if edit is expired (edits expire after 1 hour)
-  const createdAt = new Date(editState.createdAt);
-  const now = new Date();
-  const hoursSinceCreation = (now - createdAt) / (1000 * 60 * 60);
-
-  if (hoursSinceCreation >= 1) {
-    console.log(`   ℹ️  Previous edit session expired, creating new one...`);
-    return null;
-  }
-
-  return editState.editId;
-}
-
 /**
  * Validate edit before committing
  * @param {string} packageName - Android package name
@@ -112,7 +98,7 @@ export async function commitEdit(packageName, editId) {
     console.log(`   ✅ Edit committed successfully`);
 
     // Clear edit state after successful commit
-    await clearEditState(packageName);
+    await clearEditState(packageName, editId);
 
     return response.data;
   } catch (error) {
@@ -123,6 +109,136 @@ export async function commitEdit(packageName, editId) {
   }
 }
 
+/**
+ * Delete edit (discards all changes made in the session)
+ * Used for read-only sessions and to clean up after failures.
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit ID
+ */
+export async function deleteEdit(packageName, editId) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    await androidpublisher.edits.delete({
+      packageName: packageName,
+      editId: editId
+    });
+  } catch (error) {
+    // An expired or already deleted edit is gone either way
+    if (error.code !== 404) {
+      throw new Error(`Failed to delete edit: ${error.message}`);
+    }
+  } finally {
+    await clearEditState(packageName, editId);
+  }
+}
+
+/**
+ * Get edit session details (id and expiry)
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit ID
+ * @returns {Promise<Object|null>} Edit ({ id, expiryTimeSeconds }) or null if it no longer exists
+ */
+export async function getEdit(packageName, editId) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    const response = await androidpublisher.edits.get({
+      packageName: packageName,
+      editId: editId
+    });
+
+    return response.data;
+  } catch (error) {
+    if (error.code === 404) {
+      return null;
+    }
+    throw new Error(`Failed to get edit: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the edit saved in state from an earlier run, if any
+ * Keeps half-applied changes of a crashed run out of the next session.
+ * @param {string} packageName - Android package name
+ * @returns {Promise<boolean>} True if a saved edit was discarded
+ */
+export async function discardSavedEdit(packageName) {
+  const state = await readJsonFile(PATHS.STATE_FILE);
+  const editState = state?.playStore?.edits?.[packageName];
+
+  if (!editState?.editId) {
+    return false;
+  }
+
+  console.log(`\n🧹 Discarding leftover edit session ${editState.editId}...`);
+  await deleteEdit(packageName, editState.editId);
+  return true;
+}
+
+/**
+ * Run work inside a fresh edit session
+ * If work throws or the process is interrupted (Ctrl+C), the edit is deleted and
+ * the saved edit state cleared, so no half-applied changes survive. Work is
+ * responsible for validating and committing; read-only sessions are always deleted
+ * and never saved to state.
+ * @param {string} packageName - Android package name
+ * @param {Function} work - async (editId) => result
+ * @param {Object} options - Session options
+ * @param {boolean} options.readOnly - Delete the edit after work completes
+ * @param {string} options.editId - Continue this existing edit instead of creating one
+ * @param {boolean} options.keepOnFailure - Keep the edit (and its saved state) when work throws,
+ *   so a checkpointed run can be resumed. Ctrl+C still deletes it.
+ * @param {boolean} options.quiet - Don't log creating the edit
+ * @returns {Promise<*>} Result of work
+ */
+export async function runInEditSession(packageName, work, options = {}) {
+  const { readOnly = false, editId: existingEditId = null, keepOnFailure = false, quiet = false } = options;
+  const editId = existingEditId || await createEdit(packageName, { persist: !readOnly, quiet });
+  let discarded = false;
+
+  const discard = async () => {
+    if (discarded) {
+      return;
+    }
+    discarded = true;
+
+    try {
+      await deleteEdit(packageName, editId);
+      if (!readOnly) {
+        console.log(`   🧹 Edit session ${editId} deleted, no changes were published`);
+      }
+    } catch (error) {
+      console.error(`   ⚠️  Could not delete edit session ${editId}: ${error.message}`);
+    }
+  };
+
+  const onInterrupt = async () => {
+    console.log(`\n\n⛔ Interrupted - discarding edit session...`);
+    await discard();
+    process.exit(130);
+  };
+
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    const result = await work(editId);
+    if (readOnly) {
+      await discard();
+    }
+    return result;
+  } catch (error) {
+    if (keepOnFailure) {
+      console.log(`\n   💾 Edit session ${editId} kept, nothing was published`);
+    } else {
+      await discard();
+    }
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
 /**
  * Save edit state to file
  */
@@ -145,12 +261,12 @@ async function saveEditState(packageName, editId) {
 }
 
 /**
- * Clear edit state
+ * Clear edit state, if it still belongs to the given edit
  */
-async function clearEditState(packageName) {
+async function clearEditState(packageName, editId) {
   const state = await readJsonFile(PATHS.STATE_FILE) || {};
   
-  if (state.playStore?.edits?.[packageName]) {
+  if (state.playStore?.edits?.[packageName]?.editId === editId) {
     delete state.playStore.edits[packageName];
     await writeJsonFile(PATHS.STATE_FILE, state);
   }
@@ -0,0 +1,275 @@
+/**
+ * Automatic graphics fixes
+ * Turns store images that miss Play's requirements into compliant derivatives
+ * (resized, flattened, converted, re-encoded). The derivatives are kept in memory for
+ * checks and plans, and written to a cache directory only before they are uploaded in
+ * place of the originals, which are never modified.
+ */
+
+import { writeFile } from 'fs/promises';
+import { join, dirname, basename, extname } from 'path';
+import { ensureDir, hashFile } from '../utils/fs.js';
+import { readImage, encodePng, encodeJpeg, parseColor, resizeBitmap, flattenBitmap } from '../utils/image.js';
+import { collectLocaleImages } from './graphics.js';
+import { IMAGE_SPECS, SCREENSHOT_SPEC, readImageInfo, checkImage, formatBytes } from './image-specs.js';
+
+/**
+ * Defaults of graphics.autoFix (true, or an object overriding these)
+ */
+export const DEFAULT_AUTO_FIX = {
+  background: '#FFFFFF',
+  cacheDir: '.autopublish/graphics'
+};
+
+// JPEG qualities tried, best first, when an image is over the size limit
+const JPEG_QUALITIES = [92, 85, 75, 65, 50];
+
+/**
+ * Collect the images of every locale, replacing invalid ones with fixed derivatives
+ * when graphics.autoFix is enabled
+ * @param {Object} graphics - graphics section of play-store-config.json
+ * @param {string} defaultLanguage - Fallback locale for locale graphics
+ * @returns {Promise<Object>} { localeImages, fixes, unfixable } - localeImages as collectLocaleImages returns them
+ */
+export async function prepareLocaleImages(graphics, defaultLanguage) {
+  const localeImages = await collectLocaleImages(graphics, defaultLanguage);
+
+  if (!graphics?.autoFix) {
+    return { localeImages, fixes: [], unfixable: [] };
+  }
+
+  return fixLocaleImages(localeImages, graphics.autoFix);
+}
+
+/**
+ * Replace the images that miss Play's requirements with fixed derivatives
+ * Images that are valid, unreadable or can't be fixed by downscaling, flattening or
+ * re-encoding (e.g., screenshots that are too small) are kept as they are, so the
+ * graphics check still reports them. Single images that would need upscaling or
+ * padding are listed in unfixable.
+ * Nothing is written: fixed images list their cache path in files and carry the data in
+ * pending ({ [output]: Buffer }) until writePendingImages writes them.
+ * @param {Array<Object>} localeImages - Result of collectLocaleImages
+ * @param {Object|boolean} autoFix - graphics.autoFix ({ background, cacheDir } or true)
+ * @returns {Promise<Object>} { localeImages, fixes: [{ imageType, file, output, transformations }], unfixable: [{ imageType, file, reason }] }
+ */
+export async function fixLocaleImages(localeImages, autoFix) {
+  const options = { ...DEFAULT_AUTO_FIX, ...(typeof autoFix === 'object' ? autoFix : {}) };
+  const background = parseColor(options.background);
+
+  // Locales falling back to the default locale share its files - fix each file once
+  const outputs = new Map();
+  const derivatives = new Map();
+  const fixes = [];
+  const unfixable = [];
+
+  const fixFile = async (imageType, file) => {
+    const key = `${imageType}:${file}`;
+    if (!outputs.has(key)) {
+      const fix = await fixImage(file, imageType, background, options.cacheDir);
+      if (fix?.reason) {
+        unfixable.push(fix);
+      } else if (fix) {
+        const { data, ...details } = fix;
+        fixes.push(details);
+        derivatives.set(fix.output, data);
+      }
+      outputs.set(key, fix?.output || file);
+    }
+    return outputs.get(key);
+  };
+
+  const fixed = [];
+  for (const { language, images } of localeImages) {
+    const fixedImages = [];
+    for (const image of images) {
+      const files = [];
+      for (const file of image.files) {
+        files.push(await fixFile(image.imageType, file));
+      }
+
+      const pending = files.filter(file => derivatives.has(file));
+      fixedImages.push(pending.length > 0
+        ? { ...image, files, pending: Object.fromEntries(pending.map(file => [file, derivatives.get(file)])) }
+        : { ...image, files });
+    }
+    fixed.push({ language, images: fixedImages });
+  }
+
+  return { localeImages: fixed, fixes, unfixable };
+}
+
+/**
+ * Write the auto-fixed images of prepareLocaleImages to the cache directory, before uploading them
+ * @param {Array<Object>} localeImages - localeImages of prepareLocaleImages
+ */
+export async function writePendingImages(localeImages) {
+  const written = new Set();
+
+  for (const { images } of localeImages) {
+    for (const [output, data] of images.flatMap(image => Object.entries(image.pending || {}))) {
+      if (!written.has(output)) {
+        await ensureDir(dirname(output));
+        await writeFile(output, data);
+        written.add(output);
+      }
+    }
+  }
+}
+
+/**
+ * Fix one image in memory
+ * Returns null when the image is valid or nothing here would fix it, and
+ * { imageType, file, reason } when its size could only be fixed by upscaling or padding.
+ */
+async function fixImage(file, imageType, background, cacheDir) {
+  const info = await readImageInfo(file);
+  // WebP can't be decoded here, the graphics check reports it
+  if (!info || info.format === 'webp' || checkImage(info, imageType).length === 0) {
+    return null;
+  }
+
+  const spec = IMAGE_SPECS[imageType] || SCREENSHOT_SPEC;
+  const transformations = [];
+  let bitmap = await readImage(file);
+
+  if (IMAGE_SPECS[imageType]) {
+    const reason = checkDownscale(bitmap, spec);
+    if (reason) {
+      return { imageType, file, reason };
+    }
+    bitmap = fitToSize(bitmap, spec, transformations);
+  } else {
+    bitmap = fitScreenshot(bitmap, transformations);
+  }
+
+  if (spec.alpha === 'forbidden' && info.hasAlpha) {
+    bitmap = flattenBitmap(bitmap, background);
+    transformations.push(`flattened alpha onto ${formatColor(background)}`);
+  }
+
+  const encoded = encodeImage(bitmap, info, spec, background, transformations);
+  if (transformations.length === 0) {
+    return null;
+  }
+
+  // Named after the source content, so unchanged sources give the same derivative (and skip re-upload)
+  const hash = (await hashFile(file)).slice(0, 12);
+  const output = join(cacheDir, `${hash}-${imageType}-${basename(file, extname(file))}.${encoded.format === 'jpeg' ? 'jpg' : 'png'}`);
+
+  return { imageType, file, output, transformations, data: encoded.data };
+}
+
+/**
+ * Why a single image can't be downscaled to its exact size, or null if it can
+ * Upscaling would blur it and padding would add borders, so both are left to the designer.
+ */
+function checkDownscale(bitmap, spec) {
+  if (bitmap.width < spec.width || bitmap.height < spec.height) {
+    return `${bitmap.width}x${bitmap.height} is smaller than ${spec.width}x${spec.height}, provide a larger image`;
+  }
+
+  // Allow a pixel of rounding between the aspect ratios
+  if (Math.abs(bitmap.height * spec.width / bitmap.width - spec.height) > 1) {
+    return `${bitmap.width}x${bitmap.height} doesn't have the aspect ratio of ${spec.width}x${spec.height}, crop it first`;
+  }
+
+  return null;
+}
+
+/**
+ * Downscale a single image to its exact size (see checkDownscale)
+ */
+function fitToSize(bitmap, spec, transformations) {
+  if (bitmap.width === spec.width && bitmap.height === spec.height) {
+    return bitmap;
+  }
+
+  transformations.push(`downscaled ${bitmap.width}x${bitmap.height} → ${spec.width}x${spec.height}`);
+  return resizeBitmap(bitmap, spec.width, spec.height);
+}
+
+/**
+ * Downscale a screenshot whose longer side is over the limit, keeping the aspect ratio
+ */
+function fitScreenshot(bitmap, transformations) {
+  const longSide = Math.max(bitmap.width, bitmap.height);
+  if (longSide <= SCREENSHOT_SPEC.maxSide) {
+    return bitmap;
+  }
+
+  const scale = SCREENSHOT_SPEC.maxSide / longSide;
+  const width = Math.min(SCREENSHOT_SPEC.maxSide, Math.round(bitmap.width * scale));
+  const height = Math.min(SCREENSHOT_SPEC.maxSide, Math.round(bitmap.height * scale));
+
+  transformations.push(`downscaled ${bitmap.width}x${bitmap.height} → ${width}x${height}`);
+  return resizeBitmap(bitmap, width, height);
+}
+
+/**
+ * Encode in an allowed format (the source format when possible), falling back to
+ * lower JPEG qualities to fit the size limit
+ */
+function encodeImage(bitmap, info, spec, background, transformations) {
+  const alpha = spec.alpha === 'required';
+  const format = spec.formats.includes(info.format) && !(alpha && info.format === 'jpeg') ? info.format : 'png';
+
+  if (format !== info.format) {
+    transformations.push(`converted ${info.format.toUpperCase()} → ${format.toUpperCase()}`);
+  } else if (alpha && !(info.hasAlpha && info.bitsPerPixel === 32)) {
+    transformations.push('converted to 32-bit PNG with alpha');
+  }
+
+  // Screenshots may keep their transparency as long as they fit
+  const keepAlpha = alpha || (spec.alpha !== 'forbidden' && info.hasAlpha);
+  let data = format === 'png' ? encodePng(bitmap, { alpha: keepAlpha }) : encodeJpeg(bitmap, JPEG_QUALITIES[0]);
+  if (data.length <= spec.maxBytes) {
+    if (transformations.length === 0 && info.size > spec.maxBytes) {
+      transformations.push(`re-encoded ${formatBytes(info.size)} → ${formatBytes(data.length)}`);
+    }
+    return { format, data };
+  }
+
+  // Still too large - lossy JPEG is the only way down, unless alpha must be kept
+  if (alpha || !spec.formats.includes('jpeg')) {
+    return { format, data };
+  }
+
+  const opaque = flattenBitmap(bitmap, background);
+  if (info.hasAlpha && spec.alpha !== 'forbidden') {
+    transformations.push(`flattened alpha onto ${formatColor(background)}`);
+  }
+  for (const quality of JPEG_QUALITIES) {
+    data = encodeJpeg(opaque, quality);
+    if (data.length <= spec.maxBytes || quality === JPEG_QUALITIES[JPEG_QUALITIES.length - 1]) {
+      transformations.push(`re-encoded as JPEG (quality ${quality}) ${formatBytes(info.size)} → ${formatBytes(data.length)}`);
+      break;
+    }
+  }
+
+  return { format: 'jpeg', data };
+}
+
+/**
+ * Format a color as #RRGGBB
+ */
+function formatColor(color) {
+  return `#${color.slice(0, 3).map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * Print the applied fixes, one line per transformation, then the images that can't be fixed
+ * @param {Array<Object>} fixes - fixes of prepareLocaleImages
+ * @param {Array<Object>} unfixable - unfixable of prepareLocaleImages
+ */
+export function printImageFixes(fixes, unfixable = []) {
+  for (const fix of fixes) {
+    console.log(`   🛠️  ${fix.imageType}: ${fix.file} → ${fix.output}`);
+    for (const transformation of fix.transformations) {
+      console.log(`      ${transformation}`);
+    }
+  }
+  for (const { imageType, file, reason } of unfixable) {
+    console.log(`   ⚠️  ${imageType}: ${file} can't be fixed automatically: ${reason}`);
+  }
+}
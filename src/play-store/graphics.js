@@ -1,204 +1,299 @@
 /**
  * Play Store graphics management
- * Handles screenshot, icon, and feature graphic uploads
+ * Handles screenshot, icon, feature graphic, promo graphic and TV banner uploads
  */
 
 import { getPlayStoreClient } from './auth.js';
 import { readdir, readFile, stat } from 'fs/promises';
 import { join, extname } from 'path';
-import { fileExists } from '../utils/fs.js';
+import { fileExists, hashFile, hashBuffer } from '../utils/fs.js';
+import { DEFAULT_LISTING_LANGUAGE } from './listings.js';
 
 /**
- * Upload screenshots for a specific device type
+ * Screenshot subdirectories of graphics.screenshotsDir and their Play image types
+ */
+export const SCREENSHOT_IMAGE_TYPES = {
+  'phone': 'phoneScreenshots',
+  'tablet': 'sevenInchScreenshots',
+  'tablet-10': 'tenInchScreenshots',
+  'tv': 'tvScreenshots',
+  'wear': 'wearScreenshots'
+};
+
+/**
+ * Single-image Play image types
+ * Also their config keys in the graphics section and their file names in locale directories.
+ */
+export const SINGLE_IMAGE_TYPES = ['icon', 'featureGraphic', 'promoGraphic', 'tvBanner'];
+
+// WebP is collected too (pull-listing may save it), so the graphics check reports it instead of it going missing
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+/**
+ * List the images of one type for a language
  * @param {string} packageName - Android package name
  * @param {string} editId - Edit session ID
- * @param {string} language - Language code (e.g., 'en-US')
- * @param {string} imageType - Image type ('phoneScreenshots', 'sevenInchScreenshots', 'tenInchScreenshots', 'tvScreenshots', 'wearScreenshots')
- * @param {Array<string>} screenshotPaths - Array of screenshot file paths
- * @returns {Promise<Object>} Upload result
+ * @param {string} language - Language code
+ * @param {string} imageType - Image type (e.g., 'icon', 'phoneScreenshots')
+ * @returns {Promise<Array<Object>>} Images ([{ id, url, sha1, sha256 }])
  */
-export async function uploadScreenshots(packageName, editId, language, imageType, screenshotPaths) {
+export async function listImages(packageName, editId, language, imageType) {
   const androidpublisher = await getPlayStoreClient();
 
-  console.log(`\n📸 Uploading ${imageType} screenshots (${screenshotPaths.length} images)...`);
-
   try {
-    const uploadPromises = screenshotPaths.map(async (screenshotPath, index) => {
-      const imageData = await readFile(screenshotPath);
-      
-      await androidpublisher.edits.images.upload({
-        packageName: packageName,
-        editId: editId,
-        language: language,
-        imageType: imageType,
-        media: {
-          mimeType: getImageMimeType(screenshotPath),
-          body: imageData
-        }
-      });
-
-      console.log(`   ✅ Uploaded ${index + 1}/${screenshotPaths.length}: ${screenshotPath}`);
+    const response = await androidpublisher.edits.images.list({
+      packageName: packageName,
+      editId: editId,
+      language: language,
+      imageType: imageType
     });
 
-    await Promise.all(uploadPromises);
-
-    console.log(`   ✅ All ${screenshotPaths.length} screenshots uploaded`);
-    return { uploaded: screenshotPaths.length };
+    return response.data.images || [];
   } catch (error) {
-    throw new Error(`Failed to upload screenshots: ${error.message}`);
+    throw new Error(`Failed to list ${imageType} images (${language}): ${error.message}`);
   }
 }
 
 /**
- * Upload all screenshots from directory
- * @param {string} packageName - Android package name
- * @param {string} editId - Edit session ID
- * @param {string} language - Language code
- * @param {string} screenshotsDir - Base directory for screenshots
- * @returns {Promise<Object>} Upload summary
+ * Collect the images configured inline in the graphics section (icon, featureGraphic,
+ * promoGraphic, tvBanner and screenshotsDir)
+ * Screenshots come from one subdirectory per device type; images directly in screenshotsDir count as
+ * phone screenshots when there are no phone/tablet subdirectories.
+ * @param {Object} graphics - graphics section of play-store-config.json
+ * @returns {Promise<Array<Object>>} Images per type ([{ imageType, files }])
  */
-export async function uploadScreenshotsFromDirectory(packageName, editId, language, screenshotsDir) {
-  console.log(`\n📸 Uploading screenshots from: ${screenshotsDir}`);
-
-  const summary = {
-    phone: 0,
-    tablet: 0,
-    tablet10: 0,
-    tv: 0,
-    wear: 0
-  };
+export async function collectLocalImages(graphics) {
+  const images = [];
 
-  // Check if directory exists
-  if (!(await fileExists(screenshotsDir))) {
-    console.log(`   ⚠️  Screenshots directory not found: ${screenshotsDir}`);
-    return summary;
+  for (const imageType of SINGLE_IMAGE_TYPES) {
+    const filePath = graphics?.[imageType];
+    if (filePath && await fileExists(filePath)) {
+      images.push({ imageType, files: [filePath] });
+    }
   }
 
-  // Try to read subdirectories
-  const subdirs = ['phone', 'tablet', 'tablet-10', 'tv', 'wear'];
-  const imageTypes = {
-    'phone': 'phoneScreenshots',
-    'tablet': 'sevenInchScreenshots',
-    'tablet-10': 'tenInchScreenshots',
-    'tv': 'tvScreenshots',
-    'wear': 'wearScreenshots'
-  };
+  if (graphics?.screenshotsDir && await fileExists(graphics.screenshotsDir)) {
+    for (const [subdir, imageType] of Object.entries(SCREENSHOT_IMAGE_TYPES)) {
+      const files = await listImageFiles(join(graphics.screenshotsDir, subdir));
+      if (files.length > 0) {
+        images.push({ imageType, files });
+      }
+    }
 
-  for (const subdir of subdirs) {
-    const subdirPath = join(screenshotsDir, subdir);
-    
-    if (await fileExists(subdirPath)) {
-      const files = await readdir(subdirPath);
-      const imageFiles = files.filter(file => 
-        ['.png', '.jpg', '.jpeg'].includes(extname(file).toLowerCase())
-      );
-
-      if (imageFiles.length > 0) {
-        const screenshotPaths = imageFiles.map(file => join(subdirPath, file));
-        await uploadScreenshots(
-          packageName,
-          editId,
-          language,
-          imageTypes[subdir],
-          screenshotPaths
-        );
-        summary[subdir.replace('-', '')] = imageFiles.length;
+    const hasPhoneOrTablet = images.some(image => ['phoneScreenshots', 'sevenInchScreenshots'].includes(image.imageType));
+    if (!hasPhoneOrTablet) {
+      const files = await listImageFiles(graphics.screenshotsDir);
+      if (files.length > 0) {
+        images.push({ imageType: 'phoneScreenshots', files });
       }
     }
   }
 
-  // If no subdirectories, try to detect device type from root directory
-  if (summary.phone === 0 && summary.tablet === 0) {
-    const files = await readdir(screenshotsDir);
-    const imageFiles = files.filter(file => 
-      ['.png', '.jpg', '.jpeg'].includes(extname(file).toLowerCase())
-    );
-
-    if (imageFiles.length > 0) {
-      // Default to phone screenshots if no subdirectories
-      const screenshotPaths = imageFiles.map(file => join(screenshotsDir, file));
-      await uploadScreenshots(
-        packageName,
-        editId,
-        language,
-        'phoneScreenshots',
-        screenshotPaths
-      );
-      summary.phone = imageFiles.length;
+  return images;
+}
+
+/**
+ * Collect the images of every locale
+ * The inline graphics fields and graphics.localesDir/<defaultLanguage>/ hold the default
+ * locale's images (inline fields win per type). Every other directory in graphics.localesDir
+ * (<locale>/{icon,featureGraphic,promoGraphic,tvBanner}.png and <locale>/{phone,tablet,...}/)
+ * falls back to the default locale's images for the types it doesn't have.
+ * @param {Object} graphics - graphics section of play-store-config.json
+ * @param {string} defaultLanguage - Fallback locale (defaults to en-US)
+ * @returns {Promise<Array<Object>>} [{ language, images: [{ imageType, files, fallback }] }], default locale first
+ */
+export async function collectLocaleImages(graphics, defaultLanguage = DEFAULT_LISTING_LANGUAGE) {
+  const localesDir = graphics?.localesDir;
+  if (localesDir && !(await fileExists(localesDir))) {
+    throw new Error(`Graphics locales directory not found: ${localesDir}`);
+  }
+
+  const locales = {};
+  if (localesDir) {
+    for (const entry of (await readdir(localesDir)).sort()) {
+      const localeDir = join(localesDir, entry);
+      if ((await stat(localeDir)).isDirectory()) {
+        locales[entry] = await readGraphicsDirectory(localeDir);
+      }
     }
   }
 
-  return summary;
+  const defaultImages = mergeImages(locales[defaultLanguage] || [], await collectLocalImages(graphics));
+  const result = [];
+
+  if (defaultImages.length > 0) {
+    result.push({ language: defaultLanguage, images: defaultImages.map(image => ({ ...image, fallback: false })) });
+  }
+
+  for (const [language, ownImages] of Object.entries(locales)) {
+    if (language === defaultLanguage || ownImages.length === 0) {
+      continue;
+    }
+
+    const images = mergeImages(defaultImages, ownImages).map(image => ({
+      ...image,
+      fallback: !ownImages.some(own => own.imageType === image.imageType)
+    }));
+    result.push({ language, images });
+  }
+
+  return result;
+}
+
+/**
+ * Read a locale graphics directory: single images by type name, screenshots per device subdirectory
+ */
+async function readGraphicsDirectory(dir) {
+  const images = [];
+  const files = await listImageFiles(dir);
+
+  for (const imageType of SINGLE_IMAGE_TYPES) {
+    const file = files.find(file => IMAGE_EXTENSIONS.some(extension => file === join(dir, `${imageType}${extension}`)));
+    if (file) {
+      images.push({ imageType, files: [file] });
+    }
+  }
+
+  for (const [subdir, imageType] of Object.entries(SCREENSHOT_IMAGE_TYPES)) {
+    const screenshots = await listImageFiles(join(dir, subdir));
+    if (screenshots.length > 0) {
+      images.push({ imageType, files: screenshots });
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Overlay images per type, keeping the order of SINGLE_IMAGE_TYPES and SCREENSHOT_IMAGE_TYPES
+ */
+function mergeImages(base, overrides) {
+  const byType = new Map(base.map(image => [image.imageType, image]));
+  for (const image of overrides) {
+    byType.set(image.imageType, image);
+  }
+
+  const order = [...SINGLE_IMAGE_TYPES, ...Object.values(SCREENSHOT_IMAGE_TYPES)];
+  return order.filter(imageType => byType.has(imageType)).map(imageType => byType.get(imageType));
 }
 
 /**
- * Upload app icon
+ * Compare local images with the images of an edit by SHA-256
+ * Image types without local files are not compared (left as they are).
  * @param {string} packageName - Android package name
  * @param {string} editId - Edit session ID
  * @param {string} language - Language code
- * @param {string} iconPath - Path to icon file (512x512px)
- * @returns {Promise<Object>} Upload result
+ * @param {Array<Object>} localImages - Result of collectLocalImages (or the images of one collectLocaleImages locale);
+ *   an image's pending data ({ [file]: Buffer }, auto-fixed images not written yet) is hashed in place of the files
+ * @returns {Promise<Array<Object>>} [{ imageType, files, ..., status: 'added'|'changed'|'unchanged', localCount, remoteCount }]
  */
-export async function uploadAppIcon(packageName, editId, language, iconPath) {
-  const androidpublisher = await getPlayStoreClient();
+export async function diffImages(packageName, editId, language, localImages) {
+  const diff = [];
 
-  console.log(`\n🖼️  Uploading app icon: ${iconPath}`);
+  for (const { pending, ...image } of localImages) {
+    const { imageType, files } = image;
+    const localHashes = [];
+    for (const file of files) {
+      localHashes.push(pending?.[file] ? hashBuffer(pending[file]) : await hashFile(file));
+    }
 
-  try {
-    const imageData = await readFile(iconPath);
+    const remoteHashes = (await listImages(packageName, editId, language, imageType)).map(image => image.sha256);
 
-    await androidpublisher.edits.images.upload({
-      packageName: packageName,
-      editId: editId,
-      language: language,
-      imageType: 'icon',
-      media: {
-        mimeType: getImageMimeType(iconPath),
-        body: imageData
-      }
-    });
+    let status = 'changed';
+    if (remoteHashes.length === 0) {
+      status = 'added';
+    } else if (remoteHashes.length === localHashes.length && remoteHashes.every((hash, i) => hash === localHashes[i])) {
+      status = 'unchanged';
+    }
 
-    console.log(`   ✅ App icon uploaded`);
-    return { success: true };
-  } catch (error) {
-    throw new Error(`Failed to upload app icon: ${error.message}`);
+    diff.push({ ...image, status, localCount: localHashes.length, remoteCount: remoteHashes.length });
   }
+
+  return diff;
 }
 
 /**
- * Upload feature graphic
+ * Sync the images of one locale: image types that already match are left alone,
+ * the others are replaced
  * @param {string} packageName - Android package name
  * @param {string} editId - Edit session ID
  * @param {string} language - Language code
- * @param {string} graphicPath - Path to feature graphic file (1024x500px)
- * @returns {Promise<Object>} Upload result
+ * @param {Array<Object>} localImages - Result of collectLocalImages (or the images of one collectLocaleImages locale)
+ * @returns {Promise<Object>} Sync summary per image type ({ icon: { status, count }, ... })
  */
-export async function uploadFeatureGraphic(packageName, editId, language, graphicPath) {
-  const androidpublisher = await getPlayStoreClient();
+export async function syncImages(packageName, editId, language, localImages) {
+  const summary = {};
 
-  console.log(`\n🖼️  Uploading feature graphic: ${graphicPath}`);
+  for (const image of await diffImages(packageName, editId, language, localImages)) {
+    const source = image.fallback ? ', from default locale' : '';
 
-  try {
-    const imageData = await readFile(graphicPath);
+    if (image.status === 'unchanged') {
+      console.log(`   = ${image.imageType} (${language}): unchanged (${image.localCount} image(s)${source})`);
+    } else {
+      console.log(`   ${image.status === 'added' ? '+' : '~'} ${image.imageType} (${language}): ${image.remoteCount} → ${image.localCount} image(s)${source}`);
+      await replaceImages(packageName, editId, language, image.imageType, image.files);
+    }
+
+    summary[image.imageType] = { status: image.status, count: image.localCount };
+  }
 
-    await androidpublisher.edits.images.upload({
+  return summary;
+}
+
+/**
+ * Replace all images of one type: delete the current ones, then upload in order
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} language - Language code
+ * @param {string} imageType - Image type (e.g., 'icon', 'phoneScreenshots')
+ * @param {Array<string>} files - Image file paths, in display order
+ */
+export async function replaceImages(packageName, editId, language, imageType, files) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    await androidpublisher.edits.images.deleteall({
       packageName: packageName,
       editId: editId,
       language: language,
-      imageType: 'featureGraphic',
-      media: {
-        mimeType: getImageMimeType(graphicPath),
-        body: imageData
-      }
+      imageType: imageType
     });
 
-    console.log(`   ✅ Feature graphic uploaded`);
-    return { success: true };
+    // Sequential uploads keep the display order
+    for (const file of files) {
+      await androidpublisher.edits.images.upload({
+        packageName: packageName,
+        editId: editId,
+        language: language,
+        imageType: imageType,
+        media: {
+          mimeType: getImageMimeType(file),
+          body: await readFile(file)
+        }
+      });
+    }
+
+    console.log(`   ✅ ${imageType} (${language}): ${files.length} image(s) uploaded`);
   } catch (error) {
-    throw new Error(`Failed to upload feature graphic: ${error.message}`);
+    throw new Error(`Failed to replace ${imageType} images (${language}): ${error.message}`);
   }
 }
 
+/**
+ * List PNG/JPEG/WebP files of a directory, sorted by numeric filename prefix (2.png before 10.png)
+ */
+async function listImageFiles(dir) {
+  if (!(await fileExists(dir)) || !(await stat(dir)).isDirectory()) {
+    return [];
+  }
+
+  const files = await readdir(dir);
+  return files
+    .filter(file => IMAGE_EXTENSIONS.includes(extname(file).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    .map(file => join(dir, file));
+}
+
 /**
  * Get MIME type from file extension
  */
@@ -207,7 +302,8 @@ function getImageMimeType(filePath) {
   const mimeTypes = {
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg'
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp'
   };
   return mimeTypes[ext] || 'image/png';
 }
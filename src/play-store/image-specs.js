@@ -0,0 +1,336 @@
+/**
+ * Play Store image spec validation
+ * Reads PNG/JPEG/WebP headers locally and checks store graphics against Play's
+ * requirements before anything is uploaded
+ */
+
+import { open, stat } from 'fs/promises';
+import { fileExists } from '../utils/fs.js';
+import { collectLocaleImages, SCREENSHOT_IMAGE_TYPES } from './graphics.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Play requirements per single image type
+ * alpha: 'required' (32-bit PNG), 'forbidden' (JPEG or 24-bit PNG) or undefined (either)
+ */
+export const IMAGE_SPECS = {
+  icon: { width: 512, height: 512, formats: ['png'], alpha: 'required', maxBytes: 1 * MB },
+  featureGraphic: { width: 1024, height: 500, formats: ['png', 'jpeg'], alpha: 'forbidden', maxBytes: 15 * MB },
+  promoGraphic: { width: 180, height: 120, formats: ['png', 'jpeg'], alpha: 'forbidden', maxBytes: 1 * MB },
+  tvBanner: { width: 1280, height: 720, formats: ['png', 'jpeg'], alpha: 'forbidden', maxBytes: 15 * MB }
+};
+
+/**
+ * Play requirements for screenshots of every device type
+ */
+export const SCREENSHOT_SPEC = {
+  minSide: 320,
+  maxSide: 3840,
+  maxAspectRatio: 2,
+  formats: ['png', 'jpeg'],
+  maxBytes: 8 * MB,
+  minCount: 2,
+  maxCount: 8
+};
+
+// PNG color types: channel count and whether they carry alpha
+const PNG_COLOR_TYPES = {
+  0: { channels: 1, alpha: false },
+  2: { channels: 3, alpha: false },
+  3: { channels: 1, alpha: false },
+  4: { channels: 2, alpha: true },
+  6: { channels: 4, alpha: true }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Read format, dimensions and alpha channel of a PNG, JPEG or WebP file
+ * WebP is read so the checks can report it; Play only takes PNG and JPEG store graphics.
+ * @param {string|Buffer} source - Image file path, or image data (e.g., an auto-fixed image not written yet)
+ * @returns {Promise<Object|null>} { format, width, height, hasAlpha, bitsPerPixel, size } or null if not a PNG/JPEG/WebP
+ */
+export async function readImageInfo(source) {
+  if (Buffer.isBuffer(source)) {
+    return readHeaders(async (position, length) => source.subarray(position, position + length), source.length);
+  }
+
+  const { size } = await stat(source);
+  const file = await open(source, 'r');
+
+  try {
+    return await readHeaders(async (position, length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await file.read(buffer, 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    }, size);
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Tell the format by its signature and read the matching headers
+ */
+async function readHeaders(read, size) {
+  const signature = await read(0, 8);
+
+  let info = null;
+  if (signature.equals(PNG_SIGNATURE)) {
+    info = await readPngInfo(read);
+  } else if (signature[0] === 0xff && signature[1] === 0xd8) {
+    info = await readJpegInfo(read);
+  } else if (signature.toString('latin1', 0, 4) === 'RIFF') {
+    info = await readWebpInfo(read);
+  }
+
+  return info ? { ...info, size } : null;
+}
+
+/**
+ * Read the IHDR chunk, then look for a tRNS chunk (transparency) before the image data
+ */
+async function readPngInfo(read) {
+  const header = await read(8, 25);
+  if (header.length < 18) {
+    return null;
+  }
+
+  const width = header.readUInt32BE(8);
+  const height = header.readUInt32BE(12);
+  const bitDepth = header[16];
+  const colorType = PNG_COLOR_TYPES[header[17]] || { channels: 1, alpha: false };
+
+  let hasAlpha = colorType.alpha;
+  let position = 8;
+
+  while (!hasAlpha) {
+    const chunk = await read(position, 8);
+    if (chunk.length < 8) {
+      break;
+    }
+    const type = chunk.toString('latin1', 4, 8);
+    if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    hasAlpha = type === 'tRNS';
+    position += 12 + chunk.readUInt32BE(0);
+  }
+
+  return { format: 'png', width, height, hasAlpha, bitsPerPixel: bitDepth * colorType.channels };
+}
+
+/**
+ * Walk JPEG segments up to the start-of-frame marker, which holds the dimensions
+ */
+async function readJpegInfo(read) {
+  let position = 2;
+
+  for (;;) {
+    const marker = await read(position, 4);
+    if (marker.length < 4 || marker[0] !== 0xff) {
+      return null;
+    }
+
+    const type = marker[1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (type >= 0xc0 && type <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(type)) {
+      const frame = await read(position + 4, 6);
+      if (frame.length < 6) {
+        return null;
+      }
+      return {
+        format: 'jpeg',
+        width: frame.readUInt16BE(3),
+        height: frame.readUInt16BE(1),
+        hasAlpha: false,
+        bitsPerPixel: frame[0] * frame[5]
+      };
+    }
+
+    position += 2 + marker.readUInt16BE(2);
+  }
+}
+
+/**
+ * Read the first chunk of a WebP file: lossy (VP8), lossless (VP8L) or extended (VP8X)
+ */
+async function readWebpInfo(read) {
+  const header = await read(8, 22);
+  if (header.length < 22 || header.toString('latin1', 0, 4) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = header.toString('latin1', 4, 8);
+  let info = null;
+
+  if (chunk === 'VP8 ') {
+    info = { width: header.readUInt16LE(18) & 0x3fff, height: header.readUInt16LE(20) & 0x3fff, hasAlpha: false };
+  } else if (chunk === 'VP8L') {
+    const bits = header.readUInt32LE(13);
+    info = { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, hasAlpha: Boolean(bits & (1 << 28)) };
+  } else if (chunk === 'VP8X') {
+    info = { width: header.readUIntLE(16, 3) + 1, height: header.readUIntLE(19, 3) + 1, hasAlpha: Boolean(header[12] & 0x10) };
+  }
+
+  return info ? { format: 'webp', ...info, bitsPerPixel: info.hasAlpha ? 32 : 24 } : null;
+}
+
+/**
+ * Check every configured store graphic of every locale against Play's requirements
+ * Missing inline files are reported as warnings, since publish skips them.
+ * @param {Object} graphics - graphics section of play-store-config.json
+ * @param {string} defaultLanguage - Fallback locale for locale graphics (optional)
+ * @param {Array<Object>} localeImages - Images to check instead of collecting them (e.g., auto-fixed ones, optional);
+ *   an image's pending data ({ [file]: Buffer }) is read in place of files not written yet
+ * @returns {Promise<Object>} Report ({ images: [{ language, imageType, file, info, problems }], countProblems, problems, warnings })
+ */
+export async function checkGraphics(graphics, defaultLanguage, localeImages = null) {
+  const report = { images: [], countProblems: [], problems: [], warnings: [] };
+
+  for (const imageType of Object.keys(IMAGE_SPECS)) {
+    if (graphics?.[imageType] && !(await fileExists(graphics[imageType]))) {
+      report.warnings.push(`graphics.${imageType}: file not found (${graphics[imageType]})`);
+    }
+  }
+  if (graphics?.screenshotsDir && !(await fileExists(graphics.screenshotsDir))) {
+    report.warnings.push(`graphics.screenshotsDir: directory not found (${graphics.screenshotsDir})`);
+  }
+
+  const screenshotTypes = Object.values(SCREENSHOT_IMAGE_TYPES);
+
+  for (const { language, images } of localeImages || await collectLocaleImages(graphics, defaultLanguage)) {
+    // Images inherited from the default locale were checked with it
+    for (const { imageType, files, pending } of images.filter(image => !image.fallback)) {
+      const isScreenshot = screenshotTypes.includes(imageType);
+
+      if (isScreenshot && (files.length < SCREENSHOT_SPEC.minCount || files.length > SCREENSHOT_SPEC.maxCount)) {
+        const problem = `${language} ${imageType}: ${files.length} screenshot(s), Play requires ${SCREENSHOT_SPEC.minCount}-${SCREENSHOT_SPEC.maxCount}`;
+        report.countProblems.push(problem);
+        report.problems.push(problem);
+      }
+
+      for (const file of files) {
+        const info = await readImageInfo(pending?.[file] || file);
+        const problems = info ? checkImage(info, imageType) : ['not a PNG, JPEG or WebP file'];
+
+        report.images.push({ language, imageType, file, info, problems });
+        report.problems.push(...problems.map(problem => `${language} ${imageType}: ${file}: ${problem}`));
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Check one image against the requirements of its image type
+ * @param {Object} info - Result of readImageInfo
+ * @param {string} imageType - Image type (e.g., 'icon', 'phoneScreenshots')
+ * @returns {Array<string>} Problems (empty when the image is valid)
+ */
+export function checkImage(info, imageType) {
+  return IMAGE_SPECS[imageType] ? checkSingleImage(info, IMAGE_SPECS[imageType]) : checkScreenshot(info);
+}
+
+/**
+ * Check an icon, feature graphic, promo graphic or TV banner
+ */
+function checkSingleImage(info, spec) {
+  const problems = checkFormatAndSize(info, spec);
+
+  if (info.width !== spec.width || info.height !== spec.height) {
+    problems.push(`must be ${spec.width}x${spec.height} px, found ${info.width}x${info.height}`);
+  }
+
+  if (spec.alpha === 'required' && !(info.format === 'png' && info.hasAlpha && info.bitsPerPixel === 32)) {
+    problems.push(`must be a 32-bit PNG with alpha, found ${describeFormat(info)}`);
+  }
+
+  if (spec.alpha === 'forbidden' && info.hasAlpha) {
+    problems.push(`must not have an alpha channel (use JPEG or 24-bit PNG), found ${describeFormat(info)}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Check a screenshot of any device type
+ */
+function checkScreenshot(info) {
+  const problems = checkFormatAndSize(info, SCREENSHOT_SPEC);
+  const shortSide = Math.min(info.width, info.height);
+  const longSide = Math.max(info.width, info.height);
+
+  if (shortSide < SCREENSHOT_SPEC.minSide || longSide > SCREENSHOT_SPEC.maxSide) {
+    problems.push(`sides must be ${SCREENSHOT_SPEC.minSide}-${SCREENSHOT_SPEC.maxSide} px, found ${info.width}x${info.height}`);
+  }
+
+  if (longSide > shortSide * SCREENSHOT_SPEC.maxAspectRatio) {
+    problems.push(`aspect ratio must be at most ${SCREENSHOT_SPEC.maxAspectRatio}:1, found ${info.width}x${info.height}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Checks shared by every image type: file format and file size
+ */
+function checkFormatAndSize(info, spec) {
+  const problems = [];
+
+  if (!spec.formats.includes(info.format)) {
+    problems.push(`must be ${spec.formats.map(format => format.toUpperCase()).join(' or ')}, found ${info.format.toUpperCase()}`);
+  }
+
+  if (info.size > spec.maxBytes) {
+    problems.push(`must be at most ${formatBytes(spec.maxBytes)}, found ${formatBytes(info.size)}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Print a graphics check report
+ * @param {Object} report - Result of checkGraphics
+ */
+export function printGraphicsReport(report) {
+  for (const image of report.images) {
+    const details = image.info ? `${image.info.width}x${image.info.height} ${describeFormat(image.info)}, ${formatBytes(image.info.size)}` : 'unreadable';
+    console.log(`   ${image.problems.length > 0 ? '❌' : '✅'} ${image.language} ${image.imageType}: ${image.file} (${details})`);
+    for (const problem of image.problems) {
+      console.log(`      ${problem}`);
+    }
+  }
+
+  for (const problem of report.countProblems) {
+    console.log(`   ❌ ${problem}`);
+  }
+
+  for (const warning of report.warnings) {
+    console.log(`   ⚠️  ${warning}`);
+  }
+
+  if (report.images.length === 0) {
+    console.log('   (no local images configured)');
+  }
+
+  console.log(`\n   ${report.problems.length} problem(s) in ${report.images.length} image(s)`);
+}
+
+/**
+ * Describe an image format (e.g., '32-bit PNG')
+ */
+function describeFormat(info) {
+  return info.format === 'png' ? `${info.bitsPerPixel}-bit PNG` : info.format.toUpperCase();
+}
+
+/**
+ * Format a file size in KB or MB
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size (e.g., '512 KB', '1.2 MB')
+ */
+export function formatBytes(bytes) {
+  return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
@@ -0,0 +1,54 @@
+/**
+ * Play Store internal app sharing
+ * Uploads QA builds without creating a track release or an edit session
+ */
+
+import { extname, resolve } from 'path';
+import { resumableUpload } from './upload.js';
+import { saveSharedBuild } from './state.js';
+
+/**
+ * Upload a build to internal app sharing
+ * @param {string} packageName - Android package name
+ * @param {string} filePath - Path to AAB or APK file
+ * @returns {Promise<Object>} Shared build (downloadUrl, certificateFingerprint, sha256, file)
+ */
+export async function shareBuild(packageName, filePath) {
+  const ext = extname(filePath).toLowerCase();
+  if (ext !== '.aab' && ext !== '.apk') {
+    throw new Error(`Unsupported file type: ${ext}. Expected .aab or .apk`);
+  }
+
+  const artifactType = ext === '.aab' ? 'bundle' : 'apk';
+  const mimeType = ext === '.aab' ? 'application/octet-stream' : 'application/vnd.android.package-archive';
+
+  console.log(`\n🔗 Sharing ${artifactType.toUpperCase()} via internal app sharing: ${filePath}`);
+
+  try {
+    const artifact = await resumableUpload(
+      `applications/internalappsharing/${packageName}/artifacts/${artifactType}`,
+      filePath,
+      mimeType
+    );
+
+    const share = {
+      downloadUrl: artifact.downloadUrl,
+      certificateFingerprint: artifact.certificateFingerprint,
+      sha256: artifact.sha256,
+      file: resolve(filePath)
+    };
+
+    await saveSharedBuild(packageName, share);
+
+    console.log(`   ✅ Build shared`);
+    return share;
+  } catch (error) {
+    if (error.code === 400) {
+      throw new Error(`Invalid build file: ${error.message}`);
+    }
+    if (error.code === 403) {
+      throw new Error(`Internal app sharing not allowed: ${error.message}. Enable it in Play Console → Internal app sharing and grant the service account access.`);
+    }
+    throw new Error(`Failed to share build: ${error.message}`);
+  }
+}
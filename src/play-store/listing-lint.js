@@ -0,0 +1,236 @@
+/**
+ * Store listing linter
+ * Flags common Play metadata policy pitfalls in listing copy before it is uploaded
+ */
+
+import { LISTING_LIMITS } from './listings.js';
+
+/**
+ * Lint rules with their default severity ('error', 'warning' or 'off') and options
+ * Override with the listingLint.rules section of play-store-config.json, either as a
+ * severity string or as { severity, ...options }.
+ */
+export const DEFAULT_LINT_RULES = {
+  'title-emoji': { severity: 'error' },
+  'title-all-caps': { severity: 'warning', minWordLength: 4 },
+  'ranking-claims': { severity: 'error' },
+  'ranking-top': { severity: 'warning' },
+  'promotional-title': { severity: 'error' },
+  'short-description-contact': { severity: 'error' },
+  'keyword-repetition': { severity: 'warning', maxRepetitions: { title: 1, shortDescription: 2, fullDescription: 8 } },
+  'trademarks': { severity: 'error', terms: [] }
+};
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+const RANKING_PATTERN = /#\s?1\b|\bno\.?\s?1\b|\bnumber\s+one\b|\bbest\b|\btop[- ]rated\b|\bmost popular\b|\bapp of the year\b/giu;
+// "Top" is only a warning: it is just as often a position ("top bar") as a ranking
+const TOP_PATTERN = /\btop\b(?![- ]rated\b)/giu;
+
+const PROMOTION_PATTERN = /\bfree\b|\bsale\b|\bdiscount(s|ed)?\b|\bdeals?\b|\bcheap(est)?\b|\d+\s?% off\b|\blimited time\b|\b(download|install) now\b|\bcashback\b|\bpromo(tion)?\b|[$€£¥]\s?\d/giu;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s,;]+|\bwww\.[^\s,;]+|(?<![@\w.])[a-z0-9-]+\.(com|net|org|io|app|dev|co)\b/giu;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/gu;
+// International (+...), parenthesized area code or three groups with one separator;
+// plain digit runs are years, version numbers or counts far more often than phone numbers
+const PHONE_PATTERN = /(?<![\w+])\+\d[\d ().-]{6,}\d|\(\d{2,5}\)\s?\d{3,4}[ .-]?\d{3,4}\b|\b(?:1[ .-])?\d{3}([ .-])\d{3}\1\d{4}\b/gu;
+
+// Symbols that are Extended_Pictographic but allowed in titles
+const ALLOWED_SYMBOLS = ['©', '®', '™'];
+
+// Words too common to count as repeated keywords
+const STOP_WORDS = new Set([
+  'with', 'your', 'that', 'this', 'from', 'have', 'will', 'more', 'into', 'than', 'then',
+  'them', 'they', 'their', 'what', 'when', 'which', 'while', 'where', 'about', 'also', 'each',
+  'other', 'just', 'like', 'over', 'only', 'very', 'there', 'these', 'those', 'been', 'were'
+]);
+
+/**
+ * Rule implementations: (listing, options) => [{ field, message }]
+ */
+const RULES = {
+  'title-emoji': (listing) => {
+    const emoji = [...(listing.title || '').matchAll(/\p{Extended_Pictographic}/gu)]
+      .map(match => match[0])
+      .filter(symbol => !ALLOWED_SYMBOLS.includes(symbol));
+    return emoji.length > 0 ? [{ field: 'title', message: `Title contains emoji: ${emoji.join(' ')}` }] : [];
+  },
+
+  'title-all-caps': (listing, options) => {
+    const words = (listing.title || '').match(/\p{L}+/gu) || [];
+    const caps = words.filter(word => word.length >= options.minWordLength && word === word.toUpperCase() && word !== word.toLowerCase());
+    return caps.length > 0 ? [{ field: 'title', message: `Title uses ALL-CAPS: ${caps.join(', ')}` }] : [];
+  },
+
+  'ranking-claims': (listing) => findMatches(listing, ['title', 'shortDescription'], RANKING_PATTERN, 'Ranking or performance claim'),
+
+  'ranking-top': (listing) => findMatches(listing, ['title', 'shortDescription'], TOP_PATTERN, 'Possible ranking claim'),
+
+  'promotional-title': (listing) => findMatches(listing, ['title'], PROMOTION_PATTERN, 'Price or promotion wording'),
+
+  'short-description-contact': (listing) => [
+    ...findMatches(listing, ['shortDescription'], URL_PATTERN, 'URL'),
+    ...findMatches(listing, ['shortDescription'], EMAIL_PATTERN, 'Email address'),
+    ...findMatches(listing, ['shortDescription'], PHONE_PATTERN, 'Phone number')
+  ],
+
+  'keyword-repetition': (listing, options) => {
+    const findings = [];
+
+    for (const field of Object.keys(LISTING_LIMITS)) {
+      const limit = options.maxRepetitions?.[field];
+      if (!listing[field] || limit === undefined) {
+        continue;
+      }
+
+      const counts = new Map();
+      for (const word of stripMarkup(listing[field]).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        if (word.length >= 4 && !STOP_WORDS.has(word)) {
+          counts.set(word, (counts.get(word) || 0) + 1);
+        }
+      }
+
+      const repeated = [...counts].filter(([, count]) => count > limit);
+      if (repeated.length > 0) {
+        const details = repeated.map(([word, count]) => `"${word}" ×${count}`).join(', ');
+        findings.push({ field, message: `Repeated keywords (more than ${limit}×): ${details}` });
+      }
+    }
+
+    return findings;
+  },
+
+  'trademarks': (listing, options) => {
+    const findings = [];
+
+    for (const term of options.terms || []) {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu');
+      findings.push(...findMatches(listing, Object.keys(LISTING_LIMITS), pattern, `Third-party trademark "${term}"`));
+    }
+
+    return findings;
+  }
+};
+
+/**
+ * Merge the listingLint.rules config section over the default rules
+ * @param {Object} overrides - listingLint.rules from play-store-config.json (optional)
+ * @returns {Object} Effective rules ({ [rule]: { severity, ...options } })
+ */
+export function resolveLintRules(overrides = null) {
+  const rules = {};
+
+  for (const [rule, settings] of Object.entries(DEFAULT_LINT_RULES)) {
+    rules[rule] = { ...settings };
+  }
+
+  for (const [rule, entry] of Object.entries(overrides || {})) {
+    if (!rules[rule]) {
+      throw new Error(`Unknown listingLint rule "${rule}". Known rules: ${Object.keys(DEFAULT_LINT_RULES).join(', ')}`);
+    }
+
+    const settings = typeof entry === 'string' ? { severity: entry } : entry;
+    if (!settings || typeof settings !== 'object' || (settings.severity && !SEVERITIES.includes(settings.severity))) {
+      throw new Error(`Invalid listingLint.rules.${rule}: expected ${SEVERITIES.join(', ')} or { "severity": ..., ...options }`);
+    }
+
+    const merged = { ...rules[rule], ...settings };
+    // Nested option maps (e.g., maxRepetitions per field) are merged, not replaced
+    for (const [option, value] of Object.entries(settings)) {
+      if (isPlainObject(value) && isPlainObject(rules[rule][option])) {
+        merged[option] = { ...rules[rule][option], ...value };
+      }
+    }
+    rules[rule] = merged;
+  }
+
+  return rules;
+}
+
+/**
+ * Lint listings of every locale
+ * @param {Array<Object>} listings - Result of loadListings
+ * @param {Object} lintConfig - listingLint section of play-store-config.json (optional)
+ * @returns {Object} Report ({ locales: [{ language, findings: [{ rule, severity, field, message }] }], errors, warnings })
+ */
+export function lintListings(listings, lintConfig = null) {
+  const rules = resolveLintRules(lintConfig?.rules);
+  const report = { locales: [], errors: 0, warnings: 0 };
+
+  for (const listing of listings) {
+    const findings = [];
+
+    for (const [rule, settings] of Object.entries(rules)) {
+      if (settings.severity === 'off') {
+        continue;
+      }
+
+      for (const finding of RULES[rule](listing, settings)) {
+        findings.push({ rule, severity: settings.severity, ...finding });
+      }
+    }
+
+    report.errors += findings.filter(finding => finding.severity === 'error').length;
+    report.warnings += findings.filter(finding => finding.severity === 'warning').length;
+    report.locales.push({ language: listing.language, findings });
+  }
+
+  return report;
+}
+
+/**
+ * Print a lint report grouped by locale
+ * @param {Object} report - Result of lintListings
+ */
+export function printLintReport(report) {
+  for (const locale of report.locales) {
+    if (locale.findings.length === 0) {
+      console.log(`   ✅ ${locale.language}`);
+      continue;
+    }
+
+    console.log(`   ${locale.findings.some(finding => finding.severity === 'error') ? '❌' : '⚠️ '} ${locale.language}`);
+    for (const finding of locale.findings) {
+      console.log(`      ${finding.severity === 'error' ? 'error  ' : 'warning'} ${finding.field}: ${finding.message} [${finding.rule}]`);
+    }
+  }
+
+  console.log(`\n   ${report.errors} error(s), ${report.warnings} warning(s) in ${report.locales.length} locale(s)`);
+}
+
+/**
+ * Report each distinct match of a pattern in the given fields
+ */
+function findMatches(listing, fields, pattern, label) {
+  const findings = [];
+
+  for (const field of fields) {
+    const matches = [...new Set([...stripMarkup(listing[field] || '').matchAll(pattern)].map(match => match[0].trim()))];
+    if (matches.length > 0) {
+      findings.push({ field, message: `${label}: ${matches.map(match => `"${match}"`).join(', ')}` });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Drop HTML tags so formatting markup doesn't count as copy
+ */
+function stripMarkup(text) {
+  return text.replace(/<[^>]+>/g, ' ');
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,175 @@
+/**
+ * Play Store localized listings
+ * Loads store listings per locale from config and a fastlane supply style
+ * metadata directory (metadata/android/<locale>/title.txt, ...)
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, extname } from 'path';
+import { fileExists } from '../utils/fs.js';
+import { isValidUrl } from '../utils/url.js';
+import { markdownToPlayText } from './markdown.js';
+
+/**
+ * Language of the listing described by the inline metadata fields
+ */
+export const DEFAULT_LISTING_LANGUAGE = 'en-US';
+
+/**
+ * Maximum length per listing field (Play Console limits)
+ */
+export const LISTING_LIMITS = {
+  title: 50,
+  shortDescription: 80,
+  fullDescription: 4000
+};
+
+/**
+ * Listing fields and their fastlane file names
+ */
+export const LISTING_FILES = {
+  title: 'title.txt',
+  shortDescription: 'short_description.txt',
+  fullDescription: 'full_description.txt',
+  video: 'video.txt'
+};
+
+/**
+ * Markdown alternative to full_description.txt in a locale directory
+ */
+const FULL_DESCRIPTION_MARKDOWN_FILE = 'full_description.md';
+
+/**
+ * Load localized store listings
+ * Reads metadata.localesDir (fastlane layout) if set; the inline title and
+ * descriptions describe the en-US listing and override en-US files field by field.
+ * The en-US full description can also come from metadata.fullDescriptionFile.
+ * Markdown (.md) descriptions are converted to Play's formatting before validation,
+ * so the length limits apply to the text that is uploaded.
+ * @param {Object} metadata - metadata section of play-store-config.json
+ * @returns {Promise<Array<Object>>} Listings ([{ language, title, shortDescription, fullDescription, video }])
+ */
+export async function loadListings(metadata) {
+  const listings = metadata.localesDir ? await readLocalesDirectory(metadata.localesDir) : {};
+
+  const inline = {};
+  for (const field of Object.keys(LISTING_FILES)) {
+    if (typeof metadata[field] === 'string' && metadata[field].trim().length > 0) {
+      inline[field] = metadata[field].trim();
+    }
+  }
+
+  if (metadata.fullDescriptionFile) {
+    if (inline.fullDescription) {
+      throw new Error('Set either metadata.fullDescription or metadata.fullDescriptionFile, not both');
+    }
+    if (!(await fileExists(metadata.fullDescriptionFile))) {
+      throw new Error(`Full description file not found: ${metadata.fullDescriptionFile}`);
+    }
+    inline.fullDescription = await readDescriptionFile(metadata.fullDescriptionFile);
+  }
+
+  if (Object.keys(inline).length > 0) {
+    listings[DEFAULT_LISTING_LANGUAGE] = { ...(listings[DEFAULT_LISTING_LANGUAGE] || {}), ...inline };
+  }
+
+  const result = Object.entries(listings)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([language, fields]) => ({ language, ...fields }));
+
+  validateListings(result);
+
+  return result;
+}
+
+/**
+ * Read a fastlane metadata directory: one subdirectory per locale
+ * Locale directories without any listing file (e.g., only images/) are ignored.
+ * @param {string} dir - Directory path (e.g., './fastlane/metadata/android')
+ * @returns {Promise<Object>} Map of locale to listing fields
+ */
+async function readLocalesDirectory(dir) {
+  if (!(await fileExists(dir))) {
+    throw new Error(`Listing locales directory not found: ${dir}`);
+  }
+
+  const listings = {};
+  const entries = (await readdir(dir)).sort();
+
+  for (const locale of entries) {
+    const localeDir = join(dir, locale);
+    if (!(await stat(localeDir)).isDirectory()) {
+      continue;
+    }
+
+    const fields = {};
+    for (const [field, file] of Object.entries(LISTING_FILES)) {
+      let filePath = join(localeDir, file);
+
+      if (field === 'fullDescription' && await fileExists(join(localeDir, FULL_DESCRIPTION_MARKDOWN_FILE))) {
+        if (await fileExists(filePath)) {
+          throw new Error(`${localeDir} has both ${file} and ${FULL_DESCRIPTION_MARKDOWN_FILE}, keep only one`);
+        }
+        filePath = join(localeDir, FULL_DESCRIPTION_MARKDOWN_FILE);
+      }
+
+      if (await fileExists(filePath)) {
+        const text = await readDescriptionFile(filePath);
+        if (text.length > 0) {
+          fields[field] = text;
+        }
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      listings[locale] = fields;
+    }
+  }
+
+  return listings;
+}
+
+/**
+ * Read a listing text file, converting Markdown (.md) to Play's formatting
+ * @param {string} filePath - Text or Markdown file
+ * @returns {Promise<string>} Trimmed text as it will be uploaded
+ */
+async function readDescriptionFile(filePath) {
+  const content = await readFile(filePath, 'utf-8');
+
+  if (extname(filePath).toLowerCase() !== '.md') {
+    return content.trim();
+  }
+
+  const { text, warnings } = markdownToPlayText(content);
+  for (const warning of warnings) {
+    console.warn(`⚠️  ${filePath}: ${warning}`);
+  }
+
+  return text;
+}
+
+/**
+ * Validate listings against Play Console limits
+ * Reports every problem of every locale at once.
+ * @param {Array<Object>} listings - Listings ([{ language, title, ... }])
+ */
+export function validateListings(listings) {
+  const problems = [];
+
+  for (const listing of listings) {
+    for (const [field, limit] of Object.entries(LISTING_LIMITS)) {
+      if (listing[field] && listing[field].length > limit) {
+        problems.push(`${listing.language}: ${field} exceeds ${limit} characters (${listing[field].length} chars)`);
+      }
+    }
+
+    if (listing.video && !isValidUrl(listing.video)) {
+      problems.push(`${listing.language}: video is not a valid URL (${listing.video})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid store listings:\n   - ${problems.join('\n   - ')}`);
+  }
+}
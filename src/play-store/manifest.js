@@ -0,0 +1,387 @@
+/**
+ * AndroidManifest.xml decoding
+ * AABs store the manifest as an aapt2 protobuf XmlNode (base/manifest/AndroidManifest.xml),
+ * APKs as Android binary XML. Both are decoded into the same element tree:
+ * { name, attributes: { [name]: value }, children: [...] }
+ */
+
+/**
+ * Framework attribute resource IDs, used when attribute names are stripped or obfuscated
+ */
+const ANDROID_ATTRIBUTE_IDS = {
+  0x01010003: 'name',
+  0x0101020c: 'minSdkVersion',
+  0x0101021b: 'versionCode',
+  0x0101021c: 'versionName',
+  0x01010270: 'targetSdkVersion',
+  0x01010271: 'maxSdkVersion'
+};
+
+/**
+ * Extract publishing-relevant fields from a decoded manifest
+ * @param {Object} manifest - Root <manifest> element
+ * @returns {Object} { packageName, versionCode, versionName, minSdk, targetSdk, permissions }
+ */
+export function extractManifestInfo(manifest) {
+  if (!manifest || manifest.name !== 'manifest') {
+    throw new Error('Invalid AndroidManifest.xml: root element is not <manifest>');
+  }
+
+  const usesSdk = manifest.children.find(child => child.name === 'uses-sdk');
+  const minSdk = toInteger(usesSdk?.attributes.minSdkVersion) ?? 1;
+  const permissions = manifest.children
+    .filter(child => child.name === 'uses-permission' || child.name === 'uses-permission-sdk-23')
+    .map(child => child.attributes.name)
+    .filter(Boolean);
+
+  return {
+    packageName: manifest.attributes.package || null,
+    versionCode: toInteger(manifest.attributes.versionCode),
+    versionName: manifest.attributes.versionName ?? null,
+    minSdk: minSdk,
+    // Android falls back to minSdkVersion when targetSdkVersion is not declared
+    targetSdk: toInteger(usesSdk?.attributes.targetSdkVersion) ?? minSdk,
+    permissions: [...new Set(permissions)]
+  };
+}
+
+/**
+ * Convert an attribute value to an integer (null if missing or not numeric)
+ */
+function toInteger(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Decode an aapt2 protobuf XmlNode manifest
+ * @param {Buffer} buffer - Contents of base/manifest/AndroidManifest.xml
+ * @returns {Object} Root element
+ */
+export function parseProtoManifest(buffer) {
+  const node = decodeFields(buffer);
+  const element = node.find(field => field.number === 1);
+
+  if (!element) {
+    throw new Error('Invalid protobuf manifest: no root element');
+  }
+
+  return decodeProtoElement(element.value);
+}
+
+/**
+ * Decode an XmlElement message
+ */
+function decodeProtoElement(buffer) {
+  const element = { name: '', attributes: {}, children: [] };
+
+  for (const field of decodeFields(buffer)) {
+    if (field.number === 3) {
+      element.name = field.value.toString('utf-8');
+    } else if (field.number === 4) {
+      const attribute = decodeProtoAttribute(field.value);
+      if (attribute.name) {
+        element.attributes[attribute.name] = attribute.value;
+      }
+    } else if (field.number === 5) {
+      // XmlNode child: element (1) or text (2) - only elements matter here
+      const child = decodeFields(field.value).find(childField => childField.number === 1);
+      if (child) {
+        element.children.push(decodeProtoElement(child.value));
+      }
+    }
+  }
+
+  return element;
+}
+
+/**
+ * Decode an XmlAttribute message
+ * Compiled primitives (ints, booleans) win over the raw string value.
+ */
+function decodeProtoAttribute(buffer) {
+  let name = '';
+  let resourceId = 0;
+  let value = null;
+  let compiled;
+
+  for (const field of decodeFields(buffer)) {
+    if (field.number === 2) {
+      name = field.value.toString('utf-8');
+    } else if (field.number === 3) {
+      value = field.value.toString('utf-8');
+    } else if (field.number === 5) {
+      resourceId = field.value;
+    } else if (field.number === 6) {
+      compiled = decodeProtoItem(field.value);
+    }
+  }
+
+  return {
+    name: name || ANDROID_ATTRIBUTE_IDS[resourceId] || '',
+    value: compiled ?? value
+  };
+}
+
+/**
+ * Decode an Item message into a plain value
+ */
+function decodeProtoItem(buffer) {
+  for (const field of decodeFields(buffer)) {
+    if (field.number === 2) {
+      // String { value = 1 }
+      const str = decodeFields(field.value).find(strField => strField.number === 1);
+      return str ? str.value.toString('utf-8') : '';
+    }
+    if (field.number === 7) {
+      return decodeProtoPrimitive(field.value);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Decode a Primitive message (int_decimal = 6, int_hexadecimal = 7, boolean = 8)
+ */
+function decodeProtoPrimitive(buffer) {
+  for (const field of decodeFields(buffer)) {
+    if (field.number === 6) {
+      return field.value | 0;
+    }
+    if (field.number === 7) {
+      return field.value >>> 0;
+    }
+    if (field.number === 8) {
+      return field.value !== 0;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Decode the fields of a protobuf message
+ * Varints become numbers, length-delimited fields stay Buffers.
+ */
+function decodeFields(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const [key, keyEnd] = readVarint(buffer, offset);
+    const number = Math.floor(key / 8);
+    const wireType = key % 8;
+    offset = keyEnd;
+
+    if (wireType === 0) {
+      const [value, end] = readVarint(buffer, offset);
+      fields.push({ number, value });
+      offset = end;
+    } else if (wireType === 1) {
+      fields.push({ number, value: buffer.subarray(offset, offset + 8) });
+      offset += 8;
+    } else if (wireType === 2) {
+      const [length, start] = readVarint(buffer, offset);
+      fields.push({ number, value: buffer.subarray(start, start + length) });
+      offset = start + length;
+    } else if (wireType === 5) {
+      fields.push({ number, value: buffer.readUInt32LE(offset) });
+      offset += 4;
+    } else {
+      throw new Error(`Invalid protobuf manifest: unsupported wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Read a varint, returning [value, nextOffset]
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  let multiplier = 1;
+
+  while (true) {
+    if (offset >= buffer.length) {
+      throw new Error('Invalid protobuf manifest: truncated varint');
+    }
+    const byte = buffer[offset++];
+    value += (byte & 0x7f) * multiplier;
+    if ((byte & 0x80) === 0) {
+      return [value, offset];
+    }
+    multiplier *= 128;
+  }
+}
+
+// Android binary XML chunk and value types (ResourceTypes.h)
+const CHUNK_STRING_POOL = 0x0001;
+const CHUNK_XML = 0x0003;
+const CHUNK_XML_RESOURCE_MAP = 0x0180;
+const CHUNK_XML_START_ELEMENT = 0x0102;
+const CHUNK_XML_END_ELEMENT = 0x0103;
+
+const TYPE_STRING = 0x03;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_HEX = 0x11;
+const TYPE_INT_BOOLEAN = 0x12;
+const NO_INDEX = 0xffffffff;
+
+/**
+ * Decode an Android binary XML manifest
+ * @param {Buffer} buffer - Contents of AndroidManifest.xml from an APK
+ * @returns {Object} Root element
+ */
+export function parseBinaryManifest(buffer) {
+  if (buffer.length < 8 || buffer.readUInt16LE(0) !== CHUNK_XML) {
+    throw new Error('Invalid binary manifest: not an Android binary XML file');
+  }
+
+  let strings = [];
+  let resourceIds = [];
+  let root = null;
+  const stack = [];
+  let offset = buffer.readUInt16LE(2);
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (size < 8) {
+      throw new Error('Invalid binary manifest: corrupt chunk');
+    }
+
+    if (type === CHUNK_STRING_POOL) {
+      strings = readStringPool(buffer, offset);
+    } else if (type === CHUNK_XML_RESOURCE_MAP) {
+      resourceIds = [];
+      for (let position = offset + headerSize; position < offset + size; position += 4) {
+        resourceIds.push(buffer.readUInt32LE(position));
+      }
+    } else if (type === CHUNK_XML_START_ELEMENT) {
+      const element = readStartElement(buffer, offset + headerSize, strings, resourceIds);
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else if (!root) {
+        root = element;
+      }
+      stack.push(element);
+    } else if (type === CHUNK_XML_END_ELEMENT) {
+      stack.pop();
+    }
+
+    offset += size;
+  }
+
+  if (!root) {
+    throw new Error('Invalid binary manifest: no root element');
+  }
+
+  return root;
+}
+
+/**
+ * Read a start element chunk body (ResXMLTree_attrExt)
+ */
+function readStartElement(buffer, offset, strings, resourceIds) {
+  const nameIndex = buffer.readUInt32LE(offset + 4);
+  const attributeStart = buffer.readUInt16LE(offset + 8);
+  const attributeSize = buffer.readUInt16LE(offset + 10);
+  const attributeCount = buffer.readUInt16LE(offset + 12);
+
+  const element = { name: strings[nameIndex] || '', attributes: {}, children: [] };
+
+  for (let i = 0; i < attributeCount; i++) {
+    const position = offset + attributeStart + i * attributeSize;
+    const attributeNameIndex = buffer.readUInt32LE(position + 4);
+    const rawValueIndex = buffer.readUInt32LE(position + 8);
+    const dataType = buffer.readUInt8(position + 15);
+    const data = buffer.readUInt32LE(position + 16);
+
+    // Prefer the framework resource ID: attribute name strings may be obfuscated
+    const name = ANDROID_ATTRIBUTE_IDS[resourceIds[attributeNameIndex]] || strings[attributeNameIndex];
+    if (!name) {
+      continue;
+    }
+
+    let value;
+    if (dataType === TYPE_STRING) {
+      value = strings[rawValueIndex !== NO_INDEX ? rawValueIndex : data];
+    } else if (dataType === TYPE_INT_DEC) {
+      value = data | 0;
+    } else if (dataType === TYPE_INT_HEX) {
+      value = data >>> 0;
+    } else if (dataType === TYPE_INT_BOOLEAN) {
+      value = data !== 0;
+    } else if (rawValueIndex !== NO_INDEX) {
+      value = strings[rawValueIndex];
+    } else {
+      // References and other typed values are kept as raw data
+      value = `0x${data.toString(16)}`;
+    }
+
+    element.attributes[name] = value;
+  }
+
+  return element;
+}
+
+/**
+ * Read a string pool chunk (UTF-8 or UTF-16)
+ */
+function readStringPool(buffer, offset) {
+  const stringCount = buffer.readUInt32LE(offset + 8);
+  const flags = buffer.readUInt32LE(offset + 16);
+  const stringsStart = buffer.readUInt32LE(offset + 20);
+  const isUtf8 = (flags & 0x100) !== 0;
+  const headerSize = buffer.readUInt16LE(offset + 2);
+
+  const strings = [];
+  for (let i = 0; i < stringCount; i++) {
+    const stringOffset = offset + stringsStart + buffer.readUInt32LE(offset + headerSize + i * 4);
+    strings.push(isUtf8 ? readUtf8String(buffer, stringOffset) : readUtf16String(buffer, stringOffset));
+  }
+
+  return strings;
+}
+
+/**
+ * Read a UTF-8 pool string: utf-16 length, utf-8 byte length, bytes
+ */
+function readUtf8String(buffer, offset) {
+  let position = offset;
+
+  // Skip the UTF-16 character count (1 or 2 bytes)
+  position += (buffer[position] & 0x80) ? 2 : 1;
+
+  let byteLength = buffer[position];
+  if (byteLength & 0x80) {
+    byteLength = ((byteLength & 0x7f) << 8) | buffer[position + 1];
+    position += 2;
+  } else {
+    position += 1;
+  }
+
+  return buffer.toString('utf-8', position, position + byteLength);
+}
+
+/**
+ * Read a UTF-16 pool string: character length, UTF-16LE characters
+ */
+function readUtf16String(buffer, offset) {
+  let position = offset;
+  let length = buffer.readUInt16LE(position);
+
+  if (length & 0x8000) {
+    length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(position + 2);
+    position += 4;
+  } else {
+    position += 2;
+  }
+
+  return buffer.toString('utf16le', position, position + length * 2);
+}
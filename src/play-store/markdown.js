@@ -0,0 +1,143 @@
+/**
+ * Markdown to Play description conversion
+ * Play renders full descriptions as text with a small HTML subset: <b>, <i>, <u>
+ * and line breaks. Anything else is converted to plain text or removed, with a warning.
+ */
+
+/**
+ * HTML tags Play accepts in descriptions, and common aliases mapped onto them
+ */
+const ALLOWED_TAGS = { b: 'b', strong: 'b', i: 'i', em: 'i', u: 'u', br: 'br' };
+
+const BULLET = '•';
+
+/**
+ * Convert Markdown to Play's description format
+ * @param {string} markdown - Markdown source
+ * @returns {Object} { text, warnings } - converted text and what was dropped or simplified
+ */
+export function markdownToPlayText(markdown) {
+  const warnings = new Set();
+  const output = [];
+  let paragraph = [];
+  let inCodeBlock = false;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      output.push(paragraph.join(' '));
+      paragraph = [];
+    }
+  };
+
+  for (const rawLine of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    if (/^\s*(```|~~~)/.test(rawLine)) {
+      warnings.add('code blocks are not supported, kept as plain text');
+      flush();
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    if (inCodeBlock) {
+      output.push(rawLine);
+      continue;
+    }
+
+    const line = rawLine.trim();
+    let match;
+
+    if (line === '') {
+      flush();
+      output.push('');
+    } else if ((match = line.match(/^#{1,6}\s+(.*?)\s*#*$/))) {
+      flush();
+      output.push(`<b>${convertInline(match[1], warnings)}</b>`);
+    } else if (/^([-*_])(\s*\1){2,}$/.test(line)) {
+      warnings.add('horizontal rules are not supported, removed');
+      flush();
+    } else if ((match = rawLine.match(/^(\s*)[-*+]\s+(.*)$/))) {
+      flush();
+      output.push(`${indent(match[1])}${BULLET} ${convertInline(match[2].trim(), warnings)}`);
+    } else if ((match = rawLine.match(/^(\s*)(\d+)[.)]\s+(.*)$/))) {
+      flush();
+      output.push(`${indent(match[1])}${match[2]}. ${convertInline(match[3].trim(), warnings)}`);
+    } else {
+      let text = line;
+      if ((match = line.match(/^>\s?(.*)$/))) {
+        warnings.add('block quotes are not supported, kept as plain text');
+        text = match[1];
+      }
+
+      paragraph.push(convertInline(text.replace(/\\$/, ''), warnings));
+
+      // Two trailing spaces or a trailing backslash are a Markdown hard line break
+      if (/ {2,}$/.test(rawLine) || /\\$/.test(line)) {
+        output.push(paragraph.join(' '));
+        paragraph = [];
+      }
+    }
+  }
+
+  flush();
+
+  const text = output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return { text, warnings: [...warnings] };
+}
+
+/**
+ * Convert inline Markdown (emphasis, links, code) and filter HTML tags
+ */
+function convertInline(text, warnings) {
+  // Protect escaped characters from being read as markup
+  const escaped = [];
+  let result = text.replace(/\\([\\`*_{}[\]()#+\-.!<>~])/g, (_, char) => {
+    escaped.push(char);
+    return `\u0000${escaped.length - 1}\u0000`;
+  });
+
+  // Keep the supported HTML subset, drop every other tag
+  result = result.replace(/<\/?([a-zA-Z][a-zA-Z0-9]*)\b[^>]*>/g, (tag, name) => {
+    if (/^<https?:/i.test(tag)) {
+      return tag;
+    }
+    const allowed = ALLOWED_TAGS[name.toLowerCase()];
+    if (!allowed) {
+      warnings.add(`HTML tag <${name.toLowerCase()}> is not supported, removed`);
+      return '';
+    }
+    if (allowed === 'br') {
+      return '<br>';
+    }
+    return tag.startsWith('</') ? `</${allowed}>` : `<${allowed}>`;
+  });
+
+  result = result
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, () => {
+      warnings.add('images are not supported, removed');
+      return '';
+    })
+    .replace(/\[([^\]]+)\]\(\s*([^)\s]+)[^)]*\)/g, (_, label, url) => {
+      warnings.add('links are not clickable on Play, converted to "text (url)"');
+      return label === url ? url : `${label} (${url})`;
+    })
+    .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+    .replace(/`([^`]+)`/g, (_, code) => {
+      warnings.add('inline code is not supported, kept as plain text');
+      return code;
+    })
+    .replace(/~~(.+?)~~/g, (_, struck) => {
+      warnings.add('strikethrough is not supported, kept as plain text');
+      return struck;
+    })
+    // Emphasis markers must hug the text, so "5 * 3 * 2" stays arithmetic
+    .replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*|__(?!\s)(.+?)(?<!\s)__/g, (_, a, b) => `<b>${a ?? b}</b>`)
+    .replace(/(?<!\*)\*(?![\s*])(.+?)(?<![\s*])\*(?!\*)|(?<![\p{L}\p{N}])_(?!\s)(.+?)(?<!\s)_(?![\p{L}\p{N}])/gu, (_, a, b) => `<i>${a ?? b}</i>`);
+
+  return result.replace(/\u0000(\d+)\u0000/g, (_, index) => escaped[Number(index)]);
+}
+
+/**
+ * Keep nested list indentation (two spaces per level)
+ */
+function indent(whitespace) {
+  return '  '.repeat(Math.floor(whitespace.replace(/\t/g, '    ').length / 2));
+}
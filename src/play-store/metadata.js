@@ -4,159 +4,241 @@
  */
 
 import { getPlayStoreClient } from './auth.js';
+import { LISTING_FILES, LISTING_LIMITS } from './listings.js';
+import { isValidUrl } from '../utils/url.js';
 
 /**
- * Set store listing metadata
+ * Sync localized store listings in one edit
+ * Only locales whose fields differ from the edit are updated (see diffListings).
  * @param {string} packageName - Android package name
  * @param {string} editId - Edit session ID
- * @param {string} language - Language code (e.g., 'en-US')
- * @param {Object} metadata - Metadata object
- * @param {string} metadata.title - App title (max 50 chars)
- * @param {string} metadata.shortDescription - Short description (max 80 chars)
- * @param {string} metadata.fullDescription - Full description (max 4000 chars)
- * @param {string} metadata.category - App category (e.g., 'APPLICATION_PRODUCTIVITY')
- * @param {string} metadata.privacyPolicyUrl - Privacy policy URL
- * @returns {Promise<Object>} Updated listing
+ * @param {Array<Object>} listings - Result of loadListings
+ * @returns {Promise<Object>} Report ({ added, changed, unchanged, untouched } arrays of locales)
  */
-export async function setListingMetadata(packageName, editId, language, metadata) {
+export async function syncListings(packageName, editId, listings) {
   const androidpublisher = await getPlayStoreClient();
 
-  console.log(`\n📝 Setting store listing metadata (${language})...`);
+  console.log(`\n📝 Syncing store listings (${listings.length} locale(s))...`);
 
-  // Validate metadata
-  validateMetadata(metadata);
+  const diff = diffListings(await listListings(packageName, editId), listings);
 
-  try {
-    const listing = {
-      title: metadata.title,
-      shortDescription: metadata.shortDescription,
-      fullDescription: metadata.fullDescription
-    };
-
-    // Update listing
-    const response = await androidpublisher.edits.listings.update({
-      packageName: packageName,
-      editId: editId,
-      language: language,
-      requestBody: listing
-    });
-
-    console.log(`   ✅ Listing metadata updated`);
+  // Fail before touching the edit if any locale can't be uploaded
+  if (diff.problems.length > 0) {
+    throw new Error(`Invalid store listings:\n   - ${diff.problems.join('\n   - ')}`);
+  }
 
-    // Set app details (category, privacy policy, etc.)
-    if (metadata.category || metadata.privacyPolicyUrl) {
-      await setAppDetails(packageName, editId, {
-        category: metadata.category,
-        privacyPolicyUrl: metadata.privacyPolicyUrl
+  for (const { language, listing } of diff.updates) {
+    try {
+      await androidpublisher.edits.listings.update({
+        packageName: packageName,
+        editId: editId,
+        language: language,
+        requestBody: listing
       });
+    } catch (error) {
+      throw new Error(`Failed to update ${language} listing: ${error.message}`);
     }
+  }
 
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to set listing metadata: ${error.message}`);
+  const report = {
+    added: diff.added,
+    changed: diff.changed,
+    unchanged: diff.unchanged,
+    untouched: diff.untouched
+  };
+  printListingsReport(report);
+
+  return report;
+}
+
+/**
+ * Compare local listings with the listings of an edit
+ * Fields missing locally keep their current value; new locales need a title and
+ * both descriptions. Locales that exist remotely but not locally are left untouched.
+ * @param {Array<Object>} current - Listings of the edit (listListings)
+ * @param {Array<Object>} listings - Local listings (loadListings)
+ * @returns {Object} { added, changed, unchanged, untouched, updates: [{ language, listing, changes }], problems }
+ */
+export function diffListings(current, listings) {
+  const diff = { added: [], changed: [], unchanged: [], untouched: [], updates: [], problems: [] };
+
+  for (const { language, ...fields } of listings) {
+    const existing = current.find(listing => listing.language === language);
+    const listing = {};
+    for (const field of Object.keys(LISTING_FILES)) {
+      listing[field] = fields[field] ?? existing?.[field] ?? '';
+    }
+
+    const changes = Object.keys(LISTING_FILES)
+      .filter(field => listing[field] !== (existing?.[field] || ''))
+      .map(field => ({ field, from: existing?.[field] || '', to: listing[field] }));
+
+    if (!existing) {
+      const missing = Object.keys(LISTING_LIMITS).filter(field => !listing[field]);
+      if (missing.length > 0) {
+        diff.problems.push(`${language}: new listing is missing ${missing.join(', ')}`);
+        continue;
+      }
+      diff.added.push(language);
+    } else if (changes.length > 0) {
+      diff.changed.push(language);
+    } else {
+      diff.unchanged.push(language);
+      continue;
+    }
+
+    diff.updates.push({ language, listing, changes });
   }
+
+  diff.untouched = current
+    .map(listing => listing.language)
+    .filter(language => !listings.some(listing => listing.language === language));
+
+  return diff;
+}
+
+/**
+ * Print which locales a listings sync added, changed or left alone
+ */
+function printListingsReport(report) {
+  const line = (icon, label, locales) => {
+    if (locales.length > 0) {
+      console.log(`   ${icon} ${label} (${locales.length}): ${locales.join(', ')}`);
+    }
+  };
+
+  line('➕', 'Added', report.added);
+  line('✏️ ', 'Changed', report.changed);
+  line('✅', 'Unchanged', report.unchanged);
+  line('ℹ️ ', 'Not in config, left as is', report.untouched);
 }
 
 /**
- * Set app details (category, privacy policy, etc.)
+ * List all store listings of an edit
  * @param {string} packageName - Android package name
  * @param {string} editId - Edit session ID
- * @param {Object} details - App details
- * @returns {Promise<Object>} Updated app details
+ * @returns {Promise<Array<Object>>} Listings ([{ language, title, shortDescription, fullDescription, video }])
  */
-async function setAppDetails(packageName, editId, details) {
+export async function listListings(packageName, editId) {
   const androidpublisher = await getPlayStoreClient();
 
   try {
-    // Get current app details
-    const currentDetails = await androidpublisher.edits.get({
+    const response = await androidpublisher.edits.listings.list({
       packageName: packageName,
       editId: editId
     });
 
-    const appDetails = {
-      ...(currentDetails.data || {}),
-      defaultLanguage: currentDetails.data?.defaultLanguage || 'en-US'
-    };
-
-    // Update category if provided
-    if (details.category) {
-      // Category is set via the app's category field
-      // This may require using a different endpoint
-      console.log(`   Setting category: ${details.category}`);
-    }
-
-    // Privacy policy is set via listings
-    if (details.privacyPolicyUrl) {
-      console.log(`   Privacy policy URL: ${details.privacyPolicyUrl}`);
-      // Privacy policy is typically set in the listing, not app details
-    }
-
-    return appDetails;
+    return response.data.listings || [];
   } catch (error) {
-    // App details endpoint might not support all fields
-    // Continue without failing
-    console.log(`   ⚠️  Could not set all app details: ${error.message}`);
-    return {};
+    throw new Error(`Failed to list store listings: ${error.message}`);
   }
 }
 
 /**
- * Validate metadata constraints
+ * Get app details (default language and contact information)
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @returns {Promise<Object>} Details ({ defaultLanguage, contactEmail, contactPhone, contactWebsite })
  */
-function validateMetadata(metadata) {
-  if (metadata.title && metadata.title.length > 50) {
-    throw new Error(`Title exceeds 50 characters (${metadata.title.length} chars)`);
-  }
-
-  if (metadata.shortDescription && metadata.shortDescription.length > 80) {
-    throw new Error(`Short description exceeds 80 characters (${metadata.shortDescription.length} chars)`);
-  }
+export async function getAppDetails(packageName, editId) {
+  const androidpublisher = await getPlayStoreClient();
 
-  if (metadata.fullDescription && metadata.fullDescription.length > 4000) {
-    throw new Error(`Full description exceeds 4000 characters (${metadata.fullDescription.length} chars)`);
-  }
+  try {
+    const response = await androidpublisher.edits.details.get({
+      packageName: packageName,
+      editId: editId
+    });
 
-  if (metadata.privacyPolicyUrl && !isValidUrl(metadata.privacyPolicyUrl)) {
-    throw new Error(`Invalid privacy policy URL: ${metadata.privacyPolicyUrl}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to get app details: ${error.message}`);
   }
 }
 
 /**
- * Validate URL format
+ * App detail fields managed by the appDetails config section
  */
-function isValidUrl(url) {
-  try {
-    new URL(url);
-    return true;
-  } catch {
-    return false;
-  }
-}
+export const APP_DETAIL_FIELDS = ['defaultLanguage', 'contactEmail', 'contactPhone', 'contactWebsite'];
 
 /**
- * Get current listing metadata
+ * Set app details (contact information and default language)
+ * Fields that are not given keep their current value. The default language must
+ * have a store listing in the edit, so listings are synced before this runs.
  * @param {string} packageName - Android package name
  * @param {string} editId - Edit session ID
- * @param {string} language - Language code
- * @returns {Promise<Object>} Current listing
+ * @param {Object} details - appDetails section ({ defaultLanguage, contactEmail, contactPhone, contactWebsite })
+ * @returns {Promise<Object>} Updated app details
  */
-export async function getListingMetadata(packageName, editId, language = 'en-US') {
+export async function setAppDetails(packageName, editId, details) {
   const androidpublisher = await getPlayStoreClient();
 
+  console.log(`\n📇 Setting app details...`);
+
+  validateAppDetails(details);
+
+  if (details.defaultLanguage) {
+    const listings = await listListings(packageName, editId);
+    if (!listings.some(listing => listing.language === details.defaultLanguage)) {
+      throw new Error(`Default language ${details.defaultLanguage} has no store listing. Add a listing for it first.`);
+    }
+  }
+
+  const current = await getAppDetails(packageName, editId);
+  const appDetails = {};
+  for (const field of APP_DETAIL_FIELDS) {
+    const value = details[field] ?? current[field];
+    if (value) {
+      appDetails[field] = value;
+    }
+  }
+
+  if (!appDetails.contactEmail) {
+    throw new Error('App details need a contact email (appDetails.contactEmail)');
+  }
+
   try {
-    const response = await androidpublisher.edits.listings.get({
+    const response = await androidpublisher.edits.details.update({
       packageName: packageName,
       editId: editId,
-      language: language
+      requestBody: appDetails
     });
 
+    for (const field of APP_DETAIL_FIELDS.filter(field => details[field])) {
+      console.log(`   ${field}: ${details[field]}`);
+    }
+    console.log(`   ✅ App details updated`);
+
     return response.data;
   } catch (error) {
-    if (error.code === 404) {
-      return null;
-    }
-    throw new Error(`Failed to get listing metadata: ${error.message}`);
+    throw new Error(`Failed to set app details: ${error.message}`);
   }
 }
 
+/**
+ * Validate the appDetails config section
+ * Reports every invalid field at once.
+ * @param {Object} details - appDetails section
+ */
+export function validateAppDetails(details) {
+  const problems = [];
+
+  if (details.contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(details.contactEmail)) {
+    problems.push(`contactEmail is not a valid email address (${details.contactEmail})`);
+  }
+
+  if (details.contactWebsite && !(/^https?:\/\//.test(details.contactWebsite) && isValidUrl(details.contactWebsite))) {
+    problems.push(`contactWebsite is not a valid http(s) URL (${details.contactWebsite})`);
+  }
+
+  if (details.contactPhone && !/^\+?[0-9][0-9 ().-]{4,}$/.test(details.contactPhone)) {
+    problems.push(`contactPhone is not a valid phone number (${details.contactPhone})`);
+  }
+
+  if (details.defaultLanguage && !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(details.defaultLanguage)) {
+    problems.push(`defaultLanguage is not a language code like "en-US" (${details.defaultLanguage})`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid appDetails:\n   - ${problems.join('\n   - ')}`);
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Play Store plan/apply
+ * Compares play-store-config.json (and its locale and graphics directories) with
+ * the remote state of an edit, and applies only the differences
+ */
+
+import { fileExists } from '../utils/fs.js';
+import { loadListings, DEFAULT_LISTING_LANGUAGE } from './listings.js';
+import { loadReleaseNotes } from './release-notes.js';
+import { inspectBuild, verifyBuildForUpload } from './build-inspector.js';
+import { listListings, diffListings, syncListings, getAppDetails, setAppDetails, APP_DETAIL_FIELDS } from './metadata.js';
+import { diffImages, replaceImages } from './graphics.js';
+import { prepareLocaleImages, writePendingImages } from './graphics-fix.js';
+import { checkGraphics } from './image-specs.js';
+import { validateTrack, getTrackReleases, getHighestVersionCode, formatUserFraction, setReleaseTrack } from './tracks.js';
+import { uploadBuild, listUploadedVersionCodes, uploadDeobfuscationFiles } from './releases.js';
+import { checkListingCopy, checkReleaseBuild } from './preflight.js';
+
+/**
+ * Load and validate the local side of a plan
+ * Done before any edit is opened, so config errors surface first.
+ * @param {Object} config - Play Store config
+ * @returns {Promise<Object>} { listings, releaseNotes, localeImages, buildPath, buildInfo }
+ */
+export async function loadPlanInputs(config) {
+  const buildPath = config.build.aab || config.build.apk;
+  const defaultLanguage = config.appDetails?.defaultLanguage || DEFAULT_LISTING_LANGUAGE;
+
+  const { localeImages } = await prepareLocaleImages(config.graphics, defaultLanguage);
+  const graphicsReport = await checkGraphics(config.graphics, defaultLanguage, localeImages);
+  if (graphicsReport.problems.length > 0) {
+    throw new Error(`Invalid graphics:\n   - ${graphicsReport.problems.join('\n   - ')}`);
+  }
+
+  return {
+    listings: await loadListings(config.metadata),
+    releaseNotes: config.releaseNotes ? await loadReleaseNotes(config.releaseNotes) : null,
+    localeImages: localeImages,
+    buildPath: buildPath,
+    // Without a local build there is nothing to release - the track section is skipped
+    buildInfo: buildPath && await fileExists(buildPath) ? await inspectBuild(buildPath) : null
+  };
+}
+
+/**
+ * Compare the local inputs with the remote state of an edit
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {Object} config - Play Store config
+ * @param {Object} inputs - Result of loadPlanInputs
+ * @param {Object} options - Plan options
+ * @param {boolean} options.quiet - Don't log progress (e.g., for --json output)
+ * @returns {Promise<Object>} Plan ({ listings, details, images, track, pricing, changeCount, unchangedCount })
+ */
+export async function createPlan(packageName, editId, config, inputs, options = {}) {
+  if (!options.quiet) {
+    console.log(`\n🔍 Comparing config with Play Console...`);
+  }
+
+  const currentListings = await listListings(packageName, editId);
+  const listings = diffListings(currentListings, inputs.listings);
+  if (listings.problems.length > 0) {
+    throw new Error(`Invalid store listings:\n   - ${listings.problems.join('\n   - ')}`);
+  }
+
+  // After apply, the default language must still have a listing
+  const defaultLanguage = config.appDetails?.defaultLanguage;
+  const languages = [...currentListings, ...inputs.listings].map(listing => listing.language);
+  if (defaultLanguage && !languages.includes(defaultLanguage)) {
+    throw new Error(`appDetails.defaultLanguage ${defaultLanguage} has no store listing`);
+  }
+
+  const plan = {
+    listings: listings,
+    details: await planAppDetails(packageName, editId, config.appDetails),
+    images: await planImages(packageName, editId, inputs.localeImages),
+    track: await planTrack(packageName, editId, config, inputs),
+    pricing: config.distribution?.pricing ? { desired: config.distribution.pricing } : null
+  };
+
+  plan.changeCount = listings.updates.length +
+    plan.details.changes.length +
+    plan.images.filter(image => image.status !== 'unchanged').length +
+    (['added', 'changed'].includes(plan.track.status) ? 1 : 0);
+  plan.unchangedCount = listings.unchanged.length +
+    plan.images.filter(image => image.status === 'unchanged').length +
+    (plan.track.status === 'unchanged' ? 1 : 0);
+
+  return plan;
+}
+
+/**
+ * Diff the appDetails config section against the edit's app details
+ * Only fields set in the config are compared.
+ */
+async function planAppDetails(packageName, editId, appDetails) {
+  if (!appDetails) {
+    return { changes: [] };
+  }
+
+  const current = await getAppDetails(packageName, editId);
+  const changes = APP_DETAIL_FIELDS
+    .filter(field => appDetails[field] !== undefined && appDetails[field] !== null)
+    .filter(field => appDetails[field] !== (current[field] || ''))
+    .map(field => ({ field, from: current[field] || '', to: appDetails[field] }));
+
+  return { changes };
+}
+
+/**
+ * Diff the images of every locale, one entry per locale and image type
+ */
+async function planImages(packageName, editId, localeImages) {
+  const images = [];
+
+  for (const { language, images: localImages } of localeImages) {
+    for (const image of await diffImages(packageName, editId, language, localImages)) {
+      images.push({ language, ...image });
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Plan the release of the local build on the configured track
+ */
+async function planTrack(packageName, editId, config, inputs) {
+  const track = config.distribution.track;
+
+  if (!inputs.buildInfo) {
+    return { track, status: 'skipped', reason: `build file not found: ${inputs.buildPath}` };
+  }
+
+  await validateTrack(packageName, editId, track);
+
+  const versionCode = inputs.buildInfo.versionCode;
+  const desired = {
+    status: config.distribution.rollout ? 'inProgress' : 'completed',
+    userFraction: config.distribution.rollout ?? null,
+    releaseNotes: inputs.releaseNotes
+  };
+
+  const releases = await getTrackReleases(packageName, editId, track);
+  const existing = releases.find(release => (release.versionCodes || []).map(Number).includes(versionCode));
+
+  if (existing && isSameRelease(existing, desired)) {
+    return { track, versionCode, status: 'unchanged', desired };
+  }
+
+  const uploaded = await listUploadedVersionCodes(packageName, editId);
+
+  return {
+    track: track,
+    versionCode: versionCode,
+    status: existing ? 'changed' : 'added',
+    needsUpload: !uploaded.includes(versionCode),
+    current: existing ? { status: existing.status, userFraction: existing.userFraction ?? null } : null,
+    desired: desired
+  };
+}
+
+/**
+ * Check whether a remote release already matches the desired one
+ * Release notes are only compared when the config has some.
+ */
+function isSameRelease(release, desired) {
+  if (release.status !== desired.status || (release.userFraction ?? null) !== desired.userFraction) {
+    return false;
+  }
+
+  if (!desired.releaseNotes) {
+    return true;
+  }
+
+  const normalize = notes => JSON.stringify(
+    (notes || [])
+      .map(note => ({ language: note.language, text: note.text.trim() }))
+      .sort((a, b) => a.language.localeCompare(b.language))
+  );
+
+  return normalize(release.releaseNotes) === normalize(desired.releaseNotes);
+}
+
+/**
+ * Print a plan as a readable diff
+ * @param {string} packageName - Android package name
+ * @param {Object} plan - Result of createPlan
+ */
+export function printPlan(packageName, plan) {
+  console.log(`\n📋 Plan for ${packageName}:`);
+
+  console.log('\n   Listings:');
+  for (const update of plan.listings.updates) {
+    const added = plan.listings.added.includes(update.language);
+    console.log(`     ${added ? '+' : '~'} ${update.language}${added ? ' (new locale)' : ''}`);
+    if (!added) {
+      for (const change of update.changes) {
+        console.log(`         ${change.field}: ${formatText(change.from)} → ${formatText(change.to)}`);
+      }
+    }
+  }
+  printUnchanged(plan.listings.unchanged);
+  if (plan.listings.untouched.length > 0) {
+    console.log(`     (not in config, left as is: ${plan.listings.untouched.join(', ')})`);
+  }
+
+  console.log('\n   App details:');
+  for (const change of plan.details.changes) {
+    console.log(`     ~ ${change.field}: ${formatText(change.from)} → ${formatText(change.to)}`);
+  }
+  if (plan.details.changes.length === 0) {
+    console.log('     = unchanged');
+  }
+
+  console.log('\n   Images:');
+  for (const image of plan.images.filter(image => image.status !== 'unchanged')) {
+    const symbol = image.status === 'added' ? '+' : '~';
+    const source = image.fallback ? ' (from default locale)' : '';
+    console.log(`     ${symbol} ${image.language} ${image.imageType}: ${image.remoteCount} → ${image.localCount} image(s)${source}`);
+  }
+  printUnchanged(plan.images.filter(image => image.status === 'unchanged').map(image => `${image.language} ${image.imageType}`));
+  if (plan.images.length === 0) {
+    console.log('     (no local images configured)');
+  }
+
+  console.log(`\n   Track (${plan.track.track}):`);
+  if (plan.track.status === 'skipped') {
+    console.log(`     (skipped: ${plan.track.reason})`);
+  } else if (plan.track.status === 'unchanged') {
+    console.log(`     = ${plan.track.versionCode} unchanged`);
+  } else {
+    const { desired } = plan.track;
+    const rollout = desired.userFraction ? ` to ${formatUserFraction(desired.userFraction)} of users` : '';
+    const notes = desired.releaseNotes ? `, release notes: ${desired.releaseNotes.map(note => note.language).join(', ')}` : '';
+    const upload = plan.track.needsUpload ? ' (upload build)' : '';
+    const from = plan.track.current ? `${plan.track.current.status} → ` : '';
+    console.log(`     ${plan.track.status === 'added' ? '+' : '~'} ${plan.track.versionCode}${upload}: ${from}${desired.status}${rollout}${notes}`);
+  }
+
+  if (plan.pricing) {
+    console.log('\n   Pricing:');
+    console.log('     ! not compared: the Publishing API does not expose app pricing, set it in Play Console');
+  }
+
+  console.log(`\n   Plan: ${plan.changeCount} to change, ${plan.unchangedCount} unchanged.`);
+}
+
+/**
+ * Print a compact list of unchanged items
+ */
+function printUnchanged(items) {
+  if (items.length > 0) {
+    console.log(`     = unchanged: ${items.join(', ')}`);
+  }
+}
+
+/**
+ * Quote and shorten a text value for the plan output
+ */
+function formatText(text) {
+  const singleLine = String(text).replace(/\s+/g, ' ');
+  return singleLine.length > 60 ? `"${singleLine.slice(0, 57)}..." (${text.length} chars)` : `"${singleLine}"`;
+}
+
+/**
+ * Apply the differences of a plan to the edit it was created in
+ * Validating and committing the edit is left to the caller.
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {Object} config - Play Store config
+ * @param {Object} inputs - Result of loadPlanInputs
+ * @param {Object} plan - Result of createPlan
+ */
+export async function applyPlan(packageName, editId, config, inputs, plan) {
+  const releasing = ['added', 'changed'].includes(plan.track.status);
+
+  // The gates of publish-play-store, before anything is written to the edit
+  if (plan.listings.updates.length > 0) {
+    checkListingCopy(inputs.listings, config);
+  }
+  const { mappingFile } = releasing
+    ? await checkReleaseBuild(inputs.buildInfo, inputs.buildPath, plan.track.track, config)
+    : { mappingFile: null };
+
+  if (plan.listings.updates.length > 0) {
+    await syncListings(packageName, editId, inputs.listings);
+  }
+
+  if (plan.details.changes.length > 0) {
+    await setAppDetails(packageName, editId, Object.fromEntries(plan.details.changes.map(change => [change.field, change.to])));
+  }
+
+  const changedImages = plan.images.filter(image => image.status !== 'unchanged');
+  if (changedImages.length > 0) {
+    console.log(`\n🖼️  Replacing images...`);
+    await writePendingImages(inputs.localeImages);
+    for (const image of changedImages) {
+      await replaceImages(packageName, editId, image.language, image.imageType, image.files);
+    }
+  }
+
+  if (releasing) {
+    if (plan.track.needsUpload) {
+      const highestVersionCode = await getHighestVersionCode(packageName, editId);
+      verifyBuildForUpload(inputs.buildInfo, packageName, highestVersionCode);
+      await uploadBuild(packageName, editId, inputs.buildPath);
+
+      if (mappingFile || config.build.nativeSymbols) {
+        await uploadDeobfuscationFiles(packageName, editId, plan.track.versionCode, {
+          mappingFile: mappingFile,
+          nativeSymbols: config.build.nativeSymbols
+        });
+      }
+    }
+
+    await setReleaseTrack(
+      packageName,
+      editId,
+      plan.track.track,
+      plan.track.versionCode,
+      inputs.releaseNotes,
+      plan.track.desired.userFraction
+    );
+  }
+}
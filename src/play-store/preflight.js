@@ -0,0 +1,64 @@
+/**
+ * Release pre-flight checks
+ * Local gates shared by publish-play-store and apply, so neither path can put listing
+ * copy with lint errors or a build below the target SDK policy live
+ */
+
+import { fileExists } from '../utils/fs.js';
+import { lintListings, printLintReport } from './listing-lint.js';
+import { checkTargetSdk, resolveTargetSdkPolicy } from './target-sdk-policy.js';
+import { findMappingFile } from './releases.js';
+
+/**
+ * Lint listing copy for Play metadata policy pitfalls
+ * Prints the findings; errors throw.
+ * @param {Array<Object>} listings - Result of loadListings
+ * @param {Object} config - Play Store config (listingLint section)
+ */
+export function checkListingCopy(listings, config) {
+  const report = lintListings(listings, config.listingLint);
+
+  if (report.errors + report.warnings > 0) {
+    console.log('\n🔎 Listing lint:');
+    printLintReport(report);
+  }
+  if (report.errors > 0) {
+    throw new Error(`Listing lint found ${report.errors} error(s). Fix the copy or adjust listingLint.rules in the config.`);
+  }
+}
+
+/**
+ * Check a build before it is released on a track
+ * Enforces the target SDK policy (blocking entries throw, the others warn) and that
+ * configured debug files exist.
+ * @param {Object} buildInfo - Result of inspectBuild
+ * @param {string} buildPath - Path of the build file
+ * @param {string} track - Release track
+ * @param {Object} config - Play Store config (targetSdkPolicy and build sections)
+ * @returns {Promise<Object>} { mappingFile } - configured or found mapping.txt, or null
+ */
+export async function checkReleaseBuild(buildInfo, buildPath, track, config) {
+  const sdkCheck = checkTargetSdk(buildInfo, track, resolveTargetSdkPolicy(config.targetSdkPolicy));
+
+  if (!sdkCheck.ok) {
+    const message = `targetSdkVersion ${sdkCheck.actual} is below the required ${sdkCheck.required} ` +
+      `for ${sdkCheck.track} (${sdkCheck.formFactor})`;
+    if (sdkCheck.blocking) {
+      throw new Error(`${message}. Raise targetSdkVersion and rebuild, or adjust targetSdkPolicy in the config.`);
+    }
+    console.log(`   ⚠️  ${message}`);
+  } else if (sdkCheck.required) {
+    console.log(`   ✅ Target SDK ${sdkCheck.actual} meets the ${sdkCheck.formFactor} requirement (${sdkCheck.required})`);
+  }
+
+  // Configured debug files must exist; otherwise look for mapping.txt in the Gradle outputs
+  const mappingFile = config.build.mappingFile || await findMappingFile(buildPath);
+  if (mappingFile && !(await fileExists(mappingFile))) {
+    throw new Error(`Mapping file not found: ${mappingFile}`);
+  }
+  if (config.build.nativeSymbols && !(await fileExists(config.build.nativeSymbols))) {
+    throw new Error(`Native debug symbols not found: ${config.build.nativeSymbols}`);
+  }
+
+  return { mappingFile };
+}
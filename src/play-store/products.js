@@ -0,0 +1,353 @@
+/**
+ * In-app product catalog sync
+ * Loads one-time (managed) products from the inAppProducts config section, compares them
+ * with the products on Play and creates, updates or deactivates them
+ */
+
+import { readJsonFile, fileExists } from '../utils/fs.js';
+import { getPlayStoreClient } from './auth.js';
+
+/**
+ * Play Console limits of product listings
+ */
+export const PRODUCT_LIMITS = {
+  title: 55,
+  description: 200
+};
+
+// Play caps batchUpdate at 100 products per request
+const BATCH_SIZE = 100;
+
+const SKU_PATTERN = /^[a-z0-9][a-z0-9_.]*$/;
+const PRICE_PATTERN = /^(\d+)(?:\.(\d{1,6}))?\s+([A-Z]{3})$/;
+
+/**
+ * Load and validate the product catalog
+ * Config format:
+ *   {
+ *     "file": "./products.json",            → [{ sku, ... }] or { "products": [...] }
+ *     "products": [{ sku, ... }],           → inline products, override the file per SKU
+ *     "autoConvertMissingPrices": true,     → regions without a price get one converted from defaultPrice
+ *     "deactivateMissing": false            → when true, active products on Play that are not in the catalog are deactivated
+ *   }
+ * Product: { sku, status, defaultPrice: "0.99 EUR", prices: { "US": "0.99 USD" }, listings: { "en-US": { title, description } } }
+ * @param {Object} section - inAppProducts section of play-store-config.json
+ * @param {string} defaultLanguage - Language every product needs a listing in
+ * @returns {Promise<Object>} { products (API format), autoConvertMissingPrices, deactivateMissing }
+ */
+export async function loadProductCatalog(section, defaultLanguage) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error('inAppProducts must be an object with a "file" path and/or a "products" list');
+  }
+  // An empty section would deactivate every product on Play
+  if (!section.file && !Array.isArray(section.products)) {
+    throw new Error('inAppProducts needs a "file" path and/or a "products" list');
+  }
+
+  const bySku = new Map();
+
+  if (section.file) {
+    if (!(await fileExists(section.file))) {
+      throw new Error(`Products file not found: ${section.file}`);
+    }
+    const data = await readJsonFile(section.file);
+    const products = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(products)) {
+      throw new Error(`Products file ${section.file} must contain a list of products or { "products": [...] }`);
+    }
+    for (const product of products) {
+      bySku.set(product?.sku, product);
+    }
+  }
+
+  for (const product of section.products || []) {
+    bySku.set(product?.sku, product);
+  }
+
+  const problems = [];
+  const products = [...bySku.values()].map(product => normalizeProduct(product, defaultLanguage, problems));
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid inAppProducts:\n   - ${problems.join('\n   - ')}`);
+  }
+
+  return {
+    products: products,
+    autoConvertMissingPrices: section.autoConvertMissingPrices ?? true,
+    deactivateMissing: section.deactivateMissing ?? false
+  };
+}
+
+/**
+ * Convert a config product to the API format, collecting problems
+ */
+function normalizeProduct(product, defaultLanguage, problems) {
+  const sku = product?.sku;
+  const label = `product ${sku ?? '(no sku)'}`;
+
+  if (typeof sku !== 'string' || !SKU_PATTERN.test(sku)) {
+    problems.push(`${label}: sku must start with a lowercase letter or digit and contain only a-z, 0-9, _ and .`);
+  }
+
+  const status = product?.status ?? 'active';
+  if (!['active', 'inactive'].includes(status)) {
+    problems.push(`${label}: status must be "active" or "inactive", found "${status}"`);
+  }
+
+  const defaultPrice = parsePrice(product?.defaultPrice, `${label}: defaultPrice`, problems);
+
+  const prices = {};
+  for (const [region, price] of Object.entries(product?.prices || {})) {
+    if (!/^[A-Z]{2}$/.test(region)) {
+      problems.push(`${label}: price region "${region}" must be an ISO 3166 code (e.g., "US")`);
+    }
+    prices[region] = parsePrice(price, `${label}: prices.${region}`, problems);
+  }
+
+  const listings = {};
+  for (const [language, listing] of Object.entries(product?.listings || {})) {
+    for (const field of ['title', 'description']) {
+      const text = listing?.[field];
+      if (typeof text !== 'string' || text.trim() === '') {
+        problems.push(`${label}: listings.${language}.${field} is required`);
+      } else if (text.length > PRODUCT_LIMITS[field]) {
+        problems.push(`${label}: listings.${language}.${field} is ${text.length} characters (max ${PRODUCT_LIMITS[field]})`);
+      }
+    }
+    listings[language] = { title: listing?.title, description: listing?.description };
+  }
+
+  if (!listings[defaultLanguage]) {
+    problems.push(`${label}: needs a listing in the default language ${defaultLanguage}`);
+  }
+
+  return {
+    sku: sku,
+    status: status,
+    purchaseType: 'managedUser',
+    defaultLanguage: defaultLanguage,
+    defaultPrice: defaultPrice,
+    prices: prices,
+    listings: listings
+  };
+}
+
+/**
+ * Parse a price like "0.99 USD" into the API format ({ currency, priceMicros })
+ * Decimal string arithmetic, so prices are exact.
+ * @param {string} text - Price with currency code
+ * @param {string} label - Field name for problems
+ * @param {Array<string>} problems - Problems list to append to
+ * @returns {Object|null} Price or null if invalid
+ */
+export function parsePrice(text, label, problems) {
+  const match = typeof text === 'string' ? PRICE_PATTERN.exec(text.trim()) : null;
+  if (!match) {
+    problems.push(`${label} must be an amount and a currency code, e.g. "0.99 USD" (found ${JSON.stringify(text ?? null)})`);
+    return null;
+  }
+
+  const [, units, fraction = '', currency] = match;
+  const priceMicros = (BigInt(units) * 1000000n + BigInt(fraction.padEnd(6, '0'))).toString();
+  if (priceMicros === '0') {
+    problems.push(`${label} can't be zero, in-app products are never free`);
+  }
+
+  return { currency, priceMicros };
+}
+
+/**
+ * Format an API price as "0.99 USD"
+ * @param {Object} price - { currency, priceMicros }
+ * @returns {string} Price
+ */
+export function formatPrice(price) {
+  if (!price) {
+    return '(none)';
+  }
+
+  const micros = BigInt(price.priceMicros || '0');
+  const units = micros / 1000000n;
+  const fraction = (micros % 1000000n).toString().padStart(6, '0').replace(/0+$/, '').padEnd(2, '0');
+  return `${units}.${fraction} ${price.currency}`;
+}
+
+/**
+ * List the one-time (managed) products of an app
+ * Subscriptions are managed elsewhere and skipped.
+ * @param {string} packageName - Android package name
+ * @returns {Promise<Array<Object>>} Products in API format
+ */
+export async function listInAppProducts(packageName) {
+  const androidpublisher = await getPlayStoreClient();
+  const products = [];
+  let token;
+
+  try {
+    do {
+      const response = await androidpublisher.inappproducts.list({
+        packageName: packageName,
+        token: token
+      });
+
+      products.push(...(response.data.inappproduct || []));
+      token = response.data.tokenPagination?.nextPageToken;
+    } while (token);
+  } catch (error) {
+    throw new Error(`Failed to list in-app products: ${error.message}`);
+  }
+
+  return products.filter(product => product.purchaseType !== 'subscription');
+}
+
+/**
+ * Compare the catalog with the products on Play
+ * @param {Object} catalog - Result of loadProductCatalog
+ * @param {Array<Object>} remoteProducts - Result of listInAppProducts
+ * @returns {Object} { create, update: [{ sku, product, changes }], deactivate, unchanged, untouched }
+ */
+export function diffProducts(catalog, remoteProducts) {
+  const remoteBySku = new Map(remoteProducts.map(product => [product.sku, product]));
+  const localSkus = new Set(catalog.products.map(product => product.sku));
+  const diff = { create: [], update: [], deactivate: [], unchanged: [], untouched: [] };
+
+  for (const product of catalog.products) {
+    const remote = remoteBySku.get(product.sku);
+    if (!remote) {
+      diff.create.push({ sku: product.sku, product });
+      continue;
+    }
+
+    const changes = diffProduct(product, remote, catalog.autoConvertMissingPrices);
+    if (changes.length > 0) {
+      diff.update.push({ sku: product.sku, product, changes });
+    } else {
+      diff.unchanged.push(product.sku);
+    }
+  }
+
+  for (const remote of remoteProducts.filter(product => !localSkus.has(product.sku))) {
+    if (catalog.deactivateMissing && remote.status === 'active') {
+      diff.deactivate.push({ sku: remote.sku, product: { ...remote, status: 'inactive' } });
+    } else {
+      diff.untouched.push(remote.sku);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Field-level differences of one product ([{ field, from, to }])
+ * With autoConvertMissingPrices, regions priced only on Play are Play's conversions, not changes.
+ */
+function diffProduct(local, remote, autoConvertMissingPrices) {
+  const changes = [];
+  const change = (field, from, to) => {
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+  };
+
+  change('status', remote.status, local.status);
+  change('default price', formatPrice(remote.defaultPrice), formatPrice(local.defaultPrice));
+
+  const remotePrices = remote.prices || {};
+  const regions = new Set([
+    ...Object.keys(local.prices),
+    ...(autoConvertMissingPrices ? [] : Object.keys(remotePrices))
+  ]);
+  for (const region of [...regions].sort()) {
+    change(`price ${region}`, formatPrice(remotePrices[region]), formatPrice(local.prices[region]));
+  }
+
+  const remoteListings = remote.listings || {};
+  const languages = new Set([...Object.keys(local.listings), ...Object.keys(remoteListings)]);
+  for (const language of [...languages].sort()) {
+    for (const field of ['title', 'description']) {
+      change(`${field} ${language}`, remoteListings[language]?.[field] ?? '(none)', local.listings[language]?.[field] ?? '(none)');
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Print the product diff
+ * @param {string} packageName - Android package name
+ * @param {Object} diff - Result of diffProducts
+ */
+export function printProductPlan(packageName, diff) {
+  console.log(`\n🛒 In-app products of ${packageName}:`);
+
+  for (const { sku, product } of diff.create) {
+    const title = product.listings[product.defaultLanguage]?.title;
+    console.log(`     + ${sku}: "${title}" ${formatPrice(product.defaultPrice)} (${Object.keys(product.listings).length} language(s), ${Object.keys(product.prices).length} region price(s))`);
+  }
+
+  for (const { sku, changes } of diff.update) {
+    console.log(`     ~ ${sku}`);
+    for (const change of changes) {
+      console.log(`         ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+    }
+  }
+
+  for (const { sku } of diff.deactivate) {
+    console.log(`     - ${sku}: deactivate (not in the catalog)`);
+  }
+
+  if (diff.unchanged.length > 0) {
+    console.log(`     = unchanged: ${diff.unchanged.length} product(s)`);
+  }
+  if (diff.untouched.length > 0) {
+    console.log(`     (not in the catalog, left as is: ${diff.untouched.join(', ')})`);
+  }
+
+  console.log(`\n   Products: ${diff.create.length} to create, ${diff.update.length} to update, ${diff.deactivate.length} to deactivate, ${diff.unchanged.length} unchanged.`);
+}
+
+/**
+ * Quote texts, keep prices and statuses as they are
+ */
+function formatValue(value) {
+  return /^(\d+\.\d+ [A-Z]{3}|\(none\)|active|inactive)$/.test(value) ? value : JSON.stringify(value);
+}
+
+/**
+ * Create, update and deactivate products as planned, in batches
+ * Product changes apply right away - they are not part of an edit.
+ * @param {string} packageName - Android package name
+ * @param {Object} diff - Result of diffProducts
+ * @param {Object} catalog - Result of loadProductCatalog
+ * @returns {Promise<Object>} { created, updated, deactivated }
+ */
+export async function applyProductPlan(packageName, diff, catalog) {
+  const androidpublisher = await getPlayStoreClient();
+  const products = [...diff.create, ...diff.update, ...diff.deactivate].map(({ product }) => product);
+
+  for (let start = 0; start < products.length; start += BATCH_SIZE) {
+    const batch = products.slice(start, start + BATCH_SIZE);
+
+    try {
+      await androidpublisher.inappproducts.batchUpdate({
+        packageName: packageName,
+        requestBody: {
+          requests: batch.map(product => ({
+            packageName: packageName,
+            sku: product.sku,
+            inappproduct: { ...product, packageName: packageName },
+            allowMissing: true,
+            autoConvertMissingPrices: catalog.autoConvertMissingPrices,
+            latencyTolerance: 'PRODUCT_UPDATE_LATENCY_TOLERANCE_LATENCY_TOLERANT'
+          }))
+        }
+      });
+    } catch (error) {
+      throw new Error(`Failed to update in-app products ${batch[0].sku}…${batch[batch.length - 1].sku}: ${error.message}`);
+    }
+
+    console.log(`   ✅ ${Math.min(start + BATCH_SIZE, products.length)}/${products.length} product(s) saved`);
+  }
+
+  return { created: diff.create.length, updated: diff.update.length, deactivated: diff.deactivate.length };
+}
@@ -0,0 +1,240 @@
+/**
+ * Play Store listing pull
+ * Downloads the current Play presence (listings, images, app details, tracks)
+ * into a play-store-config.json plus a locale/image directory tree
+ */
+
+import { writeFile, rm, rename, mkdtemp } from 'fs/promises';
+import { join, dirname, relative, extname } from 'path';
+import { ensureDir, writeJsonFile, fileExists } from '../utils/fs.js';
+import { runInEditSession } from './edits.js';
+import { listListings, getAppDetails } from './metadata.js';
+import { listImages, SCREENSHOT_IMAGE_TYPES, SINGLE_IMAGE_TYPES } from './graphics.js';
+import { listTracks } from './tracks.js';
+import { LISTING_FILES, DEFAULT_LISTING_LANGUAGE } from './listings.js';
+
+/**
+ * Image file extensions by content type
+ */
+const IMAGE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp'
+};
+
+/**
+ * Directories (and files) of outDir that a pull replaces
+ */
+const PULLED_PATHS = ['metadata', 'graphics', 'whatsnew', 'tracks.json'];
+
+/**
+ * Placeholders for config fields the Publishing API can't read
+ * The config loader rejects them, so a pulled config can't be published until they are replaced.
+ */
+export const PULL_PLACEHOLDERS = {
+  category: 'TODO_SET_CATEGORY',
+  privacyPolicyUrl: 'https://example.com/TODO-set-privacy-policy'
+};
+
+/**
+ * Pull the current Play presence of an app into local files
+ * Layout of outDir:
+ *   play-store-config.json
+ *   metadata/android/<locale>/{title,short_description,full_description,video}.txt
+ *   graphics/<locale>/{icon,featureGraphic,promoGraphic,tvBanner}.png
+ *   graphics/<locale>/{phone,tablet,tablet-10,tv,wear}/01.png ...
+ *   whatsnew/<locale>.txt (release notes of the latest release)
+ *   tracks.json
+ * Everything is downloaded into a temporary directory first; the metadata, graphics and
+ * whatsnew directories are only replaced once the pull succeeded.
+ * Paths in the generated config are relative to the current directory, like every config path.
+ * @param {string} packageName - Android package name
+ * @param {string} outDir - Output directory
+ * @returns {Promise<Object>} Summary ({ configPath, locales, images, track, versionCode })
+ */
+export async function pullListing(packageName, outDir) {
+  await ensureDir(outDir);
+  const stagingDir = await mkdtemp(join(outDir, '.pull-'));
+
+  try {
+    const summary = await pullInto(packageName, stagingDir, outDir);
+
+    // Swap the new tree in, so a repeated pull mirrors Play Console exactly
+    for (const path of PULLED_PATHS) {
+      await rm(join(outDir, path), { recursive: true, force: true });
+      if (await fileExists(join(stagingDir, path))) {
+        await rename(join(stagingDir, path), join(outDir, path));
+      }
+    }
+    await rename(join(stagingDir, 'play-store-config.json'), summary.configPath);
+
+    return summary;
+  } finally {
+    await rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Pull into stagingDir, writing config paths as they will be once moved to outDir
+ */
+async function pullInto(packageName, stagingDir, outDir) {
+  const metadataDir = join(stagingDir, 'metadata', 'android');
+  const graphicsDir = join(stagingDir, 'graphics');
+  let images = 0;
+
+  const download = async (url, basePath) => {
+    const filePath = await downloadImage(url, basePath);
+    const displayPath = join(outDir, relative(stagingDir, filePath));
+    if (extname(filePath) === '.webp') {
+      console.log(`   ⚠️  ${displayPath}: served as WebP, convert it to PNG or JPEG before publishing`);
+    } else {
+      console.log(`   ✅ ${displayPath}`);
+    }
+  };
+
+  // Everything is read in one edit that is deleted afterwards
+  const { details, listings, tracks } = await runInEditSession(packageName, async (editId) => {
+    console.log(`\n📥 Reading app details, listings and tracks...`);
+    const details = await getAppDetails(packageName, editId);
+    const listings = await listListings(packageName, editId);
+    const tracks = await listTracks(packageName, editId);
+    console.log(`   ✅ ${listings.length} locale(s), ${tracks.length} track(s)`);
+
+    for (const listing of listings) {
+      console.log(`\n🖼️  Downloading images (${listing.language})...`);
+      const localeDir = join(graphicsDir, listing.language);
+
+      for (const imageType of SINGLE_IMAGE_TYPES) {
+        const [image] = await listImages(packageName, editId, listing.language, imageType);
+        if (image) {
+          await download(image.url, join(localeDir, imageType));
+          images++;
+        }
+      }
+
+      for (const [subdir, imageType] of Object.entries(SCREENSHOT_IMAGE_TYPES)) {
+        const screenshots = await listImages(packageName, editId, listing.language, imageType);
+        for (const [index, image] of screenshots.entries()) {
+          // Numeric prefixes keep the Play Console order
+          await download(image.url, join(localeDir, subdir, String(index + 1).padStart(2, '0')));
+          images++;
+        }
+      }
+    }
+
+    return { details, listings, tracks };
+  }, { readOnly: true });
+
+  console.log(`\n💾 Writing files to ${outDir}...`);
+
+  for (const listing of listings) {
+    const localeDir = join(metadataDir, listing.language);
+    await ensureDir(localeDir);
+
+    for (const [field, file] of Object.entries(LISTING_FILES)) {
+      if (listing[field]) {
+        await writeFile(join(localeDir, file), `${listing[field]}\n`);
+      }
+    }
+  }
+
+  // The latest release decides the default track and release notes
+  const latest = findLatestRelease(tracks);
+  if (latest?.release.releaseNotes?.length > 0) {
+    await ensureDir(join(stagingDir, 'whatsnew'));
+    for (const note of latest.release.releaseNotes) {
+      await writeFile(join(stagingDir, 'whatsnew', `${note.language}.txt`), `${note.text}\n`);
+    }
+  }
+
+  await writeJsonFile(join(stagingDir, 'tracks.json'), tracks);
+
+  const defaultLanguage = details.defaultLanguage || DEFAULT_LISTING_LANGUAGE;
+
+  await writeJsonFile(join(stagingDir, 'play-store-config.json'), {
+    packageName: packageName,
+    build: {
+      aab: "./app/build/outputs/bundle/release/app-release.aab",
+      apk: null,
+      mappingFile: null,
+      nativeSymbols: null
+    },
+    metadata: {
+      // Not available through the Publishing API - fill in before publishing
+      ...PULL_PLACEHOLDERS,
+      localesDir: toConfigPath(join(outDir, 'metadata', 'android'))
+    },
+    appDetails: {
+      defaultLanguage: defaultLanguage,
+      contactEmail: details.contactEmail || null,
+      contactPhone: details.contactPhone || null,
+      contactWebsite: details.contactWebsite || null
+    },
+    graphics: images > 0 ? { localesDir: toConfigPath(join(outDir, 'graphics')) } : {},
+    releaseNotes: latest?.release.releaseNotes?.length > 0
+      ? { dir: toConfigPath(join(outDir, 'whatsnew')) }
+      : null,
+    distribution: {
+      track: latest?.track || 'internal'
+    }
+  });
+
+  return {
+    configPath: join(outDir, 'play-store-config.json'),
+    locales: listings.map(listing => listing.language),
+    images: images,
+    track: latest?.track || null,
+    versionCode: latest?.versionCode || null
+  };
+}
+
+/**
+ * Find the release with the highest versionCode across all tracks
+ * @returns {Object|null} { track, release, versionCode }
+ */
+function findLatestRelease(tracks) {
+  let latest = null;
+
+  for (const track of tracks) {
+    for (const release of track.releases || []) {
+      for (const versionCode of release.versionCodes || []) {
+        if (!latest || Number(versionCode) > latest.versionCode) {
+          latest = { track: track.track, release, versionCode: Number(versionCode) };
+        }
+      }
+    }
+  }
+
+  return latest;
+}
+
+/**
+ * Download an image, picking the file extension from its content type
+ * @param {string} url - Image URL from edits.images.list
+ * @param {string} basePath - Target path without extension
+ * @returns {Promise<string>} Written file path
+ */
+async function downloadImage(url, basePath) {
+  // Play's image host serves WebP to clients that accept it, but only PNG and JPEG can be uploaded back
+  const response = await fetch(url, { headers: { Accept: 'image/png, image/jpeg' } });
+
+  if (!response.ok) {
+    throw new Error(`Failed to download image ${url}: HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  const filePath = `${basePath}${IMAGE_EXTENSIONS[contentType] || '.png'}`;
+
+  await ensureDir(dirname(filePath));
+  await writeFile(filePath, Buffer.from(await response.arrayBuffer()));
+
+  return filePath;
+}
+
+/**
+ * Express a path relative to the current directory, the base of all config paths
+ */
+function toConfigPath(path) {
+  const relativePath = relative(process.cwd(), path);
+  return relativePath.startsWith('..') ? path : `./${relativePath}`;
+}
@@ -0,0 +1,85 @@
+/**
+ * Play Store release notes ("What's new") management
+ * Loads localized release notes from config or a per-locale directory
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join, extname, basename } from 'path';
+import { fileExists } from '../utils/fs.js';
+
+/**
+ * Maximum length of release notes per locale (Play Console limit)
+ */
+export const RELEASE_NOTES_MAX_LENGTH = 500;
+
+/**
+ * Load localized release notes
+ * Config formats:
+ *   { "dir": "./whatsnew" }                       → reads whatsnew/<locale>.txt
+ *   { "en-US": "Bug fixes", "de-DE": "Fehler…" }  → inline map of locale to text
+ * Both can be combined; inline texts override files for the same locale.
+ * @param {Object} releaseNotesConfig - releaseNotes section of play-store-config.json
+ * @returns {Promise<Array<Object>>} Release notes in API format ([{ language, text }])
+ */
+export async function loadReleaseNotes(releaseNotesConfig) {
+  if (!releaseNotesConfig || typeof releaseNotesConfig !== 'object' || Array.isArray(releaseNotesConfig)) {
+    throw new Error('releaseNotes must be an object with a "dir" path and/or a map of locale to text');
+  }
+
+  const { dir, ...inline } = releaseNotesConfig;
+  const notes = {};
+
+  if (dir) {
+    Object.assign(notes, await readReleaseNotesDirectory(dir));
+  }
+
+  for (const [language, text] of Object.entries(inline)) {
+    if (typeof text !== 'string') {
+      throw new Error(`Release notes for ${language} must be a string`);
+    }
+    notes[language] = text.trim();
+  }
+
+  const releaseNotes = Object.entries(notes)
+    .filter(([, text]) => text.length > 0)
+    .map(([language, text]) => ({ language, text }));
+
+  validateReleaseNotes(releaseNotes);
+
+  return releaseNotes;
+}
+
+/**
+ * Read release notes from a directory of <locale>.txt files
+ * @param {string} dir - Directory path
+ * @returns {Promise<Object>} Map of locale to text
+ */
+async function readReleaseNotesDirectory(dir) {
+  if (!(await fileExists(dir))) {
+    throw new Error(`Release notes directory not found: ${dir}`);
+  }
+
+  const notes = {};
+  const files = await readdir(dir);
+
+  for (const file of files.filter(file => extname(file).toLowerCase() === '.txt')) {
+    const text = await readFile(join(dir, file), 'utf-8');
+    notes[basename(file, extname(file))] = text.trim();
+  }
+
+  return notes;
+}
+
+/**
+ * Validate release notes against Play Console limits
+ * Reports every locale that exceeds the limit at once.
+ * @param {Array<Object>} releaseNotes - Release notes ([{ language, text }])
+ */
+export function validateReleaseNotes(releaseNotes) {
+  const tooLong = releaseNotes.filter(note => note.text.length > RELEASE_NOTES_MAX_LENGTH);
+
+  if (tooLong.length > 0) {
+    const details = tooLong.map(note => `${note.language} (${note.text.length} chars)`).join(', ');
+    throw new Error(`Release notes exceed ${RELEASE_NOTES_MAX_LENGTH} characters: ${details}`);
+  }
+}
@@ -4,9 +4,10 @@
  */
 
 import { getPlayStoreClient } from './auth.js';
-import { createEdit, getExistingEdit } from './edits.js';
+import { resumableUpload } from './upload.js';
 import { readFile } from 'fs/promises';
-import { extname } from 'path';
+import { extname, dirname, basename, join } from 'path';
+import { fileExists } from '../utils/fs.js';
 
 /**
  * Upload AAB (Android App Bundle) to Play Console
@@ -16,26 +17,18 @@ import { extname } from 'path';
  * @returns {Promise<Object>} Upload result with version info
  */
 export async function uploadAAB(packageName, editId, aabPath) {
-  const androidpublisher = await getPlayStoreClient();
-
   console.log(`\n📦 Uploading AAB: ${aabPath}`);
 
   try {
-    // Read AAB file
-    const aabFile = await readFile(aabPath);
+    // Stream AAB from disk through a resumable upload
+    const bundle = await resumableUpload(
+      `applications/${packageName}/edits/${editId}/bundles`,
+      aabPath,
+      'application/octet-stream'
+    );
 
-    // Upload AAB
-    const response = await androidpublisher.edits.bundles.upload({
-      packageName: packageName,
-      editId: editId,
-      media: {
-        mimeType: 'application/octet-stream',
-        body: aabFile
-      }
-    });
-
-    const versionCode = response.data.versionCode;
-    const versionName = response.data.versionName || `version-${versionCode}`;
+    const versionCode = bundle.versionCode;
+    const versionName = bundle.versionName || `version-${versionCode}`;
 
     console.log(`   ✅ AAB uploaded successfully`);
     console.log(`   Version Code: ${versionCode}`);
@@ -44,7 +37,7 @@ export async function uploadAAB(packageName, editId, aabPath) {
     return {
       versionCode: versionCode,
       versionName: versionName,
-      sha1: response.data.sha1
+      sha1: bundle.sha1
     };
   } catch (error) {
     if (error.code === 400) {
@@ -62,33 +55,25 @@ export async function uploadAAB(packageName, editId, aabPath) {
  * @returns {Promise<Object>} Upload result with version info
  */
 export async function uploadAPK(packageName, editId, apkPath) {
-  const androidpublisher = await getPlayStoreClient();
-
   console.log(`\n📦 Uploading APK: ${apkPath}`);
 
   try {
-    // Read APK file
-    const apkFile = await readFile(apkPath);
-
-    // Upload APK
-    const response = await androidpublisher.edits.apks.upload({
-      packageName: packageName,
-      editId: editId,
-      media: {
-        mimeType: 'application/vnd.android.package-archive',
-        body: apkFile
-      }
-    });
+    // Stream APK from disk through a resumable upload
+    const apk = await resumableUpload(
+      `applications/${packageName}/edits/${editId}/apks`,
+      apkPath,
+      'application/vnd.android.package-archive'
+    );
 
-    const versionCode = response.data.versionCode;
+    const versionCode = apk.versionCode;
 
     console.log(`   ✅ APK uploaded successfully`);
     console.log(`   Version Code: ${versionCode}`);
 
     return {
       versionCode: versionCode,
-      sha1: response.data.sha1,
-      sha256: response.data.sha256
+      sha1: apk.binary?.sha1,
+      sha256: apk.binary?.sha256
     };
   } catch (error) {
     if (error.code === 400) {
@@ -118,46 +103,110 @@ export async function uploadBuild(packageName, editId, filePath) {
 }
 
 /**
- * Upload build and create edit session if needed
- * IMPORTANT: If app doesn't exist yet, uploading the first AAB/APK will
- * automatically create the app in Play Console.
- * 
+ * List the versionCodes of every bundle and APK uploaded to the app
  * @param {string} packageName - Android package name
- * @param {string} filePath - Path to AAB or APK file
- * @returns {Promise<Object>} Upload result with editId
+ * @param {string} editId - Edit session ID
+ * @returns {Promise<Array<number>>} Version codes
+ */
+export async function listUploadedVersionCodes(packageName, editId) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    const [bundles, apks] = await Promise.all([
+      androidpublisher.edits.bundles.list({ packageName: packageName, editId: editId }),
+      androidpublisher.edits.apks.list({ packageName: packageName, editId: editId })
+    ]);
+
+    return [...(bundles.data.bundles || []), ...(apks.data.apks || [])].map(build => Number(build.versionCode));
+  } catch (error) {
+    throw new Error(`Failed to list uploaded builds: ${error.message}`);
+  }
+}
+
+/**
+ * Upload a deobfuscation file for a version code
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {number} versionCode - Version code the file belongs to
+ * @param {string} filePath - Path to the file
+ * @param {string} deobfuscationFileType - 'proguard' (R8/ProGuard mapping.txt) or 'nativeCode' (native debug symbols zip)
+ * @returns {Promise<Object>} Upload result
  */
-export async function uploadBuildWithEdit(packageName, filePath) {
-  // Try to get existing edit, or create new one
-  let editId = await getExistingEdit(packageName);
-  
-  if (!editId) {
-    try {
-      editId = await createEdit(packageName);
-    } catch (error) {
-      // If edit creation fails with 404, app doesn't exist yet
-      // That's OK - uploading the build will create the app automatically
-      if (error.code === 404 || error.message.includes('not found')) {
-        console.log(`   ℹ️  App doesn't exist yet - will be created automatically on upload`);
-        // Try to create edit anyway - sometimes it works even if app doesn't exist
-        // If it fails, the upload will handle it
-        try {
-          editId = await createEdit(packageName);
-        } catch (retryError) {
-          // If still fails, we'll try upload which might create the app
-          console.log(`   ⚠️  Could not create edit session - upload may create the app`);
-        }
-      } else {
-        throw error;
+export async function uploadDeobfuscationFile(packageName, editId, versionCode, filePath, deobfuscationFileType) {
+  const androidpublisher = await getPlayStoreClient();
+
+  const label = deobfuscationFileType === 'nativeCode' ? 'native debug symbols' : 'mapping file';
+  console.log(`\n🗺️  Uploading ${label}: ${filePath}`);
+
+  try {
+    const fileData = await readFile(filePath);
+
+    const response = await androidpublisher.edits.deobfuscationfiles.upload({
+      packageName: packageName,
+      editId: editId,
+      apkVersionCode: versionCode,
+      deobfuscationFileType: deobfuscationFileType,
+      media: {
+        mimeType: 'application/octet-stream',
+        body: fileData
       }
-    }
+    });
+
+    console.log(`   ✅ Uploaded ${label} for version ${versionCode}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to upload ${label}: ${error.message}`);
   }
+}
+
+/**
+ * Upload mapping file and native debug symbols for an uploaded build
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {number} versionCode - Version code of the uploaded build
+ * @param {Object} files - Files to upload
+ * @param {string} files.mappingFile - Path to R8/ProGuard mapping.txt (optional)
+ * @param {string} files.nativeSymbols - Path to native debug symbols zip (optional)
+ * @returns {Promise<Object>} Which files were uploaded
+ */
+export async function uploadDeobfuscationFiles(packageName, editId, versionCode, files) {
+  const result = { mappingFile: false, nativeSymbols: false };
 
-  // Upload build - this will create the app if it doesn't exist
-  const uploadResult = await uploadBuild(packageName, editId, filePath);
+  if (files.mappingFile) {
+    await uploadDeobfuscationFile(packageName, editId, versionCode, files.mappingFile, 'proguard');
+    result.mappingFile = true;
+  }
 
-  return {
-    ...uploadResult,
-    editId: editId
-  };
+  if (files.nativeSymbols) {
+    await uploadDeobfuscationFile(packageName, editId, versionCode, files.nativeSymbols, 'nativeCode');
+    result.nativeSymbols = true;
+  }
+
+  return result;
 }
 
+/**
+ * Find the R8/ProGuard mapping.txt for a build
+ * Looks next to the build file, then in the standard Gradle output path
+ * (build/outputs/bundle/<variant>/app.aab → build/outputs/mapping/<variant>/mapping.txt).
+ * @param {string} buildPath - Path to AAB or APK file
+ * @returns {Promise<string|null>} Mapping file path or null if not found
+ */
+export async function findMappingFile(buildPath) {
+  const buildDir = dirname(buildPath);
+  const variant = basename(buildDir);
+  const outputsDir = dirname(dirname(buildDir));
+
+  const candidates = [
+    join(buildDir, 'mapping.txt'),
+    join(outputsDir, 'mapping', variant, 'mapping.txt')
+  ];
+
+  for (const candidate of candidates) {
+    if (await fileExists(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
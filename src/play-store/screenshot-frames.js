@@ -0,0 +1,522 @@
+/**
+ * Marketing screenshot framing
+ * Composes raw device captures onto a background with a device frame and a
+ * localized caption, writing the result where the screenshot uploader reads it
+ */
+
+import { readdir, readFile, rm, stat } from 'fs/promises';
+import { join, basename, extname, resolve, relative, isAbsolute } from 'path';
+import opentype from 'opentype.js';
+import { fileExists, ensureDir } from '../utils/fs.js';
+import {
+  createBitmap, readPng, writePng, parseColor, roundedRectPolygon,
+  coverageMask, fillPolygons, resizeBitmap, drawBitmap
+} from '../utils/image.js';
+import { SCREENSHOT_IMAGE_TYPES } from './graphics.js';
+import { SCREENSHOT_SPEC } from './image-specs.js';
+import { DEFAULT_LISTING_LANGUAGE } from './listings.js';
+
+/**
+ * Default look, overridable in the screenshotFrames config section
+ * Sizes are fractions of the output width (fontSize) or height (captionHeight).
+ * outputSize ("WxH") is the size of framed screenshots, turned to the capture's orientation;
+ * null means 9:16 at the capture's shorter side.
+ */
+export const DEFAULT_FRAME_STYLE = {
+  background: '#1A73E8',
+  captionColor: '#FFFFFF',
+  frameColor: '#202124',
+  fontSize: 0.06,
+  captionHeight: 0.2,
+  outputSize: null
+};
+
+/**
+ * Per-locale captions file in rawDir/<locale>/
+ */
+const CAPTIONS_FILE = 'captions.json';
+
+// Device proportions relative to the shorter side of the capture (bezel, margin) or device (radii)
+const BEZEL = 0.03;
+const FRAME_RADIUS = 0.08;
+const SCREEN_RADIUS = 0.055;
+const MARGIN = 0.07;
+
+/**
+ * Frame the raw captures of every locale
+ * Layout of screenshotFrames.rawDir:
+ *   <locale>/{phone,tablet,tablet-10,tv,wear}/*.png - raw captures
+ *   <locale>/captions.json - { "<capture file name without extension>": "Caption", ... }
+ * Output goes to graphics.localesDir/<locale>/<device>/ (or graphics.screenshotsDir/<device>/
+ * for the default locale when there are no locale directories). Device directories with
+ * raw captures are regenerated on every run, so rawDir must not overlap the output.
+ * @param {Object} config - Play Store config
+ * @param {Object} options - Options
+ * @param {string} options.locale - Only frame this locale (optional)
+ * @returns {Promise<Object>} Summary ({ screenshots, locales, warnings })
+ */
+export async function frameScreenshots(config, { locale = null } = {}) {
+  const frames = config.screenshotFrames;
+  if (!frames?.rawDir) {
+    throw new Error('Config has no screenshotFrames.rawDir');
+  }
+  if (!(await fileExists(frames.rawDir))) {
+    throw new Error(`Raw screenshots directory not found: ${frames.rawDir}`);
+  }
+
+  const style = resolveFrameStyle(frames);
+  const defaultLanguage = config.appDetails?.defaultLanguage || DEFAULT_LISTING_LANGUAGE;
+  const summary = { screenshots: 0, locales: [], warnings: [] };
+
+  const locales = [];
+  for (const entry of (await readdir(frames.rawDir)).sort()) {
+    if ((await stat(join(frames.rawDir, entry))).isDirectory() && (!locale || entry === locale)) {
+      locales.push(entry);
+    }
+  }
+  if (locale && locales.length === 0) {
+    throw new Error(`No raw screenshots for locale ${locale} in ${frames.rawDir}`);
+  }
+
+  // Device directories are deleted before framing - they must not hold (or be inside) the captures
+  for (const language of locales) {
+    const outputDir = getOutputDirectory(config.graphics, language, defaultLanguage);
+    for (const subdir of outputDir ? Object.keys(SCREENSHOT_IMAGE_TYPES) : []) {
+      if (pathsOverlap(frames.rawDir, join(outputDir, subdir))) {
+        throw new Error(`screenshotFrames.rawDir (${frames.rawDir}) overlaps the output directory ${join(outputDir, subdir)}, which is regenerated on every run. Keep raw captures in a separate directory.`);
+      }
+    }
+  }
+
+  for (const language of locales) {
+    const outputDir = getOutputDirectory(config.graphics, language, defaultLanguage);
+    if (!outputDir) {
+      summary.warnings.push(`${language}: skipped, set graphics.localesDir to frame screenshots of other locales than ${defaultLanguage}`);
+      continue;
+    }
+
+    const localeDir = join(frames.rawDir, language);
+    const captions = await loadCaptions(join(localeDir, CAPTIONS_FILE));
+    const font = await loadFont(frames.fonts?.[language] || frames.font);
+
+    console.log(`\n🖼️  Framing screenshots (${language})...`);
+
+    for (const subdir of Object.keys(SCREENSHOT_IMAGE_TYPES)) {
+      const captures = await listCaptures(join(localeDir, subdir));
+      if (captures.length === 0) {
+        continue;
+      }
+
+      const deviceDir = join(outputDir, subdir);
+      await rm(deviceDir, { recursive: true, force: true });
+      await ensureDir(deviceDir);
+
+      for (const capture of captures) {
+        const name = basename(capture, extname(capture));
+        const caption = captions[name] ?? null;
+        if (caption === null) {
+          summary.warnings.push(`${language}: no caption for ${subdir}/${basename(capture)} in ${CAPTIONS_FILE}`);
+        } else {
+          checkGlyphs(font, caption, language);
+        }
+
+        const framed = composeScreenshot(await readPng(capture), caption, font, style);
+        const outputPath = join(deviceDir, `${name}.png`);
+        await writePng(framed, outputPath);
+
+        console.log(`   ✅ ${outputPath}`);
+        summary.screenshots++;
+      }
+    }
+
+    summary.locales.push(language);
+  }
+
+  return summary;
+}
+
+/**
+ * Merge the configured colors and sizes over the defaults
+ * @param {Object} frames - screenshotFrames config section
+ * @returns {Object} Style with parsed colors and outputSize ({ shortSide, longSide } or null)
+ */
+export function resolveFrameStyle(frames) {
+  const style = { ...DEFAULT_FRAME_STYLE };
+  for (const key of Object.keys(DEFAULT_FRAME_STYLE)) {
+    if (frames[key] !== undefined && frames[key] !== null) {
+      style[key] = frames[key];
+    }
+  }
+
+  for (const key of ['fontSize', 'captionHeight']) {
+    if (typeof style[key] !== 'number' || style[key] <= 0 || style[key] >= 1) {
+      throw new Error(`screenshotFrames.${key} must be a fraction between 0 and 1 (got ${style[key]})`);
+    }
+  }
+
+  return {
+    ...style,
+    outputSize: style.outputSize === null ? null : parseOutputSize(style.outputSize),
+    // Screenshots are uploaded as 24-bit PNGs, so the background is always opaque
+    background: [...parseColor(style.background).slice(0, 3), 255],
+    captionColor: parseColor(style.captionColor),
+    frameColor: parseColor(style.frameColor)
+  };
+}
+
+/**
+ * Parse screenshotFrames.outputSize ("WxH"), which must meet Play's screenshot requirements
+ * @param {string} value - Size such as "1080x1920"
+ * @returns {Object} { shortSide, longSide }
+ */
+export function parseOutputSize(value) {
+  const match = /^(\d+)x(\d+)$/.exec(String(value));
+  if (!match) {
+    throw new Error(`screenshotFrames.outputSize must look like "1080x1920" (got ${value})`);
+  }
+
+  const [width, height] = [Number(match[1]), Number(match[2])];
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+  if (shortSide < SCREENSHOT_SPEC.minSide || longSide > SCREENSHOT_SPEC.maxSide || longSide > shortSide * SCREENSHOT_SPEC.maxAspectRatio) {
+    throw new Error(`screenshotFrames.outputSize ${value} doesn't meet Play's screenshot requirements (sides ${SCREENSHOT_SPEC.minSide}-${SCREENSHOT_SPEC.maxSide} px, at most ${SCREENSHOT_SPEC.maxAspectRatio}:1)`);
+  }
+
+  return { shortSide, longSide };
+}
+
+/**
+ * Size of the framed screenshot: outputSize or 9:16, in the orientation of the capture
+ * @param {Object} capture - Raw capture bitmap
+ * @param {Object|null} outputSize - Resolved outputSize ({ shortSide, longSide })
+ * @returns {Object} { width, height }
+ */
+export function getOutputSize(capture, outputSize) {
+  let { shortSide, longSide } = outputSize || {};
+  if (!outputSize) {
+    const maxShortSide = Math.floor(SCREENSHOT_SPEC.maxSide * 9 / 16);
+    shortSide = Math.min(maxShortSide, Math.max(SCREENSHOT_SPEC.minSide, Math.min(capture.width, capture.height)));
+    longSide = Math.round(shortSide * 16 / 9);
+  }
+
+  return capture.width > capture.height
+    ? { width: longSide, height: shortSide }
+    : { width: shortSide, height: longSide };
+}
+
+/**
+ * Whether one path is the other or contains it
+ * @param {string} a - Path
+ * @param {string} b - Path
+ * @returns {boolean} True if the paths overlap
+ */
+export function pathsOverlap(a, b) {
+  const contains = (parent, child) => {
+    const path = relative(resolve(parent), resolve(child));
+    return path === '' || (!path.startsWith('..') && !isAbsolute(path));
+  };
+  return contains(a, b) || contains(b, a);
+}
+
+/**
+ * Pick the device directory root for a locale
+ * @returns {string|null} Output directory, or null if the locale has nowhere to go
+ */
+function getOutputDirectory(graphics, language, defaultLanguage) {
+  if (graphics?.localesDir) {
+    return join(graphics.localesDir, language);
+  }
+  if (graphics?.screenshotsDir && language === defaultLanguage) {
+    return graphics.screenshotsDir;
+  }
+  return null;
+}
+
+/**
+ * Load a locale's captions file (missing file means no captions)
+ */
+async function loadCaptions(filePath) {
+  if (!(await fileExists(filePath))) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a TrueType/OpenType font file
+ */
+async function loadFont(fontPath) {
+  if (!fontPath) {
+    throw new Error('Config has no screenshotFrames.font (a .ttf or .otf file for captions)');
+  }
+  if (!(await fileExists(fontPath))) {
+    throw new Error(`Font file not found: ${fontPath}`);
+  }
+
+  try {
+    const buffer = await readFile(fontPath);
+    return opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  } catch (error) {
+    throw new Error(`Failed to load font ${fontPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Fail on characters the font can't draw instead of rendering empty boxes
+ */
+function checkGlyphs(font, text, language) {
+  const missing = [...new Set([...text].filter(char => !/\s/.test(char) && font.charToGlyphIndex(char) === 0))];
+  if (missing.length > 0) {
+    throw new Error(`Font has no glyphs for ${missing.join(' ')} (${language}). Set screenshotFrames.fonts["${language}"] to a font that covers it.`);
+  }
+}
+
+/**
+ * List PNG captures of a device directory, sorted by numeric filename prefix
+ */
+async function listCaptures(dir) {
+  if (!(await fileExists(dir))) {
+    return [];
+  }
+
+  return (await readdir(dir))
+    .filter(file => extname(file).toLowerCase() === '.png')
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    .map(file => join(dir, file));
+}
+
+/**
+ * Compose one marketing screenshot at the output size (see getOutputSize)
+ * Caption on top, the capture in a device frame below it.
+ * @param {Object} capture - Raw capture bitmap
+ * @param {string|null} caption - Caption text (optional)
+ * @param {Object} font - opentype.js font
+ * @param {Object} style - Resolved frame style
+ * @returns {Object} Composed bitmap
+ */
+export function composeScreenshot(capture, caption, font, style) {
+  const { width, height } = getOutputSize(capture, style.outputSize);
+  const canvas = createBitmap(width, height, style.background);
+
+  const captionHeight = caption ? Math.round(height * style.captionHeight) : 0;
+  if (caption) {
+    drawCaption(canvas, caption, font, style, captionHeight);
+  }
+
+  // Fit the device (capture plus bezel) into the area below the caption
+  const margin = Math.round(Math.min(width, height) * MARGIN);
+  const boxWidth = width - 2 * margin;
+  const boxHeight = height - captionHeight - (caption ? 1 : 2) * margin;
+  const bezelUnits = Math.min(capture.width, capture.height) * BEZEL;
+  const scale = Math.min(boxWidth / (capture.width + 2 * bezelUnits), boxHeight / (capture.height + 2 * bezelUnits));
+
+  const bezel = Math.round(bezelUnits * scale);
+  const screenWidth = Math.round(capture.width * scale);
+  const screenHeight = Math.round(capture.height * scale);
+  const deviceWidth = screenWidth + 2 * bezel;
+  const deviceHeight = screenHeight + 2 * bezel;
+  const shortSide = Math.min(deviceWidth, deviceHeight);
+
+  const deviceX = Math.round((width - deviceWidth) / 2);
+  const deviceY = captionHeight + Math.round((height - captionHeight - (caption ? margin : 0) - deviceHeight) / 2);
+
+  fillPolygons(canvas, [roundedRectPolygon(deviceX, deviceY, deviceWidth, deviceHeight, shortSide * FRAME_RADIUS)], style.frameColor);
+
+  const screenMask = coverageMask(width, height, [
+    roundedRectPolygon(deviceX + bezel, deviceY + bezel, screenWidth, screenHeight, shortSide * SCREEN_RADIUS)
+  ]);
+  drawBitmap(canvas, resizeBitmap(capture, screenWidth, screenHeight), deviceX + bezel, deviceY + bezel, screenMask);
+
+  return canvas;
+}
+
+/**
+ * Draw a centered, word-wrapped caption into the top area
+ */
+function drawCaption(canvas, caption, font, style, areaHeight) {
+  const { fontSize, lines } = fitCaption(font, caption, canvas.width, style, areaHeight);
+
+  const lineHeight = fontSize * 1.25;
+  const ascent = (font.ascender / font.unitsPerEm) * fontSize;
+  const descent = (-font.descender / font.unitsPerEm) * fontSize;
+  const blockHeight = (lines.length - 1) * lineHeight + ascent + descent;
+  let baseline = (areaHeight - blockHeight) / 2 + ascent;
+
+  const polygons = [];
+  for (const line of lines) {
+    const run = layoutText(font, line, fontSize);
+    const x = (canvas.width - run.width) / 2;
+    for (const { glyph, offset } of run.glyphs) {
+      polygons.push(...pathToPolygons(glyph.getPath(x + offset, baseline, fontSize)));
+    }
+    baseline += lineHeight;
+  }
+
+  fillPolygons(canvas, polygons, style.captionColor);
+}
+
+/**
+ * Wrap a caption at the configured font size, shrinking the text until the lines fit the
+ * caption area (down to 40% of the configured size)
+ * @param {Object} font - opentype.js font
+ * @param {string} caption - Caption text
+ * @param {number} width - Width of the screenshot in px
+ * @param {Object} style - Resolved frame style
+ * @param {number} areaHeight - Height of the caption area in px
+ * @returns {Object} { fontSize, lines }
+ */
+export function fitCaption(font, caption, width, style, areaHeight) {
+  const maxWidth = width * (1 - 2 * MARGIN);
+  let fontSize = width * style.fontSize;
+  let lines = wrapText(font, caption, fontSize, maxWidth);
+
+  while (lines.length * fontSize * 1.25 > areaHeight * 0.85 && fontSize > width * style.fontSize * 0.4) {
+    fontSize *= 0.9;
+    lines = wrapText(font, caption, fontSize, maxWidth);
+  }
+
+  return { fontSize, lines };
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ * Words are kept whole; text without spaces (e.g., Japanese) breaks between characters.
+ * @param {Object} font - opentype.js font
+ * @param {string} text - Text, with \n for forced line breaks
+ * @param {number} fontSize - Font size in px
+ * @param {number} maxWidth - Maximum line width in px
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(font, text, fontSize, maxWidth) {
+  const lines = [];
+  const fits = candidate => layoutText(font, candidate, fontSize).width <= maxWidth;
+
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+
+    for (const word of paragraph.split(/(\s+)/).filter(token => token.length > 0)) {
+      const candidate = line + word;
+      if (fits(candidate) || line.trim() === '' && /\s/.test(word)) {
+        line = candidate;
+        continue;
+      }
+
+      if (line.trim()) {
+        lines.push(line.trim());
+      }
+      line = /\s/.test(word) ? '' : word;
+
+      // A single word wider than the line is broken between characters
+      while (!fits(line) && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && !fits(line.slice(0, cut))) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+
+    if (line.trim()) {
+      lines.push(line.trim());
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Place glyphs one character at a time, with kerning
+ * Glyph substitution (ligatures, contextual forms) is skipped: opentype.js does not
+ * support every lookup type of common fonts, and captions don't need it.
+ * @param {Object} font - opentype.js font
+ * @param {string} text - Single line of text
+ * @param {number} fontSize - Font size in px
+ * @returns {Object} { glyphs: [{ glyph, offset }], width }
+ */
+export function layoutText(font, text, fontSize) {
+  const scale = fontSize / font.unitsPerEm;
+  const glyphs = [];
+  let offset = 0;
+  let previous = null;
+
+  for (const char of text) {
+    const glyph = font.charToGlyph(char);
+    if (previous) {
+      offset += font.getKerningValue(previous, glyph) * scale;
+    }
+    glyphs.push({ glyph, offset });
+    offset += (glyph.advanceWidth || 0) * scale;
+    previous = glyph;
+  }
+
+  return { glyphs, width: offset };
+}
+
+/**
+ * Flatten an opentype.js path (lines and quadratic/cubic curves) into polygons
+ */
+function pathToPolygons(path) {
+  const polygons = [];
+  let current = [];
+  let x = 0, y = 0;
+
+  const curveTo = (point) => {
+    const steps = 8;
+    for (let step = 1; step <= steps; step++) {
+      current.push(point(step / steps));
+    }
+  };
+
+  for (const command of path.commands) {
+    switch (command.type) {
+      case 'M':
+        if (current.length > 2) {
+          polygons.push(current);
+        }
+        current = [[command.x, command.y]];
+        break;
+      case 'L':
+        current.push([command.x, command.y]);
+        break;
+      case 'Q': {
+        const [x0, y0] = [x, y];
+        curveTo(t => [
+          (1 - t) ** 2 * x0 + 2 * (1 - t) * t * command.x1 + t ** 2 * command.x,
+          (1 - t) ** 2 * y0 + 2 * (1 - t) * t * command.y1 + t ** 2 * command.y
+        ]);
+        break;
+      }
+      case 'C': {
+        const [x0, y0] = [x, y];
+        curveTo(t => [
+          (1 - t) ** 3 * x0 + 3 * (1 - t) ** 2 * t * command.x1 + 3 * (1 - t) * t ** 2 * command.x2 + t ** 3 * command.x,
+          (1 - t) ** 3 * y0 + 3 * (1 - t) ** 2 * t * command.y1 + 3 * (1 - t) * t ** 2 * command.y2 + t ** 3 * command.y
+        ]);
+        break;
+      }
+      case 'Z':
+        if (current.length > 2) {
+          polygons.push(current);
+        }
+        current = [];
+        break;
+    }
+
+    if (command.type !== 'Z') {
+      x = command.x;
+      y = command.y;
+    }
+  }
+
+  if (current.length > 2) {
+    polygons.push(current);
+  }
+
+  return polygons;
+}
@@ -85,3 +85,74 @@ export async function clearEditState(packageName) {
   }
 }
 
+
+/**
+ * Maximum number of internal app sharing links kept per app
+ */
+const MAX_SHARED_BUILDS = 20;
+
+/**
+ * Record an internal app sharing upload
+ * @param {string} packageName - Android package name
+ * @param {Object} share - Shared build (downloadUrl, certificateFingerprint, sha256, file)
+ */
+export async function saveSharedBuild(packageName, share) {
+  const state = await readJsonFile(PATHS.STATE_FILE) || {};
+
+  if (!state.playStore) {
+    state.playStore = {};
+  }
+  if (!state.playStore.sharedBuilds) {
+    state.playStore.sharedBuilds = {};
+  }
+
+  const shares = state.playStore.sharedBuilds[packageName] || [];
+  shares.unshift({
+    ...share,
+    sharedAt: new Date().toISOString()
+  });
+
+  state.playStore.sharedBuilds[packageName] = shares.slice(0, MAX_SHARED_BUILDS);
+
+  await writeJsonFile(PATHS.STATE_FILE, state);
+}
+
+/**
+ * Load recent internal app sharing uploads (newest first)
+ * @param {string} packageName - Android package name
+ * @returns {Promise<Array<Object>>} Shared builds
+ */
+export async function loadSharedBuilds(packageName) {
+  const state = await readJsonFile(PATHS.STATE_FILE);
+  return state?.playStore?.sharedBuilds?.[packageName] || [];
+}
+
+/**
+ * Save the launch checklist of an app
+ * @param {string} packageName - Android package name
+ * @param {Object} items - Item state by item ID ({ status, detail, checkedAt })
+ */
+export async function saveChecklist(packageName, items) {
+  const state = await readJsonFile(PATHS.STATE_FILE) || {};
+
+  if (!state.playStore) {
+    state.playStore = {};
+  }
+  if (!state.playStore.checklists) {
+    state.playStore.checklists = {};
+  }
+
+  state.playStore.checklists[packageName] = items;
+
+  await writeJsonFile(PATHS.STATE_FILE, state);
+}
+
+/**
+ * Load the launch checklist of an app
+ * @param {string} packageName - Android package name
+ * @returns {Promise<Object>} Item state by item ID (empty if never checked)
+ */
+export async function loadChecklist(packageName) {
+  const state = await readJsonFile(PATHS.STATE_FILE);
+  return state?.playStore?.checklists?.[packageName] || {};
+}
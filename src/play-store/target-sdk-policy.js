@@ -0,0 +1,101 @@
+/**
+ * Play Store target API level policy
+ * Checks a build's targetSdkVersion against Google Play's yearly requirement
+ * before it is uploaded
+ */
+
+/**
+ * Default minimum target SDK per form factor and track (Play policy since August 31, 2025)
+ * 'default' applies to every track without its own entry. Non-blocking entries only warn.
+ * Override any entry with the targetSdkPolicy section of play-store-config.json.
+ */
+export const DEFAULT_TARGET_SDK_POLICY = {
+  phone: {
+    default: { minTargetSdk: 35, blocking: true },
+    internal: { minTargetSdk: 35, blocking: false }
+  },
+  wear: {
+    default: { minTargetSdk: 34, blocking: true }
+  },
+  tv: {
+    default: { minTargetSdk: 34, blocking: true }
+  },
+  automotive: {
+    default: { minTargetSdk: 34, blocking: true }
+  }
+};
+
+/**
+ * Track prefixes of form factor tracks (e.g., 'wear:production')
+ */
+const FORM_FACTOR_PREFIXES = ['wear', 'tv', 'automotive'];
+
+/**
+ * Merge the targetSdkPolicy config section over the defaults
+ * Entries may be a number (blocking minimum) or { minTargetSdk, blocking }.
+ * @param {Object} overrides - targetSdkPolicy from play-store-config.json (optional)
+ * @returns {Object} Effective policy table
+ */
+export function resolveTargetSdkPolicy(overrides = null) {
+  const policy = {};
+
+  for (const [formFactor, tracks] of Object.entries(DEFAULT_TARGET_SDK_POLICY)) {
+    policy[formFactor] = { ...tracks };
+  }
+
+  for (const [formFactor, tracks] of Object.entries(overrides || {})) {
+    if (!tracks || typeof tracks !== 'object') {
+      throw new Error(`Invalid targetSdkPolicy.${formFactor}: expected an object of track → minimum target SDK`);
+    }
+
+    policy[formFactor] = { ...(policy[formFactor] || {}) };
+
+    for (const [track, entry] of Object.entries(tracks)) {
+      policy[formFactor][track] = normalizePolicyEntry(entry, `${formFactor}.${track}`);
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Normalize a policy entry to { minTargetSdk, blocking }
+ */
+function normalizePolicyEntry(entry, path) {
+  if (typeof entry === 'number') {
+    return { minTargetSdk: entry, blocking: true };
+  }
+
+  if (entry && typeof entry === 'object' && typeof entry.minTargetSdk === 'number') {
+    return { minTargetSdk: entry.minTargetSdk, blocking: entry.blocking !== false };
+  }
+
+  throw new Error(`Invalid targetSdkPolicy.${path}: expected a number or { "minTargetSdk": N, "blocking": true|false }`);
+}
+
+/**
+ * Check a build's target SDK against the policy for a track
+ * @param {Object} buildInfo - Result of inspectBuild
+ * @param {string} track - Release track (e.g., 'production', 'wear:beta')
+ * @param {Object} policy - Effective policy from resolveTargetSdkPolicy
+ * @returns {Object} { ok, blocking, formFactor, track, required, actual }
+ */
+export function checkTargetSdk(buildInfo, track, policy) {
+  const [prefix, trackName] = track.includes(':') ? track.split(':', 2) : [null, track];
+  const formFactor = FORM_FACTOR_PREFIXES.includes(prefix) ? prefix : 'phone';
+  const rules = policy[formFactor] || {};
+  const rule = rules[trackName] || rules.default || null;
+
+  if (!rule) {
+    return { ok: true, blocking: false, formFactor, track, required: null, actual: buildInfo.targetSdk };
+  }
+
+  return {
+    ok: buildInfo.targetSdk !== null && buildInfo.targetSdk >= rule.minTargetSdk,
+    blocking: rule.blocking,
+    formFactor: formFactor,
+    track: track,
+    required: rule.minTargetSdk,
+    actual: buildInfo.targetSdk
+  };
+}
@@ -0,0 +1,440 @@
+/**
+ * Play Store track management
+ * Handles track discovery, new releases, staged rollouts and promotions of releases that are already on a track
+ */
+
+import { getPlayStoreClient } from './auth.js';
+
+/**
+ * List all tracks of the app, including closed testing and form factor tracks
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @returns {Promise<Array<Object>>} Tracks ([{ track, releases }])
+ */
+export async function listTracks(packageName, editId) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    const response = await androidpublisher.edits.tracks.list({
+      packageName: packageName,
+      editId: editId
+    });
+
+    return response.data?.tracks || [];
+  } catch (error) {
+    throw new Error(`Failed to list tracks: ${error.message}`);
+  }
+}
+
+/**
+ * Validate that a track exists for the app
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name (e.g., 'beta', 'partners', 'wear:production')
+ */
+export async function validateTrack(packageName, editId, track) {
+  const tracks = await listTracks(packageName, editId);
+  const names = tracks.map(entry => entry.track);
+
+  if (!names.includes(track)) {
+    throw new Error(`Invalid track: ${track}. Available tracks: ${names.join(', ')}`);
+  }
+}
+
+/**
+ * Get the highest version code on any track (including halted and draft releases)
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @returns {Promise<number|null>} Highest version code or null if no releases exist
+ */
+export async function getHighestVersionCode(packageName, editId) {
+  const tracks = await listTracks(packageName, editId);
+  const versionCodes = tracks
+    .flatMap(track => track.releases || [])
+    .flatMap(release => release.versionCodes || [])
+    .map(Number);
+
+  return versionCodes.length > 0 ? Math.max(...versionCodes) : null;
+}
+
+/**
+ * Get all releases on a track
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name
+ * @returns {Promise<Array<Object>>} Track releases (empty if track has none)
+ */
+export async function getTrackReleases(packageName, editId, track) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    const response = await androidpublisher.edits.tracks.get({
+      packageName: packageName,
+      editId: editId,
+      track: track
+    });
+
+    return response.data?.releases || [];
+  } catch (error) {
+    if (error.code === 404) {
+      return [];
+    }
+    throw new Error(`Failed to get ${track} track: ${error.message}`);
+  }
+}
+
+/**
+ * Replace all releases on a track
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name
+ * @param {Array<Object>} releases - Releases to set
+ * @returns {Promise<Object>} Updated track
+ */
+async function updateTrackReleases(packageName, editId, track, releases) {
+  const androidpublisher = await getPlayStoreClient();
+
+  try {
+    const response = await androidpublisher.edits.tracks.update({
+      packageName: packageName,
+      editId: editId,
+      track: track,
+      requestBody: {
+        releases: releases
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to update ${track} track: ${error.message}`);
+  }
+}
+
+/**
+ * Find the staged rollout release on a track (inProgress or halted)
+ * @param {Array<Object>} releases - Track releases
+ * @returns {Object|null} Staged release or null
+ */
+function findStagedRelease(releases) {
+  return releases.find(release => ['inProgress', 'halted'].includes(release.status)) || null;
+}
+
+/**
+ * Load the staged rollout release on a track, failing if there is none
+ */
+async function getStagedRelease(packageName, editId, track) {
+  const releases = await getTrackReleases(packageName, editId, track);
+  const staged = findStagedRelease(releases);
+
+  if (!staged) {
+    throw new Error(`No staged rollout found on ${track} track. Publish with --rollout first.`);
+  }
+
+  return { releases, staged };
+}
+
+/**
+ * Increase the user fraction of the staged rollout on a track
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name
+ * @param {number} userFraction - New fraction of users (0 < fraction < 1)
+ * @returns {Promise<Object>} Updated track
+ */
+export async function setRolloutFraction(packageName, editId, track, userFraction) {
+  validateUserFraction(userFraction);
+
+  console.log(`\n📈 Setting ${track} rollout to ${formatUserFraction(userFraction)}...`);
+
+  const { releases, staged } = await getStagedRelease(packageName, editId, track);
+
+  if (staged.userFraction && userFraction < staged.userFraction) {
+    throw new Error(`Rollout can only increase (currently at ${formatUserFraction(staged.userFraction)})`);
+  }
+
+  staged.userFraction = userFraction;
+
+  const result = await updateTrackReleases(packageName, editId, track, releases);
+  console.log(`   ✅ Version ${staged.versionCodes.join(', ')} rolling out to ${formatUserFraction(userFraction)}`);
+  return result;
+}
+
+/**
+ * Halt the staged rollout on a track
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name
+ * @returns {Promise<Object>} Updated track
+ */
+export async function haltRollout(packageName, editId, track) {
+  console.log(`\n⏸️  Halting ${track} rollout...`);
+
+  const { releases, staged } = await getStagedRelease(packageName, editId, track);
+
+  if (staged.status === 'halted') {
+    console.log(`   ℹ️  Rollout is already halted`);
+    return { releases };
+  }
+
+  staged.status = 'halted';
+
+  const result = await updateTrackReleases(packageName, editId, track, releases);
+  console.log(`   ✅ Rollout of version ${staged.versionCodes.join(', ')} halted`);
+  return result;
+}
+
+/**
+ * Resume a halted rollout on a track
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name
+ * @returns {Promise<Object>} Updated track
+ */
+export async function resumeRollout(packageName, editId, track) {
+  console.log(`\n▶️  Resuming ${track} rollout...`);
+
+  const { releases, staged } = await getStagedRelease(packageName, editId, track);
+
+  if (staged.status === 'inProgress') {
+    console.log(`   ℹ️  Rollout is already in progress`);
+    return { releases };
+  }
+
+  staged.status = 'inProgress';
+
+  const result = await updateTrackReleases(packageName, editId, track, releases);
+  console.log(`   ✅ Rollout of version ${staged.versionCodes.join(', ')} resumed at ${formatUserFraction(staged.userFraction)}`);
+  return result;
+}
+
+/**
+ * Complete the staged rollout on a track (release to 100% of users)
+ * The previously completed release is dropped from the track.
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Track name
+ * @returns {Promise<Object>} Updated track
+ */
+export async function completeRollout(packageName, editId, track) {
+  console.log(`\n🏁 Completing ${track} rollout...`);
+
+  const { staged } = await getStagedRelease(packageName, editId, track);
+
+  const completed = { ...staged, status: 'completed' };
+  delete completed.userFraction;
+
+  const result = await updateTrackReleases(packageName, editId, track, [completed]);
+  console.log(`   ✅ Version ${staged.versionCodes.join(', ')} released to 100% of users`);
+  return result;
+}
+
+/**
+ * Promote an existing release from one track to another without re-uploading
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} fromTrack - Source track
+ * @param {string} toTrack - Target track
+ * @param {Object} options - Promotion options
+ * @param {number} options.versionCode - Version code to promote (defaults to the latest release on the source track)
+ * @param {number} options.userFraction - Staged rollout fraction on the target track (optional)
+ * @param {boolean} options.clearSource - Remove the promoted release from the source track
+ * @returns {Promise<Object>} Promoted release
+ */
+export async function promoteRelease(packageName, editId, fromTrack, toTrack, options = {}) {
+  const { versionCode = null, userFraction = null, clearSource = false } = options;
+
+  if (fromTrack === toTrack) {
+    throw new Error(`Source and target track are the same: ${fromTrack}`);
+  }
+
+  if (userFraction !== null) {
+    validateUserFraction(userFraction);
+  }
+
+  console.log(`\n⏫ Promoting release from ${fromTrack} to ${toTrack}...`);
+
+  await validateTrack(packageName, editId, fromTrack);
+  await validateTrack(packageName, editId, toTrack);
+
+  const sourceReleases = await getTrackReleases(packageName, editId, fromTrack);
+  const source = findReleaseToPromote(sourceReleases, versionCode);
+
+  if (!source) {
+    throw new Error(versionCode
+      ? `Version ${versionCode} not found on ${fromTrack} track`
+      : `No release found on ${fromTrack} track`);
+  }
+
+  const promoted = {
+    versionCodes: source.versionCodes,
+    status: userFraction !== null ? 'inProgress' : 'completed'
+  };
+
+  if (source.name) {
+    promoted.name = source.name;
+  }
+  if (source.releaseNotes) {
+    promoted.releaseNotes = source.releaseNotes;
+  }
+  if (userFraction !== null) {
+    promoted.userFraction = userFraction;
+  }
+
+  const targetReleases = await getTrackReleases(packageName, editId, toTrack);
+  warnReplacedRollout(toTrack, targetReleases, promoted);
+  await updateTrackReleases(packageName, editId, toTrack, addReleaseToTrack(targetReleases, promoted));
+
+  if (userFraction !== null) {
+    console.log(`   ✅ Version ${promoted.versionCodes.join(', ')} rolling out to ${formatUserFraction(userFraction)} of ${toTrack} track`);
+  } else {
+    console.log(`   ✅ Version ${promoted.versionCodes.join(', ')} added to ${toTrack} track`);
+  }
+
+  if (clearSource) {
+    const remaining = sourceReleases.filter(release => release !== source);
+    await updateTrackReleases(packageName, editId, fromTrack, remaining);
+    console.log(`   ✅ Version ${promoted.versionCodes.join(', ')} removed from ${fromTrack} track`);
+  }
+
+  return promoted;
+}
+
+/**
+ * Pick the release to promote from a track
+ * Uses the release containing versionCode, or the one with the highest version code.
+ * Draft releases are never picked implicitly.
+ */
+function findReleaseToPromote(releases, versionCode) {
+  if (versionCode) {
+    return releases.find(release => (release.versionCodes || []).includes(versionCode.toString())) || null;
+  }
+
+  const candidates = releases.filter(release => release.status !== 'draft' && release.versionCodes?.length);
+  const highest = release => Math.max(...release.versionCodes.map(Number));
+
+  return candidates.sort((a, b) => highest(b) - highest(a))[0] || null;
+}
+
+/**
+ * Set release track
+ * @param {string} packageName - Android package name
+ * @param {string} editId - Edit session ID
+ * @param {string} track - Release track ('internal', 'alpha', 'beta', 'production', a closed testing track or a form factor track like 'wear:production')
+ * @param {number} versionCode - Version code to release
+ * @param {string|Array<Object>} releaseNotes - Release notes: en-US text or [{ language, text }] (optional)
+ * @param {number} userFraction - Staged rollout fraction, 0 < fraction < 1 (optional, full release if omitted)
+ * @returns {Promise<Object>} Track result
+ */
+export async function setReleaseTrack(packageName, editId, track, versionCode, releaseNotes = null, userFraction = null) {
+  const androidpublisher = await getPlayStoreClient();
+
+  console.log(`\n🚀 Setting release track: ${track}`);
+
+  await validateTrack(packageName, editId, track);
+
+  if (userFraction !== null) {
+    validateUserFraction(userFraction);
+  }
+
+  try {
+    // Get current track releases
+    const currentReleases = await androidpublisher.edits.tracks.get({
+      packageName: packageName,
+      editId: editId,
+      track: track
+    });
+
+    // Create new release
+    const newRelease = {
+      versionCodes: [versionCode.toString()],
+      status: userFraction !== null ? 'inProgress' : 'completed'
+    };
+
+    if (userFraction !== null) {
+      newRelease.userFraction = userFraction;
+    }
+
+    if (Array.isArray(releaseNotes) && releaseNotes.length > 0) {
+      newRelease.releaseNotes = releaseNotes;
+    } else if (typeof releaseNotes === 'string' && releaseNotes) {
+      newRelease.releaseNotes = [
+        {
+          language: 'en-US',
+          text: releaseNotes
+        }
+      ];
+    }
+
+    warnReplacedRollout(track, currentReleases.data?.releases || [], newRelease);
+    const releases = addReleaseToTrack(currentReleases.data?.releases || [], newRelease);
+
+    // Update track
+    const response = await androidpublisher.edits.tracks.update({
+      packageName: packageName,
+      editId: editId,
+      track: track,
+      requestBody: {
+        releases: releases
+      }
+    });
+
+    if (newRelease.releaseNotes) {
+      console.log(`   Release notes: ${newRelease.releaseNotes.map(note => note.language).join(', ')}`);
+    }
+    if (userFraction !== null) {
+      console.log(`   ✅ Version ${versionCode} rolling out to ${formatUserFraction(userFraction)} of ${track} track`);
+    } else {
+      console.log(`   ✅ Version ${versionCode} added to ${track} track`);
+    }
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to set release track: ${error.message}`);
+  }
+}
+
+/**
+ * Build the release list of a track after adding a new release
+ * A staged rollout keeps serving the last completed release to the remaining users,
+ * a full release replaces everything on the track.
+ * @param {Array<Object>} currentReleases - Releases currently on the track
+ * @param {Object} newRelease - Release to add
+ * @returns {Array<Object>} Releases to send with tracks.update
+ */
+export function addReleaseToTrack(currentReleases, newRelease) {
+  const kept = newRelease.status === 'inProgress'
+    ? currentReleases.filter(release => release.status === 'completed')
+    : [];
+
+  return [...kept, newRelease];
+}
+
+/**
+ * Warn when a full release replaces a staged rollout (inProgress or halted) on the track
+ */
+function warnReplacedRollout(track, currentReleases, newRelease) {
+  const staged = findStagedRelease(currentReleases);
+
+  if (staged && newRelease.status === 'completed') {
+    console.log(`   ⚠️  Replacing the ${staged.status} rollout of version ${staged.versionCodes.join(', ')} on ${track} track`);
+  }
+}
+
+/**
+ * Validate a staged rollout fraction
+ * @param {number} userFraction - Fraction of users (must be between 0 and 1, exclusive)
+ */
+export function validateUserFraction(userFraction) {
+  if (typeof userFraction !== 'number' || Number.isNaN(userFraction) || userFraction <= 0 || userFraction >= 1) {
+    throw new Error(`Invalid rollout fraction: ${userFraction}. Must be between 0 and 1 (e.g., 0.05 for 5%)`);
+  }
+}
+
+/**
+ * Format a staged rollout fraction as a percentage (e.g., 0.05 -> "5%")
+ * @param {number} userFraction - Fraction of users
+ * @returns {string} Percentage string
+ */
+export function formatUserFraction(userFraction) {
+  return `${Math.round(userFraction * 10000) / 100}%`;
+}
+
@@ -0,0 +1,270 @@
+/**
+ * Play Store resumable media uploads
+ * Streams large files (AAB/APK) from disk in chunks, resumes after transient
+ * failures (including stalled requests) and retries 5xx/429 responses with
+ * exponential backoff
+ */
+
+import { open, stat } from 'fs/promises';
+import { basename } from 'path';
+import { getPlayStoreAuth } from './auth.js';
+import { PLAY_STORE_UPLOAD } from '../config.js';
+
+/**
+ * Upload a file through the resumable upload protocol
+ * @param {string} resourcePath - Upload resource path relative to the upload base URL
+ *   (e.g., 'applications/com.example.app/edits/123/bundles')
+ * @param {string} filePath - Path to the file to upload
+ * @param {string} mimeType - MIME type of the file
+ * @param {Object} options - Upload options
+ * @param {Object} options.auth - Auth client with getRequestHeaders() (default: the service account)
+ * @returns {Promise<Object>} Parsed JSON response of the completed upload
+ */
+export async function resumableUpload(resourcePath, filePath, mimeType, options = {}) {
+  const auth = options.auth || await getPlayStoreAuth();
+  const { size } = await stat(filePath);
+
+  if (size === 0) {
+    throw new Error(`File is empty: ${filePath}`);
+  }
+
+  const sessionUrl = await startUploadSession(auth, resourcePath, size, mimeType);
+  const progress = createProgressReporter(basename(filePath), size);
+  const fileHandle = await open(filePath, 'r');
+
+  try {
+    // null means the committed offset is unknown and must be queried from the server
+    let offset = 0;
+    let retries = 0;
+
+    while (true) {
+      const sendingChunk = offset !== null;
+      let response = null;
+      let failure = null;
+
+      try {
+        response = sendingChunk
+          ? await sendChunk(auth, sessionUrl, fileHandle, offset, size)
+          : await queryUploadStatus(auth, sessionUrl, size);
+      } catch (error) {
+        failure = describeFailure(error);
+      }
+
+      if (response) {
+        if (response.status === 200 || response.status === 201) {
+          progress.update(size);
+          progress.done();
+          return await response.json();
+        }
+
+        if (response.status === 308) {
+          offset = getCommittedOffset(response);
+          if (sendingChunk) {
+            retries = 0;
+          }
+          progress.update(offset);
+          continue;
+        }
+
+        if (response.status === 404 || response.status === 410) {
+          throw await createResponseError(response, 'Upload session expired, start the upload again');
+        }
+
+        if (!isRetryableStatus(response.status)) {
+          throw await createResponseError(response, 'Upload failed');
+        }
+
+        failure = `HTTP ${response.status}`;
+      }
+
+      retries++;
+      await waitBeforeRetry(retries, response, failure);
+      offset = null;
+    }
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+/**
+ * Start a resumable upload session
+ * @returns {Promise<string>} Session URI to send chunks to
+ */
+async function startUploadSession(auth, resourcePath, size, mimeType) {
+  const url = `${PLAY_STORE_UPLOAD.BASE_URL}/${resourcePath}?uploadType=resumable`;
+
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          ...(await auth.getRequestHeaders()),
+          'X-Upload-Content-Type': mimeType,
+          'X-Upload-Content-Length': String(size),
+          'Content-Length': '0'
+        },
+        signal: AbortSignal.timeout(PLAY_STORE_UPLOAD.REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      failure = describeFailure(error);
+    }
+
+    if (response) {
+      if (response.ok) {
+        const location = response.headers.get('location');
+        if (!location) {
+          throw new Error('Upload session could not be started: no session URI returned');
+        }
+        return location;
+      }
+
+      if (!isRetryableStatus(response.status)) {
+        throw await createResponseError(response, 'Upload session could not be started');
+      }
+
+      failure = `HTTP ${response.status}`;
+    }
+
+    await waitBeforeRetry(attempt, response, failure);
+  }
+}
+
+/**
+ * Read one chunk from disk and send it
+ */
+async function sendChunk(auth, sessionUrl, fileHandle, offset, size) {
+  const length = Math.min(PLAY_STORE_UPLOAD.CHUNK_SIZE, size - offset);
+  const chunk = Buffer.alloc(length);
+  await fileHandle.read(chunk, 0, length, offset);
+
+  return await fetch(sessionUrl, {
+    method: 'PUT',
+    headers: {
+      ...(await auth.getRequestHeaders()),
+      'Content-Length': String(length),
+      'Content-Range': `bytes ${offset}-${offset + length - 1}/${size}`
+    },
+    body: chunk,
+    signal: AbortSignal.timeout(PLAY_STORE_UPLOAD.REQUEST_TIMEOUT_MS)
+  });
+}
+
+/**
+ * Ask the server how many bytes it has committed
+ */
+async function queryUploadStatus(auth, sessionUrl, size) {
+  return await fetch(sessionUrl, {
+    method: 'PUT',
+    headers: {
+      ...(await auth.getRequestHeaders()),
+      'Content-Length': '0',
+      'Content-Range': `bytes */${size}`
+    },
+    signal: AbortSignal.timeout(PLAY_STORE_UPLOAD.REQUEST_TIMEOUT_MS)
+  });
+}
+
+/**
+ * Read the committed offset from a 308 response's Range header ("bytes=0-1234")
+ */
+function getCommittedOffset(response) {
+  const range = response.headers.get('range');
+  const match = range && range.match(/bytes=0-(\d+)/);
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+/**
+ * Describe a failed request (network error or timeout) for the retry log
+ */
+function describeFailure(error) {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return `no response within ${PLAY_STORE_UPLOAD.REQUEST_TIMEOUT_MS / 1000}s`;
+  }
+  return error.cause?.message || error.message;
+}
+
+/**
+ * Check whether a response status is worth retrying
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Wait with exponential backoff before the next attempt
+ * Honors Retry-After on 429 responses. Throws once retries are exhausted.
+ */
+async function waitBeforeRetry(attempt, response, failure) {
+  if (attempt > PLAY_STORE_UPLOAD.MAX_RETRIES) {
+    const error = new Error(`Upload failed after ${PLAY_STORE_UPLOAD.MAX_RETRIES} retries: ${failure}`);
+    if (response) {
+      error.code = response.status;
+    }
+    throw error;
+  }
+
+  const retryAfter = parseInt(response?.headers.get('retry-after'), 10);
+  const backoff = PLAY_STORE_UPLOAD.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  const delay = Number.isNaN(retryAfter) ? backoff + Math.random() * backoff / 2 : retryAfter * 1000;
+
+  console.log(`\n   ⚠️  Upload interrupted (${failure}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${PLAY_STORE_UPLOAD.MAX_RETRIES})...`);
+  await new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Build an Error from a failed response, keeping the HTTP status as error.code
+ */
+async function createResponseError(response, message) {
+  let details = `HTTP ${response.status}`;
+
+  try {
+    const body = await response.json();
+    details = body?.error?.message || details;
+  } catch {
+    // Body is not JSON - keep the status
+  }
+
+  const error = new Error(`${message}: ${details}`);
+  error.code = response.status;
+  return error;
+}
+
+/**
+ * Create a byte-level progress reporter
+ * Draws a progress bar on a TTY, logs every 10% otherwise (CI logs).
+ */
+function createProgressReporter(label, total) {
+  const interactive = process.stdout.isTTY;
+  let lastLoggedStep = -1;
+
+  const formatMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+  return {
+    update(bytes) {
+      const percent = Math.floor((bytes / total) * 100);
+
+      if (interactive) {
+        const width = 30;
+        const filled = Math.round((bytes / total) * width);
+        const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+        process.stdout.write(`\r   [${bar}] ${percent}% ${formatMB(bytes)}/${formatMB(total)} MB`);
+        return;
+      }
+
+      const step = Math.floor(percent / 10);
+      if (step > lastLoggedStep) {
+        lastLoggedStep = step;
+        console.log(`   ${label}: ${percent}% (${formatMB(bytes)}/${formatMB(total)} MB)`);
+      }
+    },
+
+    done() {
+      if (interactive) {
+        process.stdout.write('\n');
+      }
+    }
+  };
+}
@@ -3,6 +3,8 @@
  */
 
 import { mkdir, writeFile, readFile, access } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -55,6 +57,26 @@ export async function fileExists(filePath) {
   }
 }
 
+/**
+ * Compute the SHA-256 hex digest of a file, streaming it from disk
+ */
+export async function hashFile(filePath) {
+  return await new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Compute the SHA-256 hex digest of data in memory
+ */
+export function hashBuffer(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
 /**
  * Delete a file
  */
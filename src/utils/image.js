@@ -0,0 +1,348 @@
+/**
+ * Minimal RGBA bitmap helpers for composing PNGs in pure Node
+ * PNG/JPEG decoding and encoding, anti-aliased polygon fills, area-averaged resizing
+ * and source-over blending - enough to draw backgrounds, device frames and text
+ * outlines without a canvas
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+
+// Sub-scanlines per pixel row used for vertical anti-aliasing
+const SUBSAMPLES = 4;
+
+/**
+ * Create a bitmap filled with one color
+ * @param {number} width - Width in px
+ * @param {number} height - Height in px
+ * @param {Array<number>} color - [r, g, b, a] (0-255)
+ * @returns {Object} Bitmap ({ width, height, data }) with RGBA data
+ */
+export function createBitmap(width, height, color = [0, 0, 0, 0]) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+    data[i + 3] = color[3];
+  }
+  return { width, height, data };
+}
+
+/**
+ * Read a PNG file into an RGBA bitmap
+ * @param {string} filePath - PNG file path
+ * @returns {Promise<Object>} Bitmap ({ width, height, data })
+ */
+export async function readPng(filePath) {
+  const png = PNG.sync.read(await readFile(filePath));
+  return { width: png.width, height: png.height, data: png.data };
+}
+
+/**
+ * Read a PNG or JPEG file into an RGBA bitmap
+ * @param {string} filePath - Image file path
+ * @returns {Promise<Object>} Bitmap ({ width, height, data })
+ */
+export async function readImage(filePath) {
+  const buffer = await readFile(filePath);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: image.width, height: image.height, data: Buffer.from(image.data.buffer) };
+  }
+
+  const png = PNG.sync.read(buffer);
+  return { width: png.width, height: png.height, data: png.data };
+}
+
+/**
+ * Encode a bitmap as PNG
+ * @param {Object} bitmap - Bitmap ({ width, height, data })
+ * @param {Object} options - Options
+ * @param {boolean} options.alpha - Keep the alpha channel (default: false, encodes a 24-bit PNG)
+ * @returns {Buffer} PNG data
+ */
+export function encodePng(bitmap, { alpha = false } = {}) {
+  return PNG.sync.write(
+    { width: bitmap.width, height: bitmap.height, data: bitmap.data },
+    { colorType: alpha ? 6 : 2, inputHasAlpha: true }
+  );
+}
+
+/**
+ * Encode a bitmap as JPEG (the alpha channel is dropped, flatten first)
+ * @param {Object} bitmap - Bitmap ({ width, height, data })
+ * @param {number} quality - JPEG quality (1-100)
+ * @returns {Buffer} JPEG data
+ */
+export function encodeJpeg(bitmap, quality) {
+  return jpeg.encode({ width: bitmap.width, height: bitmap.height, data: bitmap.data }, quality).data;
+}
+
+/**
+ * Write a bitmap as a PNG file
+ * @param {Object} bitmap - Bitmap ({ width, height, data })
+ * @param {string} filePath - Output file path
+ * @param {Object} options - Options
+ * @param {boolean} options.alpha - Keep the alpha channel (default: false, writes a 24-bit PNG)
+ */
+export async function writePng(bitmap, filePath, options = {}) {
+  await writeFile(filePath, encodePng(bitmap, options));
+}
+
+/**
+ * Parse a CSS-style hex color (#RGB, #RRGGBB or #RRGGBBAA)
+ * @param {string} color - Hex color
+ * @returns {Array<number>} [r, g, b, a]
+ */
+export function parseColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(color).trim());
+  if (!match) {
+    throw new Error(`Invalid color "${color}" (expected #RGB, #RRGGBB or #RRGGBBAA)`);
+  }
+
+  let hex = match[1];
+  if (hex.length === 3) {
+    hex = hex.split('').map(digit => digit + digit).join('');
+  }
+  if (hex.length === 6) {
+    hex += 'ff';
+  }
+
+  return [0, 2, 4, 6].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Outline of a rounded rectangle as a polygon
+ * @returns {Array<Array<number>>} Points ([[x, y], ...])
+ */
+export function roundedRectPolygon(x, y, width, height, radius) {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  const corners = [
+    [x + width - r, y + r, -Math.PI / 2],
+    [x + width - r, y + height - r, 0],
+    [x + r, y + height - r, Math.PI / 2],
+    [x + r, y + r, Math.PI]
+  ];
+  const steps = Math.max(4, Math.ceil(r / 2));
+  const points = [];
+
+  for (const [cx, cy, start] of corners) {
+    for (let step = 0; step <= steps; step++) {
+      const angle = start + (step / steps) * (Math.PI / 2);
+      points.push([cx + r * Math.cos(angle), cy + r * Math.sin(angle)]);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Compute anti-aliased coverage (0-1) of polygons with the nonzero winding rule
+ * Horizontal coverage is exact per span; vertical coverage uses SUBSAMPLES sub-scanlines.
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Array<Array<Array<number>>>} polygons - Closed polygons ([[[x, y], ...], ...])
+ * @returns {Float32Array} Coverage per pixel (row-major)
+ */
+export function coverageMask(width, height, polygons) {
+  const mask = new Float32Array(width * height);
+  const edges = [];
+
+  for (const polygon of polygons) {
+    for (let i = 0; i < polygon.length; i++) {
+      const [x0, y0] = polygon[i];
+      const [x1, y1] = polygon[(i + 1) % polygon.length];
+      if (y0 !== y1) {
+        edges.push(y0 < y1 ? { x0, y0, x1, y1, dir: 1 } : { x0: x1, y0: y1, x1: x0, y1: y0, dir: -1 });
+      }
+    }
+  }
+
+  if (edges.length === 0) {
+    return mask;
+  }
+
+  const minY = Math.max(0, Math.floor(Math.min(...edges.map(edge => edge.y0))));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(...edges.map(edge => edge.y1))));
+  const weight = 1 / SUBSAMPLES;
+
+  for (let row = minY; row <= maxY; row++) {
+    for (let sub = 0; sub < SUBSAMPLES; sub++) {
+      const y = row + (sub + 0.5) / SUBSAMPLES;
+      const crossings = [];
+
+      for (const edge of edges) {
+        if (y >= edge.y0 && y < edge.y1) {
+          crossings.push({ x: edge.x0 + ((y - edge.y0) / (edge.y1 - edge.y0)) * (edge.x1 - edge.x0), dir: edge.dir });
+        }
+      }
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+        if (winding !== 0) {
+          addSpan(mask, row * width, width, crossings[i].x, crossings[i + 1].x, weight);
+        }
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Add horizontal coverage of [start, end) to one mask row, with fractional edge pixels
+ */
+function addSpan(mask, rowOffset, width, start, end, weight) {
+  const left = Math.max(0, start);
+  const right = Math.min(width, end);
+  if (right <= left) {
+    return;
+  }
+
+  const firstPixel = Math.floor(left);
+  const lastPixel = Math.min(width - 1, Math.ceil(right) - 1);
+
+  if (firstPixel === lastPixel) {
+    mask[rowOffset + firstPixel] += (right - left) * weight;
+    return;
+  }
+
+  mask[rowOffset + firstPixel] += (firstPixel + 1 - left) * weight;
+  for (let x = firstPixel + 1; x < lastPixel; x++) {
+    mask[rowOffset + x] += weight;
+  }
+  mask[rowOffset + lastPixel] += (right - lastPixel) * weight;
+}
+
+/**
+ * Fill polygons with a color (source-over, anti-aliased)
+ * @param {Object} bitmap - Target bitmap
+ * @param {Array<Array<Array<number>>>} polygons - Closed polygons
+ * @param {Array<number>} color - [r, g, b, a]
+ */
+export function fillPolygons(bitmap, polygons, color) {
+  const mask = coverageMask(bitmap.width, bitmap.height, polygons);
+
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) {
+      blendPixel(bitmap.data, i * 4, color[0], color[1], color[2], color[3] * Math.min(1, mask[i]));
+    }
+  }
+}
+
+/**
+ * Resize a bitmap by area averaging (box filter), suited to downscaling captures
+ * @param {Object} source - Source bitmap
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} Resized bitmap
+ */
+export function resizeBitmap(source, width, height) {
+  const horizontal = resampleAxis(source.data, source.width, source.height, width, true);
+  const data = resampleAxis(horizontal, width, source.height, height, false);
+  return { width, height, data };
+}
+
+/**
+ * Resample one axis; alpha-weighted so transparent pixels don't darken edges
+ */
+function resampleAxis(data, width, height, size, horizontal) {
+  const sourceSize = horizontal ? width : height;
+  const lines = horizontal ? height : width;
+  const outWidth = horizontal ? size : width;
+  const output = Buffer.alloc(outWidth * (horizontal ? height : size) * 4);
+  const scale = sourceSize / size;
+
+  for (let line = 0; line < lines; line++) {
+    for (let target = 0; target < size; target++) {
+      const start = target * scale;
+      const end = Math.min(sourceSize, start + Math.max(scale, 1));
+      let r = 0, g = 0, b = 0, a = 0, total = 0;
+
+      for (let position = Math.floor(start); position < end; position++) {
+        const coverage = Math.min(position + 1, end) - Math.max(position, start);
+        const index = (horizontal ? line * width + position : position * width + line) * 4;
+        const alpha = data[index + 3] * coverage;
+        r += data[index] * alpha;
+        g += data[index + 1] * alpha;
+        b += data[index + 2] * alpha;
+        a += alpha;
+        total += coverage;
+      }
+
+      const index = (horizontal ? line * outWidth + target : target * outWidth + line) * 4;
+      if (a > 0) {
+        output[index] = Math.round(r / a);
+        output[index + 1] = Math.round(g / a);
+        output[index + 2] = Math.round(b / a);
+        output[index + 3] = Math.round(a / total);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Composite a bitmap onto an opaque background color, removing transparency
+ * @param {Object} bitmap - Source bitmap
+ * @param {Array<number>} color - Background [r, g, b, a]; alpha is ignored
+ * @returns {Object} Opaque bitmap
+ */
+export function flattenBitmap(bitmap, color) {
+  const flat = createBitmap(bitmap.width, bitmap.height, [color[0], color[1], color[2], 255]);
+  drawBitmap(flat, bitmap, 0, 0);
+  return flat;
+}
+
+/**
+ * Draw a bitmap onto another at an integer offset (source-over)
+ * @param {Object} target - Target bitmap
+ * @param {Object} source - Source bitmap
+ * @param {number} x - Left offset in target
+ * @param {number} y - Top offset in target
+ * @param {Float32Array} clipMask - Optional target-sized coverage mask (coverageMask)
+ */
+export function drawBitmap(target, source, x, y, clipMask = null) {
+  for (let sy = 0; sy < source.height; sy++) {
+    const ty = y + sy;
+    if (ty < 0 || ty >= target.height) {
+      continue;
+    }
+
+    for (let sx = 0; sx < source.width; sx++) {
+      const tx = x + sx;
+      if (tx < 0 || tx >= target.width) {
+        continue;
+      }
+
+      const clip = clipMask ? Math.min(1, clipMask[ty * target.width + tx]) : 1;
+      const si = (sy * source.width + sx) * 4;
+      if (clip > 0 && source.data[si + 3] > 0) {
+        blendPixel(target.data, (ty * target.width + tx) * 4, source.data[si], source.data[si + 1], source.data[si + 2], source.data[si + 3] * clip);
+      }
+    }
+  }
+}
+
+/**
+ * Blend one color onto a pixel (source-over)
+ */
+function blendPixel(data, index, r, g, b, alpha) {
+  const sourceAlpha = alpha / 255;
+  const targetAlpha = data[index + 3] / 255;
+  const outAlpha = sourceAlpha + targetAlpha * (1 - sourceAlpha);
+  if (outAlpha === 0) {
+    return;
+  }
+
+  data[index] = Math.round((r * sourceAlpha + data[index] * targetAlpha * (1 - sourceAlpha)) / outAlpha);
+  data[index + 1] = Math.round((g * sourceAlpha + data[index + 1] * targetAlpha * (1 - sourceAlpha)) / outAlpha);
+  data[index + 2] = Math.round((b * sourceAlpha + data[index + 2] * targetAlpha * (1 - sourceAlpha)) / outAlpha);
+  data[index + 3] = Math.round(outAlpha * 255);
+}
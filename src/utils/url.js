@@ -0,0 +1,17 @@
+/**
+ * URL utilities shared by the config validators
+ */
+
+/**
+ * Validate URL format
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL parses
+ */
+export function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Minimal ZIP reader for inspecting build archives (AAB/APK)
+ * Reads only the central directory and the requested entries, so large
+ * bundles are never loaded into memory as a whole
+ */
+
+import { open } from 'fs/promises';
+import { inflateRawSync } from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+/**
+ * Read and decompress a single entry from a ZIP archive
+ * @param {string} filePath - Path to the archive
+ * @param {string} entryName - Entry path inside the archive (e.g., 'AndroidManifest.xml')
+ * @returns {Promise<Buffer|null>} Entry contents or null if the entry doesn't exist
+ */
+export async function readZipEntry(filePath, entryName) {
+  const fileHandle = await open(filePath, 'r');
+
+  try {
+    const entries = await readCentralDirectory(fileHandle);
+    const entry = entries.find(candidate => candidate.name === entryName);
+
+    if (!entry) {
+      return null;
+    }
+
+    return await readEntryData(fileHandle, entry);
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+/**
+ * Locate and parse the central directory
+ */
+async function readCentralDirectory(fileHandle) {
+  const { size } = await fileHandle.stat();
+  const tailSize = Math.min(size, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+  const tail = await readAt(fileHandle, size - tailSize, tailSize);
+
+  // The end of central directory record sits before an optional comment - scan backwards
+  let eocdOffset = -1;
+  for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+
+  if (eocdOffset === -1) {
+    throw new Error('Not a valid ZIP archive (end of central directory not found)');
+  }
+
+  const entryCount = tail.readUInt16LE(eocdOffset + 10);
+  const directorySize = tail.readUInt32LE(eocdOffset + 12);
+  const directoryOffset = tail.readUInt32LE(eocdOffset + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = await readAt(fileHandle, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: directory.toString('utf-8', offset + 46, offset + 46 + nameLength),
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and decompress an entry's data
+ */
+async function readEntryData(fileHandle, entry) {
+  const localHeader = await readAt(fileHandle, entry.localHeaderOffset, 30);
+
+  if (localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+
+  // Local name/extra lengths can differ from the central directory ones
+  const dataOffset = entry.localHeaderOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+  const data = await readAt(fileHandle, dataOffset, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return inflateRawSync(data);
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Read length bytes at a position
+ */
+async function readAt(fileHandle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await fileHandle.read(buffer, 0, length, position);
+
+  if (bytesRead < length) {
+    throw new Error('Unexpected end of ZIP archive');
+  }
+
+  return buffer;
+}
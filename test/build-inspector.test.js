@@ -0,0 +1,375 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { deflateRawSync } from 'node:zlib';
+import { readZipEntry } from '../src/utils/zip.js';
+import { parseProtoManifest, parseBinaryManifest, extractManifestInfo } from '../src/play-store/manifest.js';
+import { inspectBuild, verifyBuildForUpload } from '../src/play-store/build-inspector.js';
+
+// Framework attribute resource IDs
+const VERSION_CODE = 0x0101021b;
+const MIN_SDK = 0x0101020c;
+const TARGET_SDK = 0x01010270;
+const NAME = 0x01010003;
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'build-inspector-test-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// --- ZIP fixtures ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ * Entries: { name, data, deflate, dataDescriptor } - with a data descriptor, the local
+ * header carries no CRC or sizes, like archives written by streaming zip tools.
+ */
+function buildZip(entries, { comment = '' } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, deflate = false, dataDescriptor = false } of entries) {
+    const stored = deflate ? deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name);
+    const crc = crc32(data);
+    const flags = dataDescriptor ? 0x08 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(dataDescriptor ? 0 : crc, 14);
+    local.writeUInt32LE(dataDescriptor ? 0 : stored.length, 18);
+    local.writeUInt32LE(dataDescriptor ? 0 : data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const parts = [local, nameBytes, stored];
+    if (dataDescriptor) {
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(stored.length, 8);
+      descriptor.writeUInt32LE(data.length, 12);
+      parts.push(descriptor);
+    }
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    const localRecord = Buffer.concat(parts);
+    locals.push(localRecord);
+    offset += localRecord.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const commentBytes = Buffer.from(comment);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  eocd.writeUInt16LE(commentBytes.length, 20);
+
+  return Buffer.concat([...locals, directory, eocd, commentBytes]);
+}
+
+// --- aapt2 protobuf manifest fixtures ---
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+const varintField = (number, value) => Buffer.concat([varint(number * 8), varint(value)]);
+const bytesField = (number, bytes) => Buffer.concat([varint(number * 8 + 2), varint(bytes.length), bytes]);
+const stringField = (number, text) => bytesField(number, Buffer.from(text));
+
+/**
+ * XmlAttribute with a string value, or an int compiled into Item.prim.int_decimal_value
+ */
+function protoAttribute(name, value, resourceId = 0) {
+  const fields = [stringField(2, name)];
+  if (typeof value === 'number') {
+    fields.push(stringField(3, String(value)), bytesField(6, bytesField(7, varintField(6, value))));
+  } else {
+    fields.push(stringField(3, value));
+  }
+  if (resourceId) {
+    fields.push(varintField(5, resourceId));
+  }
+  return bytesField(4, Buffer.concat(fields));
+}
+
+function protoElement(name, attributes = [], children = []) {
+  return Buffer.concat([
+    stringField(3, name),
+    ...attributes,
+    ...children.map(child => bytesField(5, bytesField(1, child)))
+  ]);
+}
+
+function buildProtoManifest() {
+  const manifest = protoElement('manifest', [
+    protoAttribute('package', 'com.example.app'),
+    protoAttribute('versionCode', 42, VERSION_CODE),
+    protoAttribute('versionName', '1.2.3')
+  ], [
+    protoElement('uses-sdk', [
+      protoAttribute('minSdkVersion', 24, MIN_SDK),
+      // Stripped attribute name: only the resource ID tells what it is
+      protoAttribute('', 35, TARGET_SDK)
+    ]),
+    protoElement('uses-permission', [protoAttribute('name', 'android.permission.INTERNET', NAME)]),
+    protoElement('uses-permission', [protoAttribute('name', 'android.permission.INTERNET', NAME)]),
+    protoElement('application')
+  ]);
+  return bytesField(1, manifest);
+}
+
+// --- Android binary XML manifest fixtures ---
+
+function chunk(type, headerSize, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(headerSize, 2);
+  header.writeUInt32LE(8 + body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+function stringPool(strings) {
+  const data = [];
+  const offsets = [];
+  let length = 0;
+  for (const text of strings) {
+    const bytes = Buffer.from(text);
+    const entry = Buffer.concat([Buffer.from([text.length, bytes.length]), bytes, Buffer.from([0])]);
+    offsets.push(length);
+    data.push(entry);
+    length += entry.length;
+  }
+  const padded = Buffer.concat([...data, Buffer.alloc((4 - length % 4) % 4)]);
+
+  const header = Buffer.alloc(20);
+  header.writeUInt32LE(strings.length, 0);
+  header.writeUInt32LE(0x100, 8);
+  header.writeUInt32LE(28 + strings.length * 4, 12);
+  const offsetTable = Buffer.alloc(strings.length * 4);
+  offsets.forEach((value, index) => offsetTable.writeUInt32LE(value, index * 4));
+
+  return chunk(0x0001, 28, Buffer.concat([header, offsetTable, padded]));
+}
+
+/**
+ * Attributes: [nameIndex, dataType, data, rawValueIndex]
+ */
+function startElement(nameIndex, attributes) {
+  const node = Buffer.alloc(8);
+  node.writeInt32LE(-1, 4);
+
+  const ext = Buffer.alloc(20);
+  ext.writeInt32LE(-1, 0);
+  ext.writeUInt32LE(nameIndex, 4);
+  ext.writeUInt16LE(20, 8);
+  ext.writeUInt16LE(20, 10);
+  ext.writeUInt16LE(attributes.length, 12);
+
+  const attributeData = attributes.map(([name, dataType, data, rawValue = 0xffffffff]) => {
+    const attribute = Buffer.alloc(20);
+    attribute.writeInt32LE(-1, 0);
+    attribute.writeUInt32LE(name, 4);
+    attribute.writeUInt32LE(rawValue, 8);
+    attribute.writeUInt16LE(8, 12);
+    attribute.writeUInt8(dataType, 15);
+    attribute.writeUInt32LE(data, 16);
+    return attribute;
+  });
+
+  return chunk(0x0102, 16, Buffer.concat([node, ext, ...attributeData]));
+}
+
+function endElement(nameIndex) {
+  const body = Buffer.alloc(16);
+  body.writeInt32LE(-1, 4);
+  body.writeInt32LE(-1, 8);
+  body.writeUInt32LE(nameIndex, 12);
+  return chunk(0x0103, 16, body);
+}
+
+function buildBinaryManifest() {
+  const strings = [
+    // Attribute names mapped to resource IDs; the first one is obfuscated
+    'a0', 'minSdkVersion', 'targetSdkVersion', 'name',
+    'package', 'versionName', 'manifest', 'uses-sdk', 'uses-permission',
+    'com.example.app', '1.2.3', 'android.permission.CAMERA'
+  ];
+  const resourceMap = Buffer.alloc(16);
+  [VERSION_CODE, MIN_SDK, TARGET_SDK, NAME].forEach((id, index) => resourceMap.writeUInt32LE(id, index * 4));
+
+  const STRING = 0x03;
+  const INT_DEC = 0x10;
+  const INT_HEX = 0x11;
+
+  const body = Buffer.concat([
+    stringPool(strings),
+    chunk(0x0180, 8, resourceMap),
+    startElement(6, [[4, STRING, 9, 9], [0, INT_DEC, 7], [5, STRING, 10, 10]]),
+    startElement(7, [[1, INT_DEC, 21], [2, INT_HEX, 34]]),
+    endElement(7),
+    startElement(8, [[3, STRING, 11, 11]]),
+    endElement(8),
+    endElement(6)
+  ]);
+
+  return chunk(0x0003, 8, body);
+}
+
+// --- Tests ---
+
+test('reads stored and deflated ZIP entries', async () => {
+  const filePath = join(dir, 'plain.zip');
+  await writeFile(filePath, buildZip([
+    { name: 'stored.txt', data: Buffer.from('stored data') },
+    { name: 'deflated.txt', data: Buffer.from('deflated '.repeat(100)), deflate: true }
+  ]));
+
+  assert.equal((await readZipEntry(filePath, 'stored.txt')).toString(), 'stored data');
+  assert.equal((await readZipEntry(filePath, 'deflated.txt')).toString(), 'deflated '.repeat(100));
+  assert.equal(await readZipEntry(filePath, 'missing.txt'), null);
+});
+
+test('reads entries written with data descriptors and an archive comment', async () => {
+  const filePath = join(dir, 'streamed.zip');
+  await writeFile(filePath, buildZip([
+    { name: 'first.txt', data: Buffer.from('first'), deflate: true, dataDescriptor: true },
+    { name: 'second.txt', data: Buffer.from('second entry'), deflate: true, dataDescriptor: true }
+  ], { comment: 'written by a streaming zip tool' }));
+
+  assert.equal((await readZipEntry(filePath, 'second.txt')).toString(), 'second entry');
+});
+
+test('rejects ZIP64 archives and files that are not ZIP archives', async () => {
+  const zip64 = buildZip([{ name: 'a.txt', data: Buffer.from('a') }]);
+  const eocd = zip64.length - 22;
+  zip64.writeUInt16LE(0xffff, eocd + 8);
+  zip64.writeUInt16LE(0xffff, eocd + 10);
+  zip64.writeUInt32LE(0xffffffff, eocd + 16);
+  await writeFile(join(dir, 'zip64.zip'), zip64);
+  await writeFile(join(dir, 'not-a.zip'), Buffer.from('definitely not a zip archive'));
+
+  await assert.rejects(readZipEntry(join(dir, 'zip64.zip'), 'a.txt'), /ZIP64 archives are not supported/);
+  await assert.rejects(readZipEntry(join(dir, 'not-a.zip'), 'a.txt'), /Not a valid ZIP archive/);
+});
+
+test('decodes an aapt2 protobuf manifest', () => {
+  const manifest = parseProtoManifest(buildProtoManifest());
+
+  assert.equal(manifest.name, 'manifest');
+  assert.deepEqual(manifest.children.map(child => child.name), ['uses-sdk', 'uses-permission', 'uses-permission', 'application']);
+  assert.deepEqual(extractManifestInfo(manifest), {
+    packageName: 'com.example.app',
+    versionCode: 42,
+    versionName: '1.2.3',
+    minSdk: 24,
+    targetSdk: 35,
+    permissions: ['android.permission.INTERNET']
+  });
+});
+
+test('decodes an Android binary XML manifest, naming attributes by resource ID', () => {
+  const manifest = parseBinaryManifest(buildBinaryManifest());
+
+  assert.deepEqual(extractManifestInfo(manifest), {
+    packageName: 'com.example.app',
+    versionCode: 7,
+    versionName: '1.2.3',
+    minSdk: 21,
+    targetSdk: 34,
+    permissions: ['android.permission.CAMERA']
+  });
+});
+
+test('rejects manifests that are not manifests', () => {
+  assert.throws(() => parseBinaryManifest(Buffer.from('<manifest/>')), /not an Android binary XML file/);
+  assert.throws(() => extractManifestInfo({ name: 'application', attributes: {}, children: [] }), /root element is not <manifest>/);
+});
+
+test('falls back to minSdkVersion when targetSdkVersion is missing', () => {
+  const manifest = parseProtoManifest(bytesField(1, protoElement('manifest', [protoAttribute('package', 'com.example.app')], [
+    protoElement('uses-sdk', [protoAttribute('minSdkVersion', 26, MIN_SDK)])
+  ])));
+
+  const info = extractManifestInfo(manifest);
+  assert.equal(info.targetSdk, 26);
+  assert.equal(info.versionCode, null);
+});
+
+test('inspects AAB and APK files', async () => {
+  const aabPath = join(dir, 'app.aab');
+  const apkPath = join(dir, 'app.apk');
+  await writeFile(aabPath, buildZip([
+    { name: 'base/dex/classes.dex', data: Buffer.alloc(64) },
+    { name: 'base/manifest/AndroidManifest.xml', data: buildProtoManifest(), deflate: true }
+  ]));
+  await writeFile(apkPath, buildZip([
+    { name: 'AndroidManifest.xml', data: buildBinaryManifest(), deflate: true, dataDescriptor: true }
+  ]));
+
+  const aab = await inspectBuild(aabPath);
+  assert.equal(aab.type, 'aab');
+  assert.equal(aab.versionCode, 42);
+
+  const apk = await inspectBuild(apkPath);
+  assert.equal(apk.type, 'apk');
+  assert.equal(apk.targetSdk, 34);
+
+  await assert.rejects(inspectBuild(join(dir, 'app.ipa')), /Unsupported file type/);
+});
+
+test('rejects builds for another package or with a used versionCode', () => {
+  const build = { file: 'app.aab', packageName: 'com.example.app', versionCode: 42 };
+
+  assert.doesNotThrow(() => verifyBuildForUpload(build, 'com.example.app', 41));
+  assert.throws(() => verifyBuildForUpload(build, 'com.example.other'), /Package name mismatch/);
+  assert.throws(() => verifyBuildForUpload(build, 'com.example.app', 42), /must be higher than 42/);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadPlayStoreConfig } from '../src/play-store/config-loader.js';
+import { PULL_PLACEHOLDERS } from '../src/play-store/pull.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'config-loader-test-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function load(metadata) {
+  const configPath = join(dir, 'play-store-config.json');
+  await writeFile(configPath, JSON.stringify({
+    packageName: 'com.example.app',
+    build: { aab: './app-release.aab' },
+    metadata: { localesDir: './metadata/android', ...metadata }
+  }));
+  return await loadPlayStoreConfig(configPath);
+}
+
+test('loads a config with real metadata values', async () => {
+  const config = await load({ category: 'APPLICATION_PRODUCTIVITY', privacyPolicyUrl: 'https://example.org/privacy' });
+
+  assert.equal(config.packageName, 'com.example.app');
+});
+
+test('rejects the placeholders written by pull-listing', async () => {
+  await assert.rejects(load({ ...PULL_PLACEHOLDERS }), {
+    message: `Replace the pulled placeholder metadata.category ("${PULL_PLACEHOLDERS.category}"), metadata.privacyPolicyUrl ("${PULL_PLACEHOLDERS.privacyPolicyUrl}") with the real value from Play Console`
+  });
+  await assert.rejects(
+    load({ category: 'APPLICATION_PRODUCTIVITY', privacyPolicyUrl: PULL_PLACEHOLDERS.privacyPolicyUrl }),
+    /Replace the pulled placeholder metadata\.privacyPolicyUrl/
+  );
+});
+
+test('reports missing required fields', async () => {
+  await assert.rejects(load({ category: 'APPLICATION_PRODUCTIVITY' }), /Missing required metadata fields: privacyPolicyUrl/);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDataSafety, buildDataSafetyCsv } from '../src/play-store/data-safety.js';
+
+const collecting = {
+  encryptedInTransit: true,
+  deletionRequests: false,
+  dataTypes: {
+    email: { collected: ['accountManagement'], shared: ['analytics'], optional: true }
+  }
+};
+
+/** Parse the generated CSV into { question, response, value } rows */
+function parseRows(csv) {
+  return csv.trim().split('\n').slice(1).map(line => {
+    const [question, response, value] = line.split(',');
+    return { question, response, value };
+  });
+}
+
+test('requires an explicit dataTypes object', () => {
+  assert.match(validateDataSafety({}).join('\n'), /dataTypes is required/);
+  assert.match(validateDataSafety(undefined).join('\n'), /dataTypes is required/);
+  assert.match(validateDataSafety({ dataTypes: [] }).join('\n'), /must be an object/);
+  assert.match(validateDataSafety({ dataTypes: null }).join('\n'), /must be an object/);
+});
+
+test('rejects a misspelled section key', () => {
+  const problems = validateDataSafety({ datatypes: { email: { collected: ['analytics'] } } });
+
+  assert.match(problems[0], /^datatypes: unknown field/);
+  assert.match(problems[1], /dataTypes is required/);
+});
+
+test('accepts an app that collects no data', () => {
+  assert.deepEqual(validateDataSafety({ dataTypes: {} }), []);
+});
+
+test('accepts a complete form', () => {
+  assert.deepEqual(validateDataSafety(collecting), []);
+});
+
+test('reports unknown data types, unknown purposes and missing purposes', () => {
+  const problems = validateDataSafety({
+    encryptedInTransit: true,
+    deletionRequests: true,
+    dataTypes: {
+      mail: { collected: ['analytics'] },
+      email: { collected: ['marketing'] },
+      phone: { collected: [], shared: [] }
+    }
+  });
+
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /^dataTypes\.mail: unknown data type/);
+  assert.match(problems[1], /^dataTypes\.email\.collected: unknown purpose "marketing"/);
+  assert.match(problems[2], /^dataTypes\.phone: list the purposes/);
+});
+
+test('requires the security questions only when data is collected', () => {
+  const problems = validateDataSafety({ dataTypes: collecting.dataTypes });
+
+  assert.deepEqual(problems.map(problem => problem.split(':')[0]), ['encryptedInTransit', 'deletionRequests']);
+});
+
+test('rejects a deletionUrl that is not http(s)', () => {
+  assert.match(validateDataSafety({ dataTypes: {}, deletionUrl: 'example.com' })[0], /^deletionUrl/);
+});
+
+test('builds the CSV for an app that collects nothing', () => {
+  const rows = parseRows(buildDataSafetyCsv({ dataTypes: {} }));
+
+  assert.deepEqual(rows[0], { question: 'PSL_DATA_COLLECTION_COLLECTS_PERSONAL_DATA', response: '', value: 'false' });
+  assert.ok(!rows.some(row => row.question === 'PSL_DATA_COLLECTION_ENCRYPTED_IN_TRANSIT'));
+  assert.ok(rows.filter(row => row.question.startsWith('PSL_DATA_TYPES_')).every(row => row.value === ''));
+});
+
+test('builds the CSV rows for collected and shared data types', () => {
+  const csv = buildDataSafetyCsv(collecting);
+  const rows = parseRows(csv);
+  const find = (question, response = '') => rows.find(row => row.question === question && row.response === response);
+
+  assert.ok(csv.startsWith('Question ID (machine readable),'));
+  assert.equal(find('PSL_DATA_COLLECTION_COLLECTS_PERSONAL_DATA').value, 'true');
+  assert.equal(find('PSL_DATA_COLLECTION_ENCRYPTED_IN_TRANSIT').value, 'true');
+  assert.equal(find('PSL_SUPPORT_DATA_DELETION_BY_USER', 'DATA_DELETION_NO').value, 'true');
+  assert.equal(find('PSL_DATA_TYPES_PERSONAL', 'PSL_EMAIL').value, 'true');
+  assert.equal(find('PSL_DATA_TYPES_PERSONAL', 'PSL_NAME').value, '');
+
+  const emailRows = rows.filter(row => row.question.startsWith('PSL_DATA_USAGE_RESPONSES:PSL_EMAIL:'));
+  assert.ok(emailRows.length > 0);
+  assert.ok(emailRows.some(row => row.question.endsWith('DATA_USAGE_USER_CONTROL') && row.response === 'PSL_DATA_USAGE_USER_CONTROL_OPTIONAL' && row.value === 'true'));
+});
+
+test('refuses to build the CSV for an invalid form', () => {
+  assert.throws(() => buildDataSafetyCsv({}), /Invalid dataSafety:[\s\S]*dataTypes is required/);
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createBitmap, writePng } from '../src/utils/image.js';
+import { readImageInfo, checkImage } from '../src/play-store/image-specs.js';
+import { fixLocaleImages, writePendingImages } from '../src/play-store/graphics-fix.js';
+import { fileExists } from '../src/utils/fs.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'graphics-fix-test-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/** Write a solid PNG and return its path */
+async function image(name, width, height, options = {}) {
+  const file = join(dir, name);
+  await writePng(createBitmap(width, height, [200, 40, 40, 255]), file, options);
+  return file;
+}
+
+/** Fix one image of the en-US locale */
+async function fix(imageType, file) {
+  const localeImages = [{ language: 'en-US', images: [{ imageType, files: [file], fallback: false }] }];
+  return fixLocaleImages(localeImages, { cacheDir: join(dir, 'cache') });
+}
+
+test('downscales single images with the right aspect ratio to their exact size', async () => {
+  const file = await image('icon.png', 1024, 1024, { alpha: true });
+
+  const { localeImages, fixes, unfixable } = await fix('icon', file);
+
+  assert.deepEqual(unfixable, []);
+  assert.deepEqual(fixes.map(({ transformations }) => transformations), [['downscaled 1024x1024 → 512x512']]);
+  assert.deepEqual(localeImages[0].images[0].files, [fixes[0].output]);
+  assert.deepEqual(checkImage(await readImageInfo(localeImages[0].images[0].pending[fixes[0].output]), 'icon'), []);
+});
+
+test('keeps fixed images in memory until they are written for upload', async () => {
+  const file = await image('icon.png', 1024, 1024, { alpha: true });
+  const { localeImages, fixes } = await fix('icon', file);
+  const { output } = fixes[0];
+
+  assert.equal(await fileExists(join(dir, 'cache')), false);
+
+  await writePendingImages(localeImages);
+  assert.deepEqual(await readFile(output), localeImages[0].images[0].pending[output]);
+});
+
+test('reports undersized single images as unfixable instead of upscaling them', async () => {
+  const file = await image('promo.png', 90, 60);
+
+  const { localeImages, fixes, unfixable } = await fix('promoGraphic', file);
+
+  assert.deepEqual(fixes, []);
+  assert.deepEqual(unfixable, [{ imageType: 'promoGraphic', file, reason: '90x60 is smaller than 180x120, provide a larger image' }]);
+  assert.deepEqual(localeImages[0].images[0].files, [file]);
+});
+
+test('reports other aspect ratios as unfixable instead of padding them', async () => {
+  const file = await image('promo.png', 360, 200);
+
+  const { fixes, unfixable } = await fix('promoGraphic', file);
+
+  assert.deepEqual(fixes, []);
+  assert.match(unfixable[0].reason, /doesn't have the aspect ratio of 180x120/);
+});
+
+test('leaves valid images alone', async () => {
+  const file = await image('promo.png', 180, 120);
+
+  assert.deepEqual(await fix('promoGraphic', file), {
+    localeImages: [{ language: 'en-US', images: [{ imageType: 'promoGraphic', files: [file], fallback: false }] }],
+    fixes: [],
+    unfixable: []
+  });
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { readImageInfo, checkImage, formatBytes } from '../src/play-store/image-specs.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'image-specs-test-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/** PNG chunk with a dummy CRC (only the headers are read) */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+/** PNG file header: signature, IHDR and optional chunks before the image data */
+function png(width, height, colorType, extraChunks = []) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = colorType;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    ...extraChunks,
+    pngChunk('IDAT', Buffer.alloc(4)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/** JPEG file header: SOI, an APP0 segment and a baseline SOF0 frame */
+function jpeg(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46]);
+  const sof0 = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03]);
+  sof0.writeUInt16BE(height, 5);
+  sof0.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0]);
+}
+
+/** WebP file header with a lossless (VP8L) bitstream header */
+function webp(width, height, alpha) {
+  const bits = Buffer.alloc(4);
+  bits.writeUInt32LE(((width - 1) | ((height - 1) << 14) | (alpha ? 1 << 28 : 0)) >>> 0);
+  const data = Buffer.concat([Buffer.from([0x2f]), bits, Buffer.alloc(8)]);
+  const chunkSize = Buffer.alloc(4);
+  chunkSize.writeUInt32LE(data.length);
+  return Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8L', 'latin1'), chunkSize, data]);
+}
+
+async function infoOf(name, content) {
+  const file = join(dir, name);
+  await writeFile(file, content);
+  return await readImageInfo(file);
+}
+
+test('reads PNG dimensions and alpha', async () => {
+  const rgba = await infoOf('icon.png', png(512, 512, 6));
+  assert.deepEqual({ ...rgba, size: undefined }, { format: 'png', width: 512, height: 512, hasAlpha: true, bitsPerPixel: 32, size: undefined });
+
+  const rgb = await infoOf('rgb.png', png(1024, 500, 2));
+  assert.equal(rgb.hasAlpha, false);
+  assert.equal(rgb.bitsPerPixel, 24);
+
+  const transparent = await infoOf('palette.png', png(1024, 500, 3, [pngChunk('PLTE', Buffer.alloc(3)), pngChunk('tRNS', Buffer.alloc(1))]));
+  assert.equal(transparent.hasAlpha, true);
+});
+
+test('reads JPEG dimensions from the frame header', async () => {
+  const info = await infoOf('feature.jpg', jpeg(1024, 500));
+
+  assert.deepEqual({ ...info, size: undefined }, { format: 'jpeg', width: 1024, height: 500, hasAlpha: false, bitsPerPixel: 24, size: undefined });
+});
+
+test('reads WebP dimensions so the checks can reject the format', async () => {
+  const info = await infoOf('01.webp', webp(1080, 1920, true));
+
+  assert.deepEqual({ ...info, size: undefined }, { format: 'webp', width: 1080, height: 1920, hasAlpha: true, bitsPerPixel: 32, size: undefined });
+  assert.deepEqual(checkImage(info, 'phoneScreenshots'), ['must be PNG or JPEG, found WEBP']);
+});
+
+test('returns null for other files', async () => {
+  assert.equal(await infoOf('icon.webp', Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), null);
+  assert.equal(await infoOf('icon.gif', Buffer.from('GIF89a\x01\x00\x01\x00')), null);
+  assert.equal(await infoOf('broken.jpg', Buffer.from([0xff, 0xd8, 0x00, 0x00])), null);
+});
+
+test('checks icons and feature graphics against their exact specs', () => {
+  const icon = { format: 'png', width: 512, height: 512, hasAlpha: true, bitsPerPixel: 32, size: 100 * 1024 };
+  assert.deepEqual(checkImage(icon, 'icon'), []);
+  assert.deepEqual(checkImage({ ...icon, format: 'jpeg', hasAlpha: false, width: 500, size: 2 * 1024 * 1024 }, 'icon'), [
+    'must be PNG, found JPEG',
+    'must be at most 1.0 MB, found 2.0 MB',
+    'must be 512x512 px, found 500x512',
+    'must be a 32-bit PNG with alpha, found JPEG'
+  ]);
+
+  const feature = { format: 'png', width: 1024, height: 500, hasAlpha: true, bitsPerPixel: 32, size: 1024 };
+  assert.deepEqual(checkImage(feature, 'featureGraphic'), [
+    'must not have an alpha channel (use JPEG or 24-bit PNG), found 32-bit PNG'
+  ]);
+});
+
+test('checks screenshot sides and aspect ratio', () => {
+  const screenshot = { format: 'png', width: 1080, height: 1920, hasAlpha: false, bitsPerPixel: 24, size: 1024 };
+
+  assert.deepEqual(checkImage(screenshot, 'phoneScreenshots'), []);
+  assert.deepEqual(checkImage({ ...screenshot, width: 300, height: 600 }, 'phoneScreenshots'), ['sides must be 320-3840 px, found 300x600']);
+  assert.deepEqual(checkImage({ ...screenshot, width: 1000, height: 2100 }, 'phoneScreenshots'), ['aspect ratio must be at most 2:1, found 1000x2100']);
+});
+
+test('formats sizes in KB or MB', () => {
+  assert.equal(formatBytes(1), '1 KB');
+  assert.equal(formatBytes(512 * 1024), '512 KB');
+  assert.equal(formatBytes(1.25 * 1024 * 1024), '1.3 MB');
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintListings, resolveLintRules, DEFAULT_LINT_RULES } from '../src/play-store/listing-lint.js';
+
+/** Lint a single en-US listing and return its findings */
+function lint(listing, lintConfig = null) {
+  return lintListings([{ language: 'en-US', ...listing }], lintConfig).locales[0].findings;
+}
+
+/** Phone numbers the short-description-contact rule reports */
+function phoneNumbers(shortDescription) {
+  return lint({ shortDescription })
+    .filter(finding => finding.message.startsWith('Phone number'))
+    .map(finding => finding.message);
+}
+
+test('a clean listing has no findings', () => {
+  assert.deepEqual(lint({
+    title: 'Trail Notes',
+    shortDescription: 'Log hikes and share routes with friends',
+    fullDescription: 'Record your hikes offline.'
+  }), []);
+});
+
+test('flags phone numbers in the short description', () => {
+  assert.deepEqual(phoneNumbers('Call +1 555 123 4567 today'), ['Phone number: "+1 555 123 4567"']);
+  assert.deepEqual(phoneNumbers('Call (030) 123-4567'), ['Phone number: "(030) 123-4567"']);
+  assert.deepEqual(phoneNumbers('Call 555-123-4567'), ['Phone number: "555-123-4567"']);
+  assert.deepEqual(phoneNumbers('Call 1-800-555-1234'), ['Phone number: "1-800-555-1234"']);
+});
+
+test('does not read years, versions or counts as phone numbers', () => {
+  assert.deepEqual(phoneNumbers('Results 2019 - 2024 in one place'), []);
+  assert.deepEqual(phoneNumbers('Now on version 1.2.3.4567'), []);
+  assert.deepEqual(phoneNumbers('Loved by 10000000 players'), []);
+  assert.deepEqual(phoneNumbers('Maps of 555-123 4567 trails'), []);
+});
+
+test('flags URLs and email addresses in the short description', () => {
+  const messages = lint({ shortDescription: 'Visit example.com or mail help@example.org' }).map(finding => finding.message);
+
+  assert.deepEqual(messages, ['URL: "example.com"', 'Email address: "help@example.org"']);
+});
+
+test('reports ranking claims as errors and "top" as a warning', () => {
+  const findings = lint({ title: 'Best Top Notes', shortDescription: 'The top-rated note app' });
+
+  assert.deepEqual(findings.map(({ rule, severity, field }) => [rule, severity, field]), [
+    ['ranking-claims', 'error', 'title'],
+    ['ranking-claims', 'error', 'shortDescription'],
+    ['ranking-top', 'warning', 'title']
+  ]);
+});
+
+test('flags emoji, all-caps words and promotions in the title', () => {
+  const findings = lint({ title: 'Notes™ 🚀 SUPER Free' });
+
+  assert.deepEqual(findings.map(finding => finding.message), [
+    'Title contains emoji: 🚀',
+    'Title uses ALL-CAPS: SUPER',
+    'Price or promotion wording: "Free"'
+  ]);
+});
+
+test('flags repeated keywords and configured trademarks', () => {
+  const findings = lint(
+    { fullDescription: `<b>Notes</b> for ${'notes '.repeat(8)} like Evernote` },
+    { rules: { trademarks: { terms: ['Evernote'] } } }
+  );
+
+  assert.deepEqual(findings.map(({ rule, message }) => [rule, message]), [
+    ['keyword-repetition', 'Repeated keywords (more than 8×): "notes" ×9'],
+    ['trademarks', 'Third-party trademark "Evernote": "Evernote"']
+  ]);
+});
+
+test('merges rule overrides over the defaults', () => {
+  const rules = resolveLintRules({
+    'ranking-top': 'off',
+    'keyword-repetition': { maxRepetitions: { title: 2 } }
+  });
+
+  assert.equal(rules['ranking-top'].severity, 'off');
+  assert.deepEqual(rules['keyword-repetition'], {
+    severity: 'warning',
+    maxRepetitions: { ...DEFAULT_LINT_RULES['keyword-repetition'].maxRepetitions, title: 2 }
+  });
+  assert.deepEqual(lint({ title: 'Top Notes' }, { rules: { 'ranking-top': 'off' } }), []);
+});
+
+test('rejects unknown rules and severities', () => {
+  assert.throws(() => resolveLintRules({ 'no-such-rule': 'error' }), /Unknown listingLint rule "no-such-rule"/);
+  assert.throws(() => resolveLintRules({ 'title-emoji': 'fatal' }), /Invalid listingLint\.rules\.title-emoji/);
+});
+
+test('counts errors and warnings across locales', () => {
+  const report = lintListings([
+    { language: 'en-US', title: 'Best Notes' },
+    { language: 'de-DE', title: 'Top Notizen' }
+  ]);
+
+  assert.equal(report.errors, 1);
+  assert.equal(report.warnings, 1);
+  assert.deepEqual(report.locales.map(locale => locale.language), ['en-US', 'de-DE']);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToPlayText } from '../src/play-store/markdown.js';
+
+test('converts emphasis to the supported tags', () => {
+  const { text, warnings } = markdownToPlayText('**Bold**, __bold__, *italic* and _italic_');
+
+  assert.equal(text, '<b>Bold</b>, <b>bold</b>, <i>italic</i> and <i>italic</i>');
+  assert.deepEqual(warnings, []);
+});
+
+test('leaves spaced asterisks and underscores inside words alone', () => {
+  assert.equal(markdownToPlayText('Score 5 * 3 * 2 points').text, 'Score 5 * 3 * 2 points');
+  assert.equal(markdownToPlayText('2 ** 8 ** 2 combos').text, '2 ** 8 ** 2 combos');
+  assert.equal(markdownToPlayText('Use snake_case_names').text, 'Use snake_case_names');
+  assert.equal(markdownToPlayText('A *really* big 5 * 3 grid').text, 'A <i>really</i> big 5 * 3 grid');
+});
+
+test('keeps escaped markup literal', () => {
+  assert.equal(markdownToPlayText('\\*not italic\\*').text, '*not italic*');
+});
+
+test('converts headings, lists and paragraphs', () => {
+  const { text } = markdownToPlayText([
+    '# Features',
+    '',
+    'Plan your day',
+    'in seconds.',
+    '',
+    '- Fast',
+    '  - Offline',
+    '1. First'
+  ].join('\n'));
+
+  assert.equal(text, '<b>Features</b>\n\nPlan your day in seconds.\n\n• Fast\n  • Offline\n1. First');
+});
+
+test('keeps hard line breaks', () => {
+  assert.equal(markdownToPlayText('One  \nTwo\\\nThree').text, 'One\nTwo\nThree');
+});
+
+test('flattens unsupported markup with warnings', () => {
+  const { text, warnings } = markdownToPlayText([
+    'See [the docs](https://example.com) and <https://example.com/faq>',
+    '![logo](logo.png)Run `sync` ~~now~~ <span>today</span> <strong>free</strong>',
+    '---',
+    '> Quoted'
+  ].join('\n'));
+
+  assert.equal(text, 'See the docs (https://example.com) and https://example.com/faq Run sync now today <b>free</b>\nQuoted');
+  assert.deepEqual(warnings.sort(), [
+    'HTML tag <span> is not supported, removed',
+    'block quotes are not supported, kept as plain text',
+    'horizontal rules are not supported, removed',
+    'images are not supported, removed',
+    'inline code is not supported, kept as plain text',
+    'links are not clickable on Play, converted to "text (url)"',
+    'strikethrough is not supported, kept as plain text'
+  ]);
+});
+
+test('keeps code blocks as plain text', () => {
+  const { text, warnings } = markdownToPlayText('```\n  *raw*\n```');
+
+  assert.equal(text, '*raw*');
+  assert.deepEqual(warnings, ['code blocks are not supported, kept as plain text']);
+});
@@ -0,0 +1,61 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkListingCopy, checkReleaseBuild } from '../src/play-store/preflight.js';
+import { applyPlan } from '../src/play-store/plan.js';
+
+const config = {
+  build: { aab: '/nonexistent/app-release.aab', mappingFile: null, nativeSymbols: null },
+  distribution: { track: 'production' }
+};
+
+// Keep the lint reports and SDK warnings out of the test output
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const cleanListing = { language: 'en-US', title: 'Trail Notes', shortDescription: 'Log hikes offline' };
+const build = targetSdk => ({ packageName: 'com.example.app', versionCode: 7, targetSdk });
+
+/** Plan that changes only the given parts (nothing is applied when a gate throws first) */
+function planWith({ listings = [], track = { status: 'unchanged' } }) {
+  return { listings: { updates: listings }, details: { changes: [] }, images: [], track };
+}
+
+test('lint errors in listing copy stop the release', () => {
+  assert.doesNotThrow(() => checkListingCopy([cleanListing], config));
+  assert.throws(() => checkListingCopy([{ ...cleanListing, title: 'Best Notes' }], config), /Listing lint found 1 error\(s\)/);
+  assert.doesNotThrow(() => checkListingCopy([{ ...cleanListing, title: 'Best Notes' }], {
+    ...config, listingLint: { rules: { 'ranking-claims': 'warning' } }
+  }));
+});
+
+test('a build below a blocking target SDK stops the release', async () => {
+  assert.deepEqual(await checkReleaseBuild(build(35), config.build.aab, 'production', config), { mappingFile: null });
+  await assert.rejects(checkReleaseBuild(build(33), config.build.aab, 'production', config), /targetSdkVersion 33 is below the required 35 for production/);
+  // Non-blocking entries only warn
+  await checkReleaseBuild(build(33), config.build.aab, 'internal', config);
+});
+
+test('configured debug files must exist', async () => {
+  await assert.rejects(
+    checkReleaseBuild(build(35), config.build.aab, 'production', { ...config, build: { ...config.build, mappingFile: '/nonexistent/mapping.txt' } }),
+    /Mapping file not found/
+  );
+});
+
+test('apply enforces the same gates before touching the edit', async () => {
+  const inputs = { listings: [{ ...cleanListing, title: 'Best Notes' }], buildInfo: build(33), buildPath: config.build.aab };
+
+  await assert.rejects(
+    applyPlan('com.example.app', 'edit-1', config, inputs, planWith({ listings: [{ language: 'en-US' }] })),
+    /Listing lint found/
+  );
+  await assert.rejects(
+    applyPlan('com.example.app', 'edit-1', config, inputs, planWith({ track: { status: 'added', track: 'production', versionCode: 7 } })),
+    /targetSdkVersion 33 is below/
+  );
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parsePrice, formatPrice, loadProductCatalog, diffProducts } from '../src/play-store/products.js';
+
+const coins = {
+  sku: 'coins_100',
+  defaultPrice: '0.99 USD',
+  prices: { DE: '0.99 EUR' },
+  listings: { 'en-US': { title: '100 coins', description: 'A bag of coins' } }
+};
+
+/** Product as Play returns it for the coins catalog entry */
+function remoteCoins(overrides = {}) {
+  return {
+    sku: 'coins_100',
+    status: 'active',
+    purchaseType: 'managedUser',
+    defaultLanguage: 'en-US',
+    defaultPrice: { currency: 'USD', priceMicros: '990000' },
+    prices: { DE: { currency: 'EUR', priceMicros: '990000' } },
+    listings: { 'en-US': { title: '100 coins', description: 'A bag of coins' } },
+    ...overrides
+  };
+}
+
+test('parses prices exactly into micros', () => {
+  const problems = [];
+
+  assert.deepEqual(parsePrice('0.99 USD', 'price', problems), { currency: 'USD', priceMicros: '990000' });
+  assert.deepEqual(parsePrice(' 12 EUR ', 'price', problems), { currency: 'EUR', priceMicros: '12000000' });
+  assert.deepEqual(parsePrice('1.000001 JPY', 'price', problems), { currency: 'JPY', priceMicros: '1000001' });
+  assert.deepEqual(problems, []);
+});
+
+test('reports malformed and zero prices', () => {
+  const problems = [];
+
+  assert.equal(parsePrice('0.99', 'a', problems), null);
+  assert.equal(parsePrice('$0.99 USD', 'b', problems), null);
+  assert.equal(parsePrice(0.99, 'c', problems), null);
+  parsePrice('0.00 USD', 'd', problems);
+
+  assert.equal(problems.length, 4);
+  assert.match(problems[2], /^c must be an amount and a currency code.*\(found 0\.99\)/);
+  assert.match(problems[3], /^d can't be zero/);
+});
+
+test('formats prices with at least two decimals', () => {
+  assert.equal(formatPrice({ currency: 'USD', priceMicros: '990000' }), '0.99 USD');
+  assert.equal(formatPrice({ currency: 'EUR', priceMicros: '12000000' }), '12.00 EUR');
+  assert.equal(formatPrice({ currency: 'JPY', priceMicros: '1000001' }), '1.000001 JPY');
+  assert.equal(formatPrice(null), '(none)');
+});
+
+test('loads inline products with safe defaults', async () => {
+  const catalog = await loadProductCatalog({ products: [coins] }, 'en-US');
+
+  assert.equal(catalog.autoConvertMissingPrices, true);
+  assert.equal(catalog.deactivateMissing, false);
+  assert.deepEqual(catalog.products[0], {
+    sku: 'coins_100',
+    status: 'active',
+    purchaseType: 'managedUser',
+    defaultLanguage: 'en-US',
+    defaultPrice: { currency: 'USD', priceMicros: '990000' },
+    prices: { DE: { currency: 'EUR', priceMicros: '990000' } },
+    listings: { 'en-US': { title: '100 coins', description: 'A bag of coins' } }
+  });
+});
+
+test('inline products override the products file per SKU', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'products-test-'));
+  try {
+    const file = join(dir, 'products.json');
+    await writeFile(file, JSON.stringify({ products: [coins, { ...coins, sku: 'gems' }] }));
+
+    const catalog = await loadProductCatalog({ file, products: [{ ...coins, defaultPrice: '1.99 USD' }] }, 'en-US');
+
+    assert.deepEqual(catalog.products.map(product => [product.sku, formatPrice(product.defaultPrice)]), [
+      ['coins_100', '1.99 USD'], ['gems', '0.99 USD']
+    ]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects an empty section and invalid products', async () => {
+  await assert.rejects(loadProductCatalog({}, 'en-US'), /needs a "file" path and\/or a "products" list/);
+  await assert.rejects(loadProductCatalog({ file: '/nonexistent/products.json' }, 'en-US'), /Products file not found/);
+
+  const invalid = {
+    sku: 'Coins',
+    status: 'paused',
+    defaultPrice: '0.99 USD',
+    prices: { usa: '0.99 USD' },
+    listings: { 'de-DE': { title: 'x'.repeat(56), description: '' } }
+  };
+  const error = await loadProductCatalog({ products: [invalid] }, 'en-US').catch(error => error);
+  const problems = error.message.split('\n   - ').slice(1);
+
+  assert.deepEqual(problems.map(problem => problem.replace(/^product Coins: /, '').split(' ')[0]), [
+    'sku', 'status', 'price', 'listings.de-DE.title', 'listings.de-DE.description', 'needs'
+  ]);
+});
+
+test('diffs create, update, unchanged and products missing from the catalog', async () => {
+  const catalog = await loadProductCatalog({
+    products: [coins, { ...coins, sku: 'gems' }, { ...coins, sku: 'gold', defaultPrice: '4.99 USD' }]
+  }, 'en-US');
+  const remote = [
+    remoteCoins(),
+    remoteCoins({ sku: 'gold' }),
+    remoteCoins({ sku: 'old_pack' }),
+    remoteCoins({ sku: 'retired', status: 'inactive' })
+  ];
+
+  const diff = diffProducts(catalog, remote);
+
+  assert.deepEqual(diff.create.map(entry => entry.sku), ['gems']);
+  assert.deepEqual(diff.update, [{
+    sku: 'gold',
+    product: catalog.products[2],
+    changes: [{ field: 'default price', from: '0.99 USD', to: '4.99 USD' }]
+  }]);
+  assert.deepEqual(diff.unchanged, ['coins_100']);
+  assert.deepEqual(diff.deactivate, []);
+  assert.deepEqual(diff.untouched, ['old_pack', 'retired']);
+});
+
+test('deactivates active products missing from the catalog only when asked to', async () => {
+  const catalog = await loadProductCatalog({ products: [coins], deactivateMissing: true }, 'en-US');
+  const remote = [remoteCoins(), remoteCoins({ sku: 'old_pack' }), remoteCoins({ sku: 'retired', status: 'inactive' })];
+
+  const diff = diffProducts(catalog, remote);
+
+  assert.deepEqual(diff.deactivate.map(entry => [entry.sku, entry.product.status]), [['old_pack', 'inactive']]);
+  assert.deepEqual(diff.untouched, ['retired']);
+});
+
+test('ignores regions priced only on Play unless auto conversion is off', async () => {
+  const remote = [remoteCoins({ prices: { DE: { currency: 'EUR', priceMicros: '990000' }, FR: { currency: 'EUR', priceMicros: '1090000' } } })];
+
+  const converted = diffProducts(await loadProductCatalog({ products: [coins] }, 'en-US'), remote);
+  assert.deepEqual(converted.unchanged, ['coins_100']);
+
+  const explicit = diffProducts(await loadProductCatalog({ products: [coins], autoConvertMissingPrices: false }, 'en-US'), remote);
+  assert.deepEqual(explicit.update[0].changes, [{ field: 'price FR', from: '1.09 EUR', to: '(none)' }]);
+});
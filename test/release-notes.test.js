@@ -0,0 +1,55 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadReleaseNotes, validateReleaseNotes, RELEASE_NOTES_MAX_LENGTH } from '../src/play-store/release-notes.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'release-notes-test-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('loads inline release notes, skipping empty ones', async () => {
+  const notes = await loadReleaseNotes({ 'en-US': '  Bug fixes\n', 'de-DE': 'Fehlerbehebungen', 'fr-FR': '   ' });
+
+  assert.deepEqual(notes, [
+    { language: 'en-US', text: 'Bug fixes' },
+    { language: 'de-DE', text: 'Fehlerbehebungen' }
+  ]);
+});
+
+test('reads <locale>.txt files and lets inline texts override them', async () => {
+  await writeFile(join(dir, 'en-US.txt'), 'From file\n');
+  await writeFile(join(dir, 'de-DE.TXT'), 'Aus der Datei');
+  await writeFile(join(dir, 'README.md'), 'not release notes');
+  await mkdir(join(dir, 'archive'));
+
+  const notes = await loadReleaseNotes({ dir, 'en-US': 'Inline' });
+
+  assert.deepEqual(
+    notes.sort((a, b) => a.language.localeCompare(b.language)),
+    [{ language: 'de-DE', text: 'Aus der Datei' }, { language: 'en-US', text: 'Inline' }]
+  );
+});
+
+test('rejects malformed config and a missing directory', async () => {
+  await assert.rejects(loadReleaseNotes(['Bug fixes']), /releaseNotes must be an object/);
+  await assert.rejects(loadReleaseNotes({ 'en-US': 42 }), /Release notes for en-US must be a string/);
+  await assert.rejects(loadReleaseNotes({ dir: join(dir, 'missing') }), /Release notes directory not found/);
+});
+
+test('reports every locale over the length limit', () => {
+  const long = 'x'.repeat(RELEASE_NOTES_MAX_LENGTH + 1);
+
+  assert.doesNotThrow(() => validateReleaseNotes([{ language: 'en-US', text: 'x'.repeat(RELEASE_NOTES_MAX_LENGTH) }]));
+  assert.throws(
+    () => validateReleaseNotes([{ language: 'en-US', text: long }, { language: 'de-DE', text: 'ok' }, { language: 'fr-FR', text: long }]),
+    { message: `Release notes exceed 500 characters: en-US (501 chars), fr-FR (501 chars)` }
+  );
+});
@@ -0,0 +1,169 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import opentype from 'opentype.js';
+import { createBitmap, readPng, writePng } from '../src/utils/image.js';
+import {
+  frameScreenshots, resolveFrameStyle, parseOutputSize, getOutputSize,
+  fitCaption, wrapText, layoutText, pathsOverlap
+} from '../src/play-store/screenshot-frames.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'screenshot-frames-test-'));
+  // Keep the framing progress out of the test output
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await rm(dir, { recursive: true, force: true });
+});
+
+/** Font file with a box glyph for a-z, each glyph half an em wide */
+function createFontFile() {
+  const box = () => {
+    const path = new opentype.Path();
+    path.moveTo(50, 0);
+    path.lineTo(450, 0);
+    path.lineTo(450, 700);
+    path.lineTo(50, 700);
+    path.close();
+    return path;
+  };
+
+  const glyphs = [
+    new opentype.Glyph({ name: '.notdef', advanceWidth: 500, path: new opentype.Path() }),
+    new opentype.Glyph({ name: 'space', unicode: 32, advanceWidth: 500, path: new opentype.Path() }),
+    ...[...'abcdefghijklmnopqrstuvwxyz'].map(char =>
+      new opentype.Glyph({ name: char, unicode: char.charCodeAt(0), advanceWidth: 500, path: box() })
+    )
+  ];
+
+  const font = new opentype.Font({ familyName: 'Test', styleName: 'Regular', unitsPerEm: 1000, ascender: 800, descender: -200, glyphs });
+  return font.toArrayBuffer();
+}
+
+const fontFile = createFontFile();
+const font = opentype.parse(fontFile);
+
+/** rawDir with tiny 9x16 captures for en-US/phone, plus the font and captions */
+async function setupFraming(captions) {
+  const rawDir = join(dir, 'raw');
+  await mkdir(join(rawDir, 'en-US', 'phone'), { recursive: true });
+  for (const name of ['1.png', '2.png']) {
+    await writePng(createBitmap(9, 16, [255, 0, 0, 255]), join(rawDir, 'en-US', 'phone', name));
+  }
+  await writeFile(join(rawDir, 'en-US', 'captions.json'), JSON.stringify(captions));
+
+  const fontPath = join(dir, 'test.ttf');
+  await writeFile(fontPath, Buffer.from(fontFile));
+
+  return {
+    packageName: 'com.example.app',
+    graphics: { localesDir: join(dir, 'listing') },
+    screenshotFrames: { rawDir, font: fontPath }
+  };
+}
+
+test('resolves the frame style over the defaults', () => {
+  const defaults = resolveFrameStyle({});
+  assert.deepEqual(defaults.background, [0x1a, 0x73, 0xe8, 255]);
+  assert.equal(defaults.outputSize, null);
+
+  const style = resolveFrameStyle({ background: '#11223380', fontSize: 0.05, outputSize: '1920x1080' });
+  assert.deepEqual(style.background, [0x11, 0x22, 0x33, 255]);
+  assert.equal(style.fontSize, 0.05);
+  assert.deepEqual(style.outputSize, { shortSide: 1080, longSide: 1920 });
+});
+
+test('rejects out-of-range sizes and invalid colors', () => {
+  assert.throws(() => resolveFrameStyle({ fontSize: 1 }), /screenshotFrames\.fontSize must be a fraction between 0 and 1/);
+  assert.throws(() => resolveFrameStyle({ captionHeight: '0.2' }), /screenshotFrames\.captionHeight must be a fraction/);
+  assert.throws(() => resolveFrameStyle({ frameColor: 'black' }), /Invalid color "black"/);
+});
+
+test('parses outputSize within Play screenshot limits', () => {
+  assert.deepEqual(parseOutputSize('1080x1920'), { shortSide: 1080, longSide: 1920 });
+  assert.throws(() => parseOutputSize('1080 x 1920'), /must look like "1080x1920"/);
+  assert.throws(() => parseOutputSize('300x600'), /doesn't meet Play's screenshot requirements/);
+  assert.throws(() => parseOutputSize('1000x2100'), /doesn't meet Play's screenshot requirements/);
+});
+
+test('sizes framed screenshots at 9:16 in the orientation of the capture', () => {
+  assert.deepEqual(getOutputSize({ width: 1080, height: 2400 }, null), { width: 1080, height: 1920 });
+  assert.deepEqual(getOutputSize({ width: 2400, height: 1080 }, null), { width: 1920, height: 1080 });
+  assert.deepEqual(getOutputSize({ width: 9, height: 16 }, null), { width: 320, height: 569 });
+  assert.deepEqual(getOutputSize({ width: 4000, height: 8000 }, null), { width: 2160, height: 3840 });
+
+  const outputSize = parseOutputSize('1080x1920');
+  assert.deepEqual(getOutputSize({ width: 2400, height: 1080 }, outputSize), { width: 1920, height: 1080 });
+});
+
+test('lays out glyphs with their advance widths', () => {
+  const run = layoutText(font, 'ab c', 10);
+
+  assert.equal(run.width, 20);
+  assert.deepEqual(run.glyphs.map(({ offset }) => offset), [0, 5, 10, 15]);
+});
+
+test('wraps words, forced line breaks and words wider than the line', () => {
+  // 5 px per character at 10 px, so 10 characters per 50 px line
+  assert.deepEqual(wrapText(font, 'abc def ghi', 10, 50), ['abc def', 'ghi']);
+  assert.deepEqual(wrapText(font, 'abc\ndef', 10, 50), ['abc', 'def']);
+  assert.deepEqual(wrapText(font, 'abcdefghijklmnopqrstuvwxyz', 10, 50), ['abcdefghij', 'klmnopqrst', 'uvwxyz']);
+});
+
+test('shrinks long captions until they fit the caption area', () => {
+  const style = resolveFrameStyle({});
+
+  assert.deepEqual(fitCaption(font, 'short', 1000, style, 200), { fontSize: 60, lines: ['short'] });
+
+  const fitted = fitCaption(font, 'word '.repeat(20), 1000, style, 200);
+  assert.ok(fitted.fontSize < 60);
+  assert.ok(fitted.lines.length * fitted.fontSize * 1.25 <= 200 * 0.85);
+
+  // Text that can't fit stops shrinking at 40% of the configured size
+  const overflow = fitCaption(font, 'word '.repeat(200), 1000, style, 200);
+  assert.ok(overflow.fontSize <= 24 && overflow.fontSize > 24 * 0.9);
+});
+
+test('tells overlapping paths apart from siblings', () => {
+  assert.equal(pathsOverlap('shots', 'shots'), true);
+  assert.equal(pathsOverlap('shots', 'shots/phone'), true);
+  assert.equal(pathsOverlap('shots/phone', './shots'), true);
+  assert.equal(pathsOverlap('shots-raw', 'shots'), false);
+  assert.equal(pathsOverlap('raw', 'listing/en-US/phone'), false);
+});
+
+test('frames every capture and warns about missing captions', async () => {
+  const config = await setupFraming({ 1: 'hello world' });
+
+  const summary = await frameScreenshots(config);
+
+  assert.deepEqual(summary, {
+    screenshots: 2,
+    locales: ['en-US'],
+    warnings: ['en-US: no caption for phone/2.png in captions.json']
+  });
+  const outputDir = join(dir, 'listing', 'en-US', 'phone');
+  assert.deepEqual((await readdir(outputDir)).sort(), ['1.png', '2.png']);
+  const framed = await readPng(join(outputDir, '1.png'));
+  assert.deepEqual([framed.width, framed.height], [320, 569]);
+});
+
+test('rejects captions the font cannot draw', async () => {
+  const config = await setupFraming({ 1: 'Hello', 2: 'world' });
+
+  await assert.rejects(frameScreenshots(config), /Font has no glyphs for H \(en-US\)/);
+});
+
+test('rejects a rawDir that overlaps the regenerated output', async () => {
+  const config = await setupFraming({});
+  config.graphics.localesDir = config.screenshotFrames.rawDir;
+
+  await assert.rejects(frameScreenshots(config), /overlaps the output directory/);
+});
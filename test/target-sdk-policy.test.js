@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTargetSdkPolicy, checkTargetSdk, DEFAULT_TARGET_SDK_POLICY } from '../src/play-store/target-sdk-policy.js';
+
+const build = targetSdk => ({ targetSdk });
+
+test('uses the defaults without overrides', () => {
+  assert.deepEqual(resolveTargetSdkPolicy(), DEFAULT_TARGET_SDK_POLICY);
+});
+
+test('merges overrides per track and keeps the defaults intact', () => {
+  const policy = resolveTargetSdkPolicy({
+    phone: { production: 36, beta: { minTargetSdk: 35, blocking: false } },
+    xr: { default: 34 }
+  });
+
+  assert.deepEqual(policy.phone, {
+    default: { minTargetSdk: 35, blocking: true },
+    internal: { minTargetSdk: 35, blocking: false },
+    production: { minTargetSdk: 36, blocking: true },
+    beta: { minTargetSdk: 35, blocking: false }
+  });
+  assert.deepEqual(policy.xr, { default: { minTargetSdk: 34, blocking: true } });
+  assert.equal(DEFAULT_TARGET_SDK_POLICY.phone.production, undefined);
+});
+
+test('rejects malformed overrides', () => {
+  assert.throws(() => resolveTargetSdkPolicy({ phone: 35 }), /Invalid targetSdkPolicy\.phone/);
+  assert.throws(() => resolveTargetSdkPolicy({ phone: { production: '35' } }), /Invalid targetSdkPolicy\.phone\.production/);
+});
+
+test('checks phone tracks against the track entry or the default', () => {
+  const policy = resolveTargetSdkPolicy();
+
+  assert.deepEqual(checkTargetSdk(build(34), 'production', policy), {
+    ok: false, blocking: true, formFactor: 'phone', track: 'production', required: 35, actual: 34
+  });
+  assert.equal(checkTargetSdk(build(34), 'internal', policy).blocking, false);
+  assert.equal(checkTargetSdk(build(35), 'beta', policy).ok, true);
+  assert.equal(checkTargetSdk(build(null), 'beta', policy).ok, false);
+});
+
+test('picks the form factor from the track prefix', () => {
+  const policy = resolveTargetSdkPolicy();
+
+  const wear = checkTargetSdk(build(34), 'wear:production', policy);
+  assert.equal(wear.formFactor, 'wear');
+  assert.equal(wear.ok, true);
+
+  // Closed testing tracks have custom names and count as phone tracks
+  assert.equal(checkTargetSdk(build(34), 'team:alpha', policy).formFactor, 'phone');
+});
+
+test('passes tracks without a rule', () => {
+  const policy = resolveTargetSdkPolicy({ tv: {} });
+  delete policy.tv.default;
+
+  assert.deepEqual(checkTargetSdk(build(21), 'tv:production', policy), {
+    ok: true, blocking: false, formFactor: 'tv', track: 'tv:production', required: null, actual: 21
+  });
+});
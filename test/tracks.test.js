@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addReleaseToTrack, validateUserFraction, formatUserFraction } from '../src/play-store/tracks.js';
+
+const completed = { versionCodes: ['10'], status: 'completed' };
+const halted = { versionCodes: ['11'], status: 'halted', userFraction: 0.1 };
+
+test('a staged rollout keeps the completed release for the remaining users', () => {
+  const staged = { versionCodes: ['12'], status: 'inProgress', userFraction: 0.05 };
+
+  assert.deepEqual(addReleaseToTrack([completed, halted], staged), [completed, staged]);
+});
+
+test('a full release replaces every release on the track', () => {
+  const full = { versionCodes: ['12'], status: 'completed' };
+
+  assert.deepEqual(addReleaseToTrack([completed, halted], full), [full]);
+});
+
+test('validates and formats rollout fractions', () => {
+  assert.doesNotThrow(() => validateUserFraction(0.05));
+  for (const fraction of [0, 1, -0.1, NaN, '0.5']) {
+    assert.throws(() => validateUserFraction(fraction), /Invalid rollout fraction/);
+  }
+  assert.equal(formatUserFraction(0.05), '5%');
+  assert.equal(formatUserFraction(0.125), '12.5%');
+});
@@ -0,0 +1,229 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resumableUpload } from '../src/play-store/upload.js';
+import { PLAY_STORE_UPLOAD } from '../src/config.js';
+
+const auth = { getRequestHeaders: async () => ({ Authorization: 'Bearer test' }) };
+const defaults = { ...PLAY_STORE_UPLOAD };
+
+let dir;
+let filePath;
+let content;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'upload-test-'));
+  filePath = join(dir, 'app.aab');
+  content = Buffer.from(Array.from({ length: 2500 }, (_, index) => index % 251));
+  await writeFile(filePath, content);
+
+  Object.assign(PLAY_STORE_UPLOAD, { CHUNK_SIZE: 1000, RETRY_BASE_DELAY_MS: 1, MAX_RETRIES: 3 });
+});
+
+afterEach(async () => {
+  Object.assign(PLAY_STORE_UPLOAD, defaults);
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Local stand-in for the upload endpoint
+ * Commits chunks like Play does (308 with Range until complete, then 200); handle(req, state)
+ * may answer a request itself to inject failures, returning true when it did.
+ */
+async function startServer(handle = () => false) {
+  const state = { received: Buffer.alloc(0), requests: [] };
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    const range = req.headers['content-range'] || null;
+    state.requests.push({ method: req.method, range });
+
+    if (await handle(req, res, state)) {
+      return;
+    }
+
+    if (req.method === 'POST') {
+      res.writeHead(200, { location: `${state.baseUrl}/session/1` });
+      res.end();
+      return;
+    }
+
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(range);
+    if (match && Number(match[1]) === state.received.length) {
+      state.received = Buffer.concat([state.received, body]);
+    }
+
+    const total = Number(range.split('/')[1]);
+    if (state.received.length === total) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ versionCode: 42 }));
+      return;
+    }
+
+    res.writeHead(308, state.received.length > 0 ? { range: `bytes=0-${state.received.length - 1}` } : {});
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  PLAY_STORE_UPLOAD.BASE_URL = state.baseUrl;
+
+  state.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return state;
+}
+
+test('uploads a file in chunks and returns the final response', async () => {
+  const server = await startServer();
+  try {
+    const result = await resumableUpload('applications/com.example/edits/1/bundles', filePath, 'application/octet-stream', { auth });
+
+    assert.deepEqual(result, { versionCode: 42 });
+    assert.deepEqual(server.received, content);
+    assert.deepEqual(server.requests.map(request => request.range), [
+      null, 'bytes 0-999/2500', 'bytes 1000-1999/2500', 'bytes 2000-2499/2500'
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('queries the committed offset after a 5xx and resumes from the Range header', async () => {
+  let failed = false;
+  const server = await startServer((req, res, state) => {
+    if (!failed && req.headers['content-range'] === 'bytes 1000-1999/2500') {
+      failed = true;
+      // The server kept half of the chunk before failing
+      state.received = content.subarray(0, 1500);
+      res.writeHead(503);
+      res.end();
+      return true;
+    }
+    return false;
+  });
+
+  try {
+    await resumableUpload('bundles', filePath, 'application/octet-stream', { auth });
+
+    assert.deepEqual(server.received, content);
+    assert.deepEqual(server.requests.slice(2).map(request => request.range), [
+      'bytes 1000-1999/2500', 'bytes */2500', 'bytes 1500-2499/2500'
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('retries 429 responses when starting the session', async () => {
+  let throttled = 0;
+  const server = await startServer((req, res) => {
+    if (req.method === 'POST' && throttled < 2) {
+      throttled++;
+      res.writeHead(429, { 'retry-after': '0' });
+      res.end();
+      return true;
+    }
+    return false;
+  });
+
+  try {
+    await resumableUpload('bundles', filePath, 'application/octet-stream', { auth });
+
+    assert.equal(server.requests.filter(request => request.method === 'POST').length, 3);
+    assert.deepEqual(server.received, content);
+  } finally {
+    await server.close();
+  }
+});
+
+test('aborts a stalled request and resumes', async () => {
+  PLAY_STORE_UPLOAD.REQUEST_TIMEOUT_MS = 200;
+  let stalled = false;
+  const server = await startServer((req) => {
+    if (!stalled && req.headers['content-range'] === 'bytes 0-999/2500') {
+      stalled = true;
+      // Never answer
+      return true;
+    }
+    return false;
+  });
+
+  try {
+    await resumableUpload('bundles', filePath, 'application/octet-stream', { auth });
+
+    assert.deepEqual(server.received, content);
+    assert.equal(server.requests[2].range, 'bytes */2500');
+  } finally {
+    await server.close();
+  }
+});
+
+test('fails when the upload session expired', async () => {
+  const server = await startServer((req, res) => {
+    if (req.method === 'PUT') {
+      res.writeHead(404);
+      res.end();
+      return true;
+    }
+    return false;
+  });
+
+  try {
+    await assert.rejects(
+      resumableUpload('bundles', filePath, 'application/octet-stream', { auth }),
+      { message: /Upload session expired/, code: 404 }
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test('gives up after the configured number of retries', async () => {
+  const server = await startServer((req, res) => {
+    if (req.method === 'PUT') {
+      res.writeHead(500);
+      res.end();
+      return true;
+    }
+    return false;
+  });
+
+  try {
+    await assert.rejects(
+      resumableUpload('bundles', filePath, 'application/octet-stream', { auth }),
+      { message: 'Upload failed after 3 retries: HTTP 500', code: 500 }
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test('does not retry client errors', async () => {
+  const server = await startServer((req, res) => {
+    if (req.method === 'PUT') {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Invalid bundle' } }));
+      return true;
+    }
+    return false;
+  });
+
+  try {
+    await assert.rejects(
+      resumableUpload('bundles', filePath, 'application/octet-stream', { auth }),
+      { message: 'Upload failed: Invalid bundle', code: 400 }
+    );
+    assert.equal(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});